@@ -0,0 +1,390 @@
+/**
+ * Retry queue for bookings the calendar provider could not take on SUMMARY
+ * (outage, timeout, 5xx). The attempt is stored and retried in the
+ * background with exponential backoff:
+ *
+ *   attempt 2 after BOOKING_RETRY_BASE_DELAY_MS, attempt 3 after twice that,
+ *   ... capped at BOOKING_RETRY_MAX_DELAY_MS
+ *
+ * Only outages are retried: a failure of any other kind (e.g. an answer
+ * that leaves unclear whether the booking exists) is dead-lettered when
+ * it is queued.
+ *
+ * A retry that books the slot records the booking (bookings.js) and tells
+ * the onBookingConfirmed listeners and BOOKING_CONFIRMED_WEBHOOK_URL, so a
+ * WhatsApp follow-up with the meeting link can be sent. After
+ * BOOKING_RETRY_MAX_ATTEMPTS, or as soon as the provider rejects the
+ * booking (slot taken, invalid data), the job is dead-lettered and a
+ * callback request is queued instead (callbacks.js). Both outcomes are
+ * also emitted as booking.created / booking.failed events (webhooks.js);
+ * unlike the BOOKING_CONFIRMED_WEBHOOK_URL POST those are signed and
+ * retried, so new receivers should subscribe through WEBHOOK_URLS.
+ *
+ * A job is { id, status, tenant_id, attempts, max_attempts, next_attempt_at,
+ * last_error, request, lead, booking, callback_request_id, created_at,
+ * updated_at } where status is "pending", "succeeded" or "dead", `request`
+ * is what calendar.createBooking gets and `lead` holds the flow token,
+ * phone and form fields. The id is the booking's idempotency key, so a
+ * repeated SUMMARY submit finds its job again. Retries run with the
+ * settings of the tenant the job was queued for (see tenants.js).
+ *
+ * The worker (startBookingRetryWorker) polls every BOOKING_RETRY_INTERVAL_MS.
+ * Run it in one process only. Jobs are dropped BOOKING_RETRY_RETENTION_SECONDS
+ * after their last change.
+ *
+ * Config (.env):
+ *   BOOKING_RETRY_STORE=memory|file|sqlite (defaults to STORE_BACKEND)
+ *   BOOKING_RETRY_MAX_ATTEMPTS=5        including the attempt on SUMMARY
+ *   BOOKING_RETRY_BASE_DELAY_MS=60000
+ *   BOOKING_RETRY_MAX_DELAY_MS=3600000
+ *   BOOKING_RETRY_INTERVAL_MS=15000
+ *   BOOKING_RETRY_RETENTION_SECONDS=2592000 (30 days)
+ *   BOOKING_CONFIRMED_WEBHOOK_URL=https://... (optional)
+ */
+
+import axios from "axios";
+import crypto from "crypto";
+import { recordBooking } from "./bookings.js";
+import { CALLBACK_REASONS, queueCallbackRequest } from "./callbacks.js";
+import { BOOKING_ERROR_KINDS, toBookingError } from "./calendar/errors.js";
+import { getCalendarProvider } from "./calendar/index.js";
+import { runIdempotent } from "./idempotency.js";
+import { createLogger } from "./logger.js";
+import { bookingRetriesTotal } from "./metrics.js";
+import { invalidateSlots } from "./slotCache.js";
+import { createStore } from "./store.js";
+import { getTenant, getTenantId, runWithTenant } from "./tenants.js";
+import { emitEvent } from "./webhooks.js";
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BASE_DELAY_MS = 60 * 1000;
+const DEFAULT_MAX_DELAY_MS = 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = 15 * 1000;
+const DEFAULT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+const log = createLogger("booking-retries");
+
+const confirmedListeners = new Set();
+
+let retriesStore = null;
+let worker = null;
+let processing = null; // promise of the pass in progress
+
+function getRetriesStore() {
+  if (!retriesStore) {
+    retriesStore = createStore("booking_retries", {
+      backend: process.env.BOOKING_RETRY_STORE,
+      ttlSeconds:
+        Number(process.env.BOOKING_RETRY_RETENTION_SECONDS) || DEFAULT_RETENTION_SECONDS,
+    });
+  }
+  return retriesStore;
+}
+
+// ---------- HELPERS ----------
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0
+    ? value
+    : fallback;
+}
+
+function getRetryConfig() {
+  return {
+    maxAttempts: readNumber("BOOKING_RETRY_MAX_ATTEMPTS", DEFAULT_MAX_ATTEMPTS),
+    baseDelayMs: readNumber("BOOKING_RETRY_BASE_DELAY_MS", DEFAULT_BASE_DELAY_MS),
+    maxDelayMs: readNumber("BOOKING_RETRY_MAX_DELAY_MS", DEFAULT_MAX_DELAY_MS),
+    intervalMs: readNumber("BOOKING_RETRY_INTERVAL_MS", DEFAULT_INTERVAL_MS),
+  };
+}
+
+// Wait before the attempt after `attempts` failed ones: base, 2x base, 4x ...
+function backoffMs(attempts, { baseDelayMs, maxDelayMs }) {
+  return Math.min(baseDelayMs * 2 ** Math.max(attempts - 1, 0), maxDelayMs);
+}
+
+function describeError(error) {
+  return { kind: error.kind, message: error.message };
+}
+
+// Data of the booking events for a job, shaped like the ones emitted on
+// SUMMARY (see flow.js)
+function bookingEventData(job) {
+  const { lead, request, booking } = job;
+  return {
+    flow_token: lead.flow_token,
+    phone: lead.phone,
+    name: request.name,
+    email: request.email,
+    website: lead.website,
+    company: lead.company,
+    event_type: request.eventType?.id || null,
+    date: lead.date,
+    more_details: request.notes || null,
+    time_zone: request.timeZone,
+    locale: lead.locale || null,
+    booking_status: job.status === "succeeded" ? "confirmed" : "failed",
+    booking_id: booking?.id ?? null,
+    meeting_url: booking?.meetingUrl || null,
+    meeting_time_utc: booking?.start || null,
+    booking_retry_id: job.id,
+  };
+}
+
+async function saveJob(job, changes) {
+  return getRetriesStore().set(job.id, {
+    ...job,
+    ...changes,
+    updated_at: new Date().toISOString(),
+  });
+}
+
+async function notifyConfirmed(job) {
+  for (const listener of confirmedListeners) {
+    try {
+      await listener(job);
+    } catch (error) {
+      log.error("Booking confirmed listener failed", { job_id: job.id, error });
+    }
+  }
+
+  const url = process.env.BOOKING_CONFIRMED_WEBHOOK_URL;
+  if (url) {
+    try {
+      await axios.post(
+        url,
+        { event: "booking.confirmed", job_id: job.id, booking: job.booking, lead: job.lead },
+        { timeout: WEBHOOK_TIMEOUT_MS }
+      );
+    } catch (error) {
+      log.error("Booking confirmed webhook failed", { job_id: job.id, error: error.message });
+    }
+  }
+}
+
+// Give up on a job: the team calls the lead back instead
+async function deadLetter(job, bookingError) {
+  const { lead, request } = job;
+  const callback = await queueCallbackRequest({
+    reason: CALLBACK_REASONS.BOOKING_FAILED,
+    flowToken: lead.flow_token,
+    phone: lead.phone,
+    name: request.name,
+    email: request.email,
+    company: lead.company,
+    website: lead.website,
+    notes: request.notes,
+    date: lead.date,
+    timeZone: request.timeZone,
+  });
+  log.warn("Booking retry dead-lettered", {
+    job_id: job.id,
+    attempts: job.attempts,
+    kind: bookingError.kind,
+    callback_request_id: callback.id,
+  });
+  bookingRetriesTotal.inc({ outcome: "dead" });
+  const dead = await saveJob(job, {
+    status: "dead",
+    last_error: describeError(bookingError),
+    callback_request_id: callback.id,
+  });
+  emitEvent("booking.failed", {
+    ...bookingEventData(dead),
+    booking_error: bookingError.kind,
+    callback_request_id: callback.id,
+  });
+  return dead;
+}
+
+async function attempt(job) {
+  const calendar = getCalendarProvider();
+  const attempts = job.attempts + 1;
+
+  // Under the booking's idempotency key (the job id), so a job queued while
+  // another process was still booking the slot gets that booking back
+  let booking;
+  let replayed;
+  try {
+    ({ result: booking, replayed } = await runIdempotent(job.id, () =>
+      calendar.createBooking(job.request)
+    ));
+  } catch (err) {
+    const bookingError = toBookingError(err);
+    const config = getRetryConfig();
+    if (
+      bookingError.kind !== BOOKING_ERROR_KINDS.PROVIDER_UNAVAILABLE ||
+      attempts >= (job.max_attempts || config.maxAttempts)
+    ) {
+      return deadLetter({ ...job, attempts }, bookingError);
+    }
+
+    const delayMs = backoffMs(attempts, config);
+    log.info("Booking retry failed, trying again later", {
+      job_id: job.id,
+      attempts,
+      delay_ms: delayMs,
+      error: bookingError.message,
+    });
+    bookingRetriesTotal.inc({ outcome: "retried" });
+    return saveJob(job, {
+      attempts,
+      next_attempt_at: new Date(Date.now() + delayMs).toISOString(),
+      last_error: describeError(bookingError),
+    });
+  }
+
+  // A replayed booking was recorded and announced by whoever made it
+  if (!replayed) {
+    await recordBooking({
+      booking,
+      provider: calendar.name,
+      flowToken: job.lead.flow_token,
+      phone: job.lead.phone,
+      name: job.request.name,
+      email: job.request.email,
+      timeZone: job.request.timeZone,
+      eventType: job.request.eventType,
+      locale: job.lead.locale,
+    });
+    invalidateSlots(booking.start || job.request.start);
+  }
+
+  log.info("Booking retry succeeded", { job_id: job.id, attempts, booking_id: booking.id, replayed });
+  bookingRetriesTotal.inc({ outcome: "succeeded" });
+  const succeeded = await saveJob(job, {
+    status: "succeeded",
+    attempts,
+    next_attempt_at: null,
+    booking,
+  });
+  if (!replayed) {
+    emitEvent("booking.created", bookingEventData(succeeded));
+  }
+  await notifyConfirmed(succeeded);
+  return succeeded;
+}
+
+// ---------- PUBLIC API ----------
+
+/**
+ * Store a booking whose first attempt failed, to be retried later.
+ * `request` is the calendar.createBooking argument ({ start, name, email,
+ * timeZone, notes, eventType }), `lead` the rest of the form ({ flow_token,
+ * phone, company, website, date, locale }). Returns the job; a job already queued
+ * under `key` is returned as it is.
+ */
+export const enqueueBookingRetry = async ({ key, request, lead, error }) => {
+  const id = key || crypto.randomUUID();
+  const existing = await getRetriesStore().get(id);
+  if (existing) {
+    return existing;
+  }
+
+  const config = getRetryConfig();
+  const now = new Date();
+  const job = {
+    id,
+    status: "pending",
+    tenant_id: getTenantId(),
+    attempts: 1,
+    max_attempts: config.maxAttempts,
+    next_attempt_at: new Date(now.getTime() + backoffMs(1, config)).toISOString(),
+    last_error: error ? describeError(toBookingError(error)) : null,
+    request,
+    lead: {
+      flow_token: lead?.flow_token || null,
+      phone: lead?.phone || null,
+      company: lead?.company || null,
+      website: lead?.website || null,
+      date: lead?.date || null,
+      locale: lead?.locale || null, // to message the lead in (see i18n.js)
+    },
+    booking: null,
+    callback_request_id: null,
+    created_at: now.toISOString(),
+    updated_at: now.toISOString(),
+  };
+  log.info("Booking queued for retry", { job_id: id, next_attempt_at: job.next_attempt_at });
+
+  const bookingError = toBookingError(error);
+  if (
+    bookingError.kind !== BOOKING_ERROR_KINDS.PROVIDER_UNAVAILABLE ||
+    job.attempts >= job.max_attempts
+  ) {
+    return deadLetter(job, bookingError);
+  }
+  return getRetriesStore().set(id, job);
+};
+
+export const getBookingRetry = async (id) =>
+  id ? getRetriesStore().get(String(id)) : null;
+
+/**
+ * Retry jobs, oldest first, optionally only those with `status`.
+ */
+export const listBookingRetries = async ({ status } = {}) => {
+  const entries = await getRetriesStore().entries();
+  return entries
+    .map(([, job]) => job)
+    .filter((job) => !status || job.status === status)
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+};
+
+/**
+ * Attempt every pending job that is due at `now`, one after the other.
+ * Resolves to the updated jobs. A pass already running is joined.
+ */
+export const processDueRetries = (now = Date.now()) => {
+  if (!processing) {
+    processing = (async () => {
+      const due = (await listBookingRetries({ status: "pending" })).filter(
+        (job) => new Date(job.next_attempt_at).getTime() <= now
+      );
+      const updated = [];
+      for (const job of due) {
+        try {
+          const tenant = job.tenant_id ? getTenant(job.tenant_id) : null;
+          if (job.tenant_id && !tenant) {
+            log.warn("Booking retry for a removed tenant", { job_id: job.id, tenant_id: job.tenant_id });
+            continue;
+          }
+          updated.push(await runWithTenant(tenant, () => attempt(job)));
+        } catch (error) {
+          log.error("Booking retry crashed", { job_id: job.id, error });
+        }
+      }
+      return updated;
+    })().finally(() => {
+      processing = null;
+    });
+  }
+  return processing;
+};
+
+/**
+ * Call `listener(job)` whenever a retry books its slot; `job.booking` is the
+ * provider's booking and `job.lead.phone` who to message. Returns a function
+ * that removes the listener.
+ */
+export const onBookingConfirmed = (listener) => {
+  confirmedListeners.add(listener);
+  return () => confirmedListeners.delete(listener);
+};
+
+export const startBookingRetryWorker = () => {
+  if (!worker) {
+    worker = setInterval(() => {
+      processDueRetries().catch((error) => log.error("Booking retry pass failed", error));
+    }, getRetryConfig().intervalMs);
+    worker.unref();
+  }
+  return worker;
+};
+
+export const stopBookingRetryWorker = () => {
+  clearInterval(worker);
+  worker = null;
+};
@@ -0,0 +1,127 @@
+/**
+ * Local record of the bookings this endpoint made, linked to the flow token
+ * and phone number they came from, so returning users can find, reschedule
+ * or cancel them.
+ *
+ * Bookings belong to the tenant they were made for (see tenants.js) and are
+ * only found from that tenant's requests.
+ *
+ * Config (.env):
+ *   BOOKINGS_STORE=memory|file|sqlite (defaults to STORE_BACKEND)
+ */
+
+import { createStore } from "./store.js";
+import { getTenantId } from "./tenants.js";
+
+// Bookings that no longer take place: cancelled, or replaced by a new one
+// on reschedule (see `rescheduled_to`)
+export const INACTIVE_STATUSES = new Set(["cancelled", "rescheduled"]);
+
+let bookingsStore = null;
+
+function getBookingsStore() {
+  if (!bookingsStore) {
+    bookingsStore = createStore("bookings", {
+      backend: process.env.BOOKINGS_STORE,
+    });
+  }
+  return bookingsStore;
+}
+
+// Provider booking ids are only unique per tenant
+function storeKey(id) {
+  const tenantId = getTenantId();
+  return tenantId ? `${tenantId}:${id}` : String(id);
+}
+
+/**
+ * Remember a booking returned by a calendar provider, with the id of its
+ * event type (see eventTypes.js) so a reschedule keeps it, and the locale
+ * to message the attendee in (see i18n.js).
+ */
+export const recordBooking = async ({
+  booking,
+  provider,
+  flowToken,
+  phone,
+  name,
+  email,
+  timeZone,
+  eventType,
+  locale,
+}) => {
+  const now = new Date().toISOString();
+  const record = {
+    ...booking,
+    id: String(booking.id),
+    tenant_id: getTenantId(),
+    provider,
+    flow_token: flowToken || null,
+    phone: phone || null,
+    name: name || null,
+    email: email || null,
+    time_zone: timeZone || null,
+    event_type: eventType?.id || null,
+    locale: locale || null,
+    created_at: now,
+    updated_at: now,
+  };
+  return getBookingsStore().set(storeKey(record.id), record);
+};
+
+export const getBooking = async (id) =>
+  id ? getBookingsStore().get(storeKey(id)) : null;
+
+export const updateBooking = async (id, changes) => {
+  const current = await getBooking(id);
+  if (!current) {
+    return null;
+  }
+  return getBookingsStore().set(storeKey(id), {
+    ...current,
+    ...changes,
+    id: current.id,
+    updated_at: new Date().toISOString(),
+  });
+};
+
+/**
+ * The booking with provider id `id`, or else with provider uid `uid`
+ * (calendar webhooks name both, see calendarWebhooks.js). Null when this
+ * endpoint didn't make it.
+ */
+export const findBooking = async ({ id, uid }) => {
+  const byId = id !== undefined && id !== null ? await getBooking(String(id)) : null;
+  if (byId || !uid) {
+    return byId;
+  }
+
+  const entries = await getBookingsStore().entries();
+  const match = entries.find(
+    ([, record]) => (record.tenant_id ?? null) === getTenantId() && record.uid === uid
+  );
+  return match ? match[1] : null;
+};
+
+/**
+ * Upcoming bookings for a phone number or flow token, soonest first.
+ * Cancelled ones and those replaced by a reschedule are left out.
+ */
+export const findUpcomingBookings = async ({ phone, flowToken, now = Date.now() }) => {
+  if (!phone && !flowToken) {
+    return [];
+  }
+
+  const entries = await getBookingsStore().entries();
+  return entries
+    .map(([, record]) => record)
+    .filter(
+      (record) =>
+        (record.tenant_id ?? null) === getTenantId() &&
+        ((phone && record.phone === phone) ||
+          (flowToken && record.flow_token === flowToken)) &&
+        !INACTIVE_STATUSES.has(record.status) &&
+        new Date(record.start).getTime() > now
+    )
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+};
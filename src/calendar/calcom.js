@@ -0,0 +1,183 @@
+/**
+ * Cal.com v2 calendar provider.
+ *
+ * Config (.env):
+ *   CAL_API_KEY=cal_xxx
+ *   CAL_EVENT_TYPE_ID=3144943          (unless the event type names its own,
+ *                                      see eventTypes.js)
+ *   CAL_API_BASE_URL=https://api.cal.com/v2 (optional)
+ *   CALENDAR_TIMEOUT_MS=8000           per API call, and never past the
+ *                                      request's deadline (see timeout.js)
+ */
+
+import axios from "axios";
+import { BOOKING_ERROR_KINDS, BookingError } from "./errors.js";
+import { createLogger } from "../logger.js";
+import { getSetting } from "../tenants.js";
+import { getRemainingMs } from "../timeout.js";
+import { addDays } from "../timezone.js";
+
+const DEFAULT_CAL_API_BASE_URL = "https://api.cal.com/v2";
+const DEFAULT_TIMEOUT_MS = 8000;
+const CAL_SLOTS_API_VERSION = "2024-09-04";
+const CAL_BOOKING_API_VERSION = "2024-08-13";
+
+const log = createLogger("calcom");
+
+// Cal.com booking -> provider-neutral booking
+function toBooking(b) {
+  return {
+    id: b.id,
+    uid: b.uid || null,
+    start: b.start,
+    end: b.end || null,
+    meetingUrl: b.meetingUrl || b.location || null,
+    status: b.status || null,
+  };
+}
+
+export const createCalComProvider = ({
+  apiKey = getSetting("CAL_API_KEY"),
+  eventTypeId = getSetting("CAL_EVENT_TYPE_ID"),
+  baseUrl = getSetting("CAL_API_BASE_URL") || DEFAULT_CAL_API_BASE_URL,
+  timeoutMs = Number(getSetting("CALENDAR_TIMEOUT_MS")) || DEFAULT_TIMEOUT_MS,
+} = {}) => {
+  function requireApiKey() {
+    if (!apiKey) {
+      throw new Error("CAL_API_KEY is not set");
+    }
+  }
+
+  // Read per call: the time left shrinks as the request goes on (axios
+  // treats 0 as "no timeout", so at least 1 ms)
+  function requestTimeout() {
+    return Math.max(getRemainingMs(timeoutMs), 1);
+  }
+
+  function authHeaders(apiVersion) {
+    return {
+      Authorization: `Bearer ${apiKey}`,
+      "cal-api-version": apiVersion,
+    };
+  }
+
+  // The picked event type's Cal.com event type, else CAL_EVENT_TYPE_ID
+  function calEventTypeId(eventType) {
+    return eventType?.calEventTypeId || eventTypeId;
+  }
+
+  // Cancel/reschedule endpoints are addressed by the booking uid
+  function bookingRef(booking) {
+    return booking.uid || booking.id;
+  }
+
+  // One /slots call for a range of dates (e.g. the whole date dropdown)
+  async function listSlotsRange({ startDate, endDate, timeZone, eventType }) {
+    requireApiKey();
+
+    const response = await axios.get(`${baseUrl}/slots`, {
+      headers: authHeaders(CAL_SLOTS_API_VERSION),
+      params: {
+        eventTypeId: calEventTypeId(eventType),
+        start: startDate,
+        end: endDate,
+        timeZone,
+        format: "time",
+      },
+      timeout: requestTimeout(),
+    });
+
+    const apiData = response.data?.data || {};
+
+    // Dates without free slots are left out of the response
+    const slotsByDate = {};
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+      // e.g. "2025-11-17T10:30:00.000+05:30"
+      slotsByDate[date] = (apiData[date] || []).map((slot) => ({
+        start: slot.start,
+        end: slot.end || null,
+      }));
+    }
+    return slotsByDate;
+  }
+
+  return {
+    name: "calcom",
+
+    async listSlots({ date, timeZone, eventType }) {
+      const slotsByDate = await listSlotsRange({ startDate: date, endDate: date, timeZone, eventType });
+      return slotsByDate[date];
+    },
+
+    listSlotsRange,
+
+    async createBooking({ start, name, email, timeZone, notes, eventType }) {
+      requireApiKey();
+
+      const payload = {
+        start,
+        attendee: {
+          name,
+          email,
+          timeZone,
+        },
+        eventTypeId: Number(calEventTypeId(eventType)),
+      };
+      // Cal.com's default "Additional notes" booking field
+      if (notes) {
+        payload.bookingFieldsResponses = { notes };
+      }
+
+      log.debug("Sending booking to Cal.com", { payload });
+
+      const response = await axios.post(`${baseUrl}/bookings`, payload, {
+        params: {
+          apiKey,
+        },
+        headers: {
+          "Content-Type": "application/json",
+          "cal-api-version": CAL_BOOKING_API_VERSION,
+        },
+        timeout: requestTimeout(),
+      });
+
+      log.debug("Cal.com booking response", { response: response.data });
+
+      // A 2xx we can't read may still have booked the slot
+      if (response.data?.status !== "success" || !response.data.data) {
+        throw new BookingError(BOOKING_ERROR_KINDS.UNKNOWN, "Unexpected Cal.com booking response");
+      }
+      return toBooking(response.data.data);
+    },
+
+    async cancelBooking(booking, { reason } = {}) {
+      requireApiKey();
+
+      const response = await axios.post(
+        `${baseUrl}/bookings/${bookingRef(booking)}/cancel`,
+        { cancellationReason: reason || "Cancelled by attendee" },
+        { headers: authHeaders(CAL_BOOKING_API_VERSION), timeout: requestTimeout() }
+      );
+
+      return toBooking(response.data?.data || { ...booking, status: "cancelled" });
+    },
+
+    async reschedule(booking, { start, reason } = {}) {
+      requireApiKey();
+
+      const response = await axios.post(
+        `${baseUrl}/bookings/${bookingRef(booking)}/reschedule`,
+        { start, reschedulingReason: reason || "Rescheduled by attendee" },
+        { headers: authHeaders(CAL_BOOKING_API_VERSION), timeout: requestTimeout() }
+      );
+
+      if (response.data?.status !== "success" || !response.data.data) {
+        throw new BookingError(
+          BOOKING_ERROR_KINDS.UNKNOWN,
+          "Unexpected Cal.com reschedule response"
+        );
+      }
+      return toBooking(response.data.data);
+    },
+  };
+};
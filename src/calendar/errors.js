@@ -0,0 +1,61 @@
+/**
+ * Booking failures, classified so the flow can answer each one differently:
+ *   slot_taken           - the slot is no longer free, pick another time
+ *   validation           - the provider rejected the booking data
+ *   provider_unavailable - the calendar could not be reached (outage,
+ *                          timeout, missing credentials, 5xx)
+ *   unknown              - the provider answered, but not in a way we can
+ *                          read; the booking may exist, so it is never
+ *                          retried automatically
+ */
+
+export const BOOKING_ERROR_KINDS = {
+  SLOT_TAKEN: "slot_taken",
+  VALIDATION: "validation",
+  PROVIDER_UNAVAILABLE: "provider_unavailable",
+  UNKNOWN: "unknown",
+};
+
+export const BookingError = class BookingError extends Error {
+  constructor (kind, message, cause) {
+    super(message)
+
+    this.name = this.constructor.name
+    this.kind = kind;
+    this.cause = cause;
+  }
+}
+
+// Phrases calendar APIs use when a slot is gone, e.g. Cal.com's
+// "User either already has booking at this time or is not available"
+const SLOT_TAKEN_PATTERN = /already has booking|not available|no available|unavailable|slot|conflict/i;
+
+/**
+ * Turn any provider error (axios error, plain Error) into a BookingError.
+ */
+export const toBookingError = (err) => {
+  if (err instanceof BookingError) {
+    return err;
+  }
+
+  const status = err?.response?.status;
+  const body = err?.response?.data;
+  const message =
+    body?.error?.message || body?.message || err?.message || "Booking failed";
+
+  // No HTTP response: network error, timeout, missing credentials
+  if (!status) {
+    return new BookingError(BOOKING_ERROR_KINDS.PROVIDER_UNAVAILABLE, message, err);
+  }
+
+  if (status === 409 || (status < 500 && SLOT_TAKEN_PATTERN.test(message))) {
+    return new BookingError(BOOKING_ERROR_KINDS.SLOT_TAKEN, message, err);
+  }
+
+  // Bad credentials or rate limits are our problem, not the user's
+  if ([401, 403, 408, 429].includes(status) || status >= 500) {
+    return new BookingError(BOOKING_ERROR_KINDS.PROVIDER_UNAVAILABLE, message, err);
+  }
+
+  return new BookingError(BOOKING_ERROR_KINDS.VALIDATION, message, err);
+};
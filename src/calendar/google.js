@@ -0,0 +1,196 @@
+/**
+ * Google Calendar provider.
+ *
+ * Free slots come from the working hours (see workingHours.js) minus the
+ * busy intervals Google reports for the calendar. Bookings are calendar
+ * events with the attendee invited and a Google Meet link attached.
+ *
+ * Config (.env):
+ *   GOOGLE_CALENDAR_ID=primary
+ *   GOOGLE_ACCESS_TOKEN=ya29...            (short-lived token), or
+ *   GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET / GOOGLE_REFRESH_TOKEN
+ *   GOOGLE_WORKING_HOURS={"mon":[["09:00","17:00"]],...} (optional, in BUSINESS_TIME_ZONE)
+ *   GOOGLE_SLOT_MINUTES=30 (optional, slot spacing; an event type's
+ *                          `minutes` sets the meeting length, see eventTypes.js)
+ *   CALENDAR_TIMEOUT_MS=8000 (per API call, token refresh included, and never
+ *                            past the request's deadline, see timeout.js)
+ */
+
+import axios from "axios";
+import crypto from "crypto";
+import {
+  DEFAULT_SLOT_MINUTES,
+  DEFAULT_WORKING_HOURS,
+  generateSlots,
+  getBookingMinutes,
+} from "./workingHours.js";
+import { getBusinessTimeZone, zonedTimeToDate } from "../timezone.js";
+import { createLogger } from "../logger.js";
+import { getSetting } from "../tenants.js";
+import { getRemainingMs } from "../timeout.js";
+
+const GOOGLE_CALENDAR_BASE_URL = "https://www.googleapis.com/calendar/v3";
+const GOOGLE_TOKEN_URL = "https://oauth2.googleapis.com/token";
+const DEFAULT_TIMEOUT_MS = 8000;
+
+const log = createLogger("google-calendar");
+
+// Google event -> provider-neutral booking
+function toBooking(event) {
+  return {
+    id: event.id,
+    uid: event.iCalUID || null,
+    start: event.start?.dateTime || null,
+    end: event.end?.dateTime || null,
+    meetingUrl: event.hangoutLink || event.htmlLink || null,
+    status: event.status === "cancelled" ? "cancelled" : "accepted",
+  };
+}
+
+function parseWorkingHours(value) {
+  if (!value) {
+    return DEFAULT_WORKING_HOURS;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    log.warn("GOOGLE_WORKING_HOURS is not valid JSON. Using default working hours.");
+    return DEFAULT_WORKING_HOURS;
+  }
+}
+
+export const createGoogleProvider = ({
+  calendarId = getSetting("GOOGLE_CALENDAR_ID") || "primary",
+  accessToken = getSetting("GOOGLE_ACCESS_TOKEN"),
+  clientId = getSetting("GOOGLE_CLIENT_ID"),
+  clientSecret = getSetting("GOOGLE_CLIENT_SECRET"),
+  refreshToken = getSetting("GOOGLE_REFRESH_TOKEN"),
+  workingHours = parseWorkingHours(getSetting("GOOGLE_WORKING_HOURS")),
+  slotMinutes = Number(getSetting("GOOGLE_SLOT_MINUTES")) || DEFAULT_SLOT_MINUTES,
+  workingHoursTimeZone = getBusinessTimeZone(),
+  timeoutMs = Number(getSetting("CALENDAR_TIMEOUT_MS")) || DEFAULT_TIMEOUT_MS,
+} = {}) => {
+  let cachedToken = accessToken ? { value: accessToken, expiresAt: Infinity } : null;
+
+  // Read per call: the time left shrinks as the request goes on (axios
+  // treats 0 as "no timeout", so at least 1 ms)
+  function requestTimeout() {
+    return Math.max(getRemainingMs(timeoutMs), 1);
+  }
+
+  async function getAccessToken() {
+    if (cachedToken && cachedToken.expiresAt > Date.now()) {
+      return cachedToken.value;
+    }
+    if (!clientId || !clientSecret || !refreshToken) {
+      throw new Error("Google Calendar credentials are not set");
+    }
+
+    const response = await axios.post(
+      GOOGLE_TOKEN_URL,
+      new URLSearchParams({
+        client_id: clientId,
+        client_secret: clientSecret,
+        refresh_token: refreshToken,
+        grant_type: "refresh_token",
+      }),
+      { timeout: requestTimeout() }
+    );
+
+    // Refresh a minute early so a token never expires mid-request
+    cachedToken = {
+      value: response.data.access_token,
+      expiresAt: Date.now() + (response.data.expires_in - 60) * 1000,
+    };
+    return cachedToken.value;
+  }
+
+  async function request(method, path, { params, data } = {}) {
+    const token = await getAccessToken();
+    const response = await axios({
+      method,
+      url: `${GOOGLE_CALENDAR_BASE_URL}${path}`,
+      params,
+      data,
+      headers: { Authorization: `Bearer ${token}` },
+      timeout: requestTimeout(),
+    });
+    return response.data;
+  }
+
+  const eventsPath = `/calendars/${encodeURIComponent(calendarId)}/events`;
+
+  function eventTimes(start, timeZone, minutes = slotMinutes) {
+    const startDate = new Date(start);
+    const endDate = new Date(startDate.getTime() + minutes * 60000);
+    return {
+      start: { dateTime: startDate.toISOString(), timeZone },
+      end: { dateTime: endDate.toISOString(), timeZone },
+    };
+  }
+
+  return {
+    name: "google",
+
+    async listSlots({ date, timeZone, eventType }) {
+      const data = await request("post", "/freeBusy", {
+        data: {
+          timeMin: zonedTimeToDate(date, "00:00", timeZone).toISOString(),
+          timeMax: zonedTimeToDate(date, "23:59", timeZone).toISOString(),
+          timeZone,
+          items: [{ id: calendarId }],
+        },
+      });
+
+      const busy = data.calendars?.[calendarId]?.busy || [];
+      return generateSlots({
+        date,
+        timeZone,
+        workingHoursTimeZone,
+        workingHours,
+        slotMinutes: eventType?.minutes || slotMinutes,
+        stepMinutes: slotMinutes,
+        busy,
+      });
+    },
+
+    async createBooking({ start, name, email, timeZone, notes, eventType }) {
+      const event = await request("post", eventsPath, {
+        params: { conferenceDataVersion: 1, sendUpdates: "all" },
+        data: {
+          summary: `${eventType?.title || "Meeting"} with ${name}`,
+          description: notes || "",
+          ...eventTimes(start, timeZone, eventType?.minutes || slotMinutes),
+          attendees: [{ email, displayName: name }],
+          conferenceData: {
+            createRequest: {
+              requestId: crypto.randomUUID(),
+              conferenceSolutionKey: { type: "hangoutsMeet" },
+            },
+          },
+        },
+      });
+
+      return toBooking(event);
+    },
+
+    async cancelBooking(booking) {
+      await request("delete", `${eventsPath}/${encodeURIComponent(booking.id)}`, {
+        params: { sendUpdates: "all" },
+      });
+      return { ...booking, status: "cancelled" };
+    },
+
+    async reschedule(booking, { start, timeZone }) {
+      const event = await request(
+        "patch",
+        `${eventsPath}/${encodeURIComponent(booking.id)}`,
+        {
+          params: { sendUpdates: "all" },
+          data: eventTimes(start, timeZone, getBookingMinutes(booking, slotMinutes)),
+        }
+      );
+      return toBooking(event);
+    },
+  };
+};
@@ -0,0 +1,115 @@
+/**
+ * Calendar provider selection.
+ *
+ * Every provider implements:
+ *   listSlots({ date, timeZone, eventType })    -> [{ start, end }]
+ *     free slots on a date ("YYYY-MM-DD"), starts as ISO strings in `timeZone`
+ *   listSlotsRange({ startDate, endDate, timeZone, eventType }) -> { [date]: [{ start, end }] }
+ *     optional, free slots for several dates in one call (see slotCache.js)
+ *   createBooking({ start, name, email, timeZone, notes, eventType }) -> booking
+ *   cancelBooking(booking, { reason })          -> booking
+ *   reschedule(booking, { start, timeZone, reason }) -> booking
+ *
+ * where a booking is { id, uid, start, end, meetingUrl, status } and
+ * `eventType` the kind of meeting (see eventTypes.js); without one the
+ * provider's own settings apply. A rescheduled booking keeps its length.
+ * Providers throw on failure; callers decide how to fall back.
+ *
+ * Calls are timed and counted per provider and operation (see metrics.js).
+ *
+ * Each tenant (see tenants.js) gets its own provider, built from its settings.
+ *
+ * Config (.env):
+ *   CALENDAR_PROVIDER=calcom|google|local|mock (default: calcom)
+ */
+
+import { createCalComProvider } from "./calcom.js";
+import { createGoogleProvider } from "./google.js";
+import { createLocalProvider } from "./local.js";
+import { createMockProvider } from "./mock.js";
+import { calendarCallDuration, calendarCallsTotal } from "../metrics.js";
+import { getSetting, getTenantId, onTenantsChange } from "../tenants.js";
+
+const PROVIDER_FACTORIES = {
+  calcom: createCalComProvider,
+  google: createGoogleProvider,
+  local: createLocalProvider,
+  mock: createMockProvider,
+};
+
+const INSTRUMENTED_METHODS = [
+  "listSlots",
+  "listSlotsRange",
+  "createBooking",
+  "cancelBooking",
+  "reschedule",
+];
+
+// Tenant id ("" without a tenant) -> provider, see tenants.js
+const configuredProviders = new Map(); // built from the settings
+const replacedProviders = new Map(); // set with setCalendarProvider
+
+// Tenant settings may have changed, rebuild on next use
+onTenantsChange(() => configuredProviders.clear());
+
+// Same provider, with each call timed and counted by outcome
+function instrumentProvider(provider) {
+  const instrumented = { ...provider };
+  for (const operation of INSTRUMENTED_METHODS) {
+    if (typeof provider[operation] !== "function") {
+      continue;
+    }
+    instrumented[operation] = async (...args) => {
+      const labels = { provider: provider.name, operation };
+      const end = calendarCallDuration.startTimer(labels);
+      try {
+        const result = await provider[operation](...args);
+        calendarCallsTotal.inc({ ...labels, outcome: "success" });
+        return result;
+      } catch (err) {
+        calendarCallsTotal.inc({ ...labels, outcome: "error" });
+        throw err;
+      } finally {
+        end();
+      }
+    };
+  }
+  return instrumented;
+}
+
+export const createCalendarProvider = (name, options) => {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown calendar provider "${name}". Use one of: ${Object.keys(PROVIDER_FACTORIES).join(", ")}`
+    );
+  }
+  return factory(options);
+};
+
+// The current tenant's provider
+export const getCalendarProvider = () => {
+  const tenantKey = getTenantId() || "";
+  if (replacedProviders.has(tenantKey)) {
+    return replacedProviders.get(tenantKey);
+  }
+  if (!configuredProviders.has(tenantKey)) {
+    configuredProviders.set(
+      tenantKey,
+      instrumentProvider(createCalendarProvider(getSetting("CALENDAR_PROVIDER") || "calcom"))
+    );
+  }
+  return configuredProviders.get(tenantKey);
+};
+
+// Replace the current tenant's provider (e.g. with a fake one in a
+// simulator); null goes back to the configured one
+export const setCalendarProvider = (provider) => {
+  const tenantKey = getTenantId() || "";
+  if (provider) {
+    replacedProviders.set(tenantKey, instrumentProvider(provider));
+  } else {
+    replacedProviders.delete(tenantKey);
+    configuredProviders.delete(tenantKey);
+  }
+};
@@ -0,0 +1,178 @@
+/**
+ * In-house schedule provider, for teams without an external calendar.
+ *
+ * Working hours come from a JSON schedule file, bookings live in a local
+ * store (memory/file/sqlite, see store.js). The schedule file can also list
+ * fixed busy blocks:
+ *
+ *   {
+ *     "timeZone": "Asia/Kolkata",          (defaults to BUSINESS_TIME_ZONE)
+ *     "slotMinutes": 30,                  (slot spacing and default length; an
+ *                                          event type's `minutes` sets the
+ *                                          length, see eventTypes.js)
+ *     "meetingUrl": "https://meet.example.com/sales",
+ *     "workingHours": { "mon": [["09:00", "13:00"], ["14:00", "17:00"]], ... },
+ *     "busy": [{ "start": "2025-11-17T10:00:00+05:30", "end": "2025-11-17T11:00:00+05:30" }]
+ *   }
+ *
+ * Config (.env):
+ *   LOCAL_SCHEDULE_FILE=./data/schedule.json
+ *   LOCAL_BOOKINGS_STORE=memory|file|sqlite (defaults to STORE_BACKEND)
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createStore } from "../store.js";
+import { createLogger } from "../logger.js";
+import { getSetting, getTenantId } from "../tenants.js";
+import { BOOKING_ERROR_KINDS, BookingError } from "./errors.js";
+import { getBusinessTimeZone, toZonedISOString } from "../timezone.js";
+import {
+  DEFAULT_SLOT_MINUTES,
+  DEFAULT_WORKING_HOURS,
+  generateSlots,
+  getBookingMinutes,
+} from "./workingHours.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_SCHEDULE_FILE = path.join(__dirname, "..", "..", "data", "schedule.json");
+
+const log = createLogger("local-calendar");
+
+// Bookings and moves are checked and written one at a time, so two submits
+// for the same slot can't both pass the clash check before either is stored
+let pendingChange = Promise.resolve();
+
+function runExclusive(fn) {
+  const run = pendingChange.then(fn);
+  pendingChange = run.catch(() => {});
+  return run;
+}
+
+export const createLocalProvider = ({
+  scheduleFile = getSetting("LOCAL_SCHEDULE_FILE") || DEFAULT_SCHEDULE_FILE,
+  // one namespace per tenant, so tenants don't block each other's slots
+  bookingsStore = createStore(
+    getTenantId() ? `local_bookings_${getTenantId()}` : "local_bookings",
+    { backend: process.env.LOCAL_BOOKINGS_STORE }
+  ),
+} = {}) => {
+  // Read on every call so schedule edits apply without a restart
+  function loadSchedule() {
+    let schedule = {};
+    if (fs.existsSync(scheduleFile)) {
+      try {
+        schedule = JSON.parse(fs.readFileSync(scheduleFile, "utf8"));
+      } catch (e) {
+        log.error("Failed to read local schedule file", { file: scheduleFile, error: e.message });
+      }
+    }
+    return {
+      timeZone: schedule.timeZone || getBusinessTimeZone(),
+      slotMinutes: schedule.slotMinutes || DEFAULT_SLOT_MINUTES,
+      workingHours: schedule.workingHours || DEFAULT_WORKING_HOURS,
+      meetingUrl: schedule.meetingUrl || null,
+      busy: schedule.busy || [],
+    };
+  }
+
+  async function activeBookings() {
+    const entries = await bookingsStore.entries();
+    return entries
+      .map(([, booking]) => booking)
+      .filter((booking) => booking.status !== "cancelled");
+  }
+
+  // `minutes`-long free slots; when moving a booking (`ignoreId`) its own
+  // current time doesn't count as taken
+  async function freeSlots(date, timeZone, minutes, ignoreId = null) {
+    const schedule = loadSchedule();
+    const bookings = (await activeBookings()).filter((booking) => booking.id !== ignoreId);
+
+    return generateSlots({
+      date,
+      timeZone,
+      workingHoursTimeZone: schedule.timeZone,
+      workingHours: schedule.workingHours,
+      slotMinutes: minutes || schedule.slotMinutes,
+      stepMinutes: schedule.slotMinutes,
+      busy: [...schedule.busy, ...bookings],
+    });
+  }
+
+  async function isSlotFree(start, minutes, ignoreId = null) {
+    const { timeZone } = loadSchedule();
+    const date = toZonedISOString(start, timeZone).slice(0, 10);
+    const slots = await freeSlots(date, timeZone, minutes, ignoreId);
+    const startMs = new Date(start).getTime();
+    return slots.some((slot) => new Date(slot.start).getTime() === startMs);
+  }
+
+  function bookingTimes(start, minutes) {
+    const startDate = new Date(start);
+    return {
+      start: startDate.toISOString(),
+      end: new Date(startDate.getTime() + minutes * 60000).toISOString(),
+    };
+  }
+
+  return {
+    name: "local",
+
+    async listSlots({ date, timeZone, eventType }) {
+      return freeSlots(date, timeZone, eventType?.minutes);
+    },
+
+    async createBooking({ start, name, email, timeZone, notes, eventType }) {
+      const minutes = eventType?.minutes || loadSchedule().slotMinutes;
+      return runExclusive(async () => {
+        if (!(await isSlotFree(start, minutes))) {
+          throw new BookingError(BOOKING_ERROR_KINDS.SLOT_TAKEN, "Slot is no longer available");
+        }
+
+        const booking = {
+          id: `local_${crypto.randomBytes(8).toString("hex")}`,
+          uid: null,
+          ...bookingTimes(start, minutes),
+          meetingUrl: loadSchedule().meetingUrl,
+          status: "accepted",
+          attendee: { name, email, timeZone },
+          notes: notes || "",
+        };
+        await bookingsStore.set(booking.id, booking);
+        return booking;
+      });
+    },
+
+    async cancelBooking(booking, { reason } = {}) {
+      const stored = await bookingsStore.get(booking.id);
+      if (!stored) {
+        throw new BookingError(BOOKING_ERROR_KINDS.VALIDATION, `Booking ${booking.id} not found`);
+      }
+      const cancelled = { ...stored, status: "cancelled", cancellationReason: reason || null };
+      await bookingsStore.set(booking.id, cancelled);
+      return cancelled;
+    },
+
+    async reschedule(booking, { start }) {
+      return runExclusive(async () => {
+        const stored = await bookingsStore.get(booking.id);
+        if (!stored || stored.status === "cancelled") {
+          throw new BookingError(BOOKING_ERROR_KINDS.VALIDATION, `Booking ${booking.id} not found`);
+        }
+        const minutes = getBookingMinutes(stored, loadSchedule().slotMinutes);
+        if (!(await isSlotFree(start, minutes, booking.id))) {
+          throw new BookingError(BOOKING_ERROR_KINDS.SLOT_TAKEN, "Slot is no longer available");
+        }
+        const moved = { ...stored, ...bookingTimes(start, minutes) };
+        await bookingsStore.set(booking.id, moved);
+        return moved;
+      });
+    },
+  };
+};
+
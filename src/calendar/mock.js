@@ -0,0 +1,140 @@
+/**
+ * In-memory calendar provider for the simulator and tests. Nothing leaves
+ * the process: every day has working hours, bookings live in a Map, and
+ * failures can be scripted.
+ *
+ *   const calendar = createMockProvider();
+ *   calendar.failNext("createBooking", new BookingError("slot_taken", "taken"));
+ *   calendar.bookings; // Map of id -> booking
+ */
+
+import { BOOKING_ERROR_KINDS, BookingError } from "./errors.js";
+import { addDays, getBusinessTimeZone } from "../timezone.js";
+import { DEFAULT_SLOT_MINUTES, generateSlots, getBookingMinutes } from "./workingHours.js";
+
+const EVERY_DAY_09_TO_17 = Object.fromEntries(
+  ["sun", "mon", "tue", "wed", "thu", "fri", "sat"].map((day) => [day, [["09:00", "17:00"]]])
+);
+
+export const createMockProvider = ({
+  workingHours = EVERY_DAY_09_TO_17,
+  slotMinutes = DEFAULT_SLOT_MINUTES,
+  workingHoursTimeZone = getBusinessTimeZone(),
+} = {}) => {
+  const bookings = new Map();
+  const failures = new Map(); // method -> [error, ...]
+  let nextId = 1;
+
+  // Throw the next scripted error for `method`, if any
+  function maybeFail(method) {
+    const queue = failures.get(method);
+    if (queue?.length) {
+      throw queue.shift();
+    }
+  }
+
+  function activeBookings() {
+    return [...bookings.values()].filter((booking) => booking.status !== "cancelled");
+  }
+
+  function isFree(start, minutes, ignoreId = null) {
+    const startMs = new Date(start).getTime();
+    const endMs = startMs + minutes * 60000;
+    return !activeBookings().some(
+      (booking) =>
+        booking.id !== ignoreId &&
+        startMs < new Date(booking.end).getTime() &&
+        endMs > new Date(booking.start).getTime()
+    );
+  }
+
+  function freeSlots(date, timeZone, eventType) {
+    return generateSlots({
+      date,
+      timeZone,
+      workingHoursTimeZone,
+      workingHours,
+      slotMinutes: eventType?.minutes || slotMinutes,
+      stepMinutes: slotMinutes,
+      busy: activeBookings(),
+    });
+  }
+
+  function bookingTimes(start, minutes) {
+    const startDate = new Date(start);
+    return {
+      start: startDate.toISOString(),
+      end: new Date(startDate.getTime() + minutes * 60000).toISOString(),
+    };
+  }
+
+  return {
+    name: "mock",
+    bookings,
+
+    failNext(method, error) {
+      failures.set(method, [...(failures.get(method) || []), error]);
+    },
+
+    async listSlots({ date, timeZone, eventType }) {
+      maybeFail("listSlots");
+      return freeSlots(date, timeZone, eventType);
+    },
+
+    async listSlotsRange({ startDate, endDate, timeZone, eventType }) {
+      maybeFail("listSlotsRange");
+      const slotsByDate = {};
+      for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+        slotsByDate[date] = freeSlots(date, timeZone, eventType);
+      }
+      return slotsByDate;
+    },
+
+    async createBooking({ start, name, email, timeZone, notes, eventType }) {
+      maybeFail("createBooking");
+      const minutes = eventType?.minutes || slotMinutes;
+      if (!isFree(start, minutes)) {
+        throw new BookingError(BOOKING_ERROR_KINDS.SLOT_TAKEN, "Slot is no longer available");
+      }
+
+      const id = `mock_${nextId++}`;
+      const booking = {
+        id,
+        uid: null,
+        ...bookingTimes(start, minutes),
+        meetingUrl: `https://meet.example.com/${id}`,
+        status: "accepted",
+        attendee: { name, email, timeZone },
+        notes: notes || "",
+      };
+      bookings.set(id, booking);
+      return booking;
+    },
+
+    async cancelBooking(booking, { reason } = {}) {
+      maybeFail("cancelBooking");
+      const stored = bookings.get(booking.id);
+      if (!stored) {
+        throw new BookingError(BOOKING_ERROR_KINDS.VALIDATION, `Booking ${booking.id} not found`);
+      }
+      const cancelled = { ...stored, status: "cancelled", cancellationReason: reason || null };
+      bookings.set(booking.id, cancelled);
+      return cancelled;
+    },
+
+    async reschedule(booking, { start }) {
+      maybeFail("reschedule");
+      const stored = bookings.get(booking.id);
+      if (!stored || stored.status === "cancelled") {
+        throw new BookingError(BOOKING_ERROR_KINDS.VALIDATION, `Booking ${booking.id} not found`);
+      }
+      const minutes = getBookingMinutes(stored, slotMinutes);
+      if (!isFree(start, minutes, booking.id)) {
+        throw new BookingError(BOOKING_ERROR_KINDS.SLOT_TAKEN, "Slot is no longer available");
+      }
+      const moved = { ...stored, ...bookingTimes(start, minutes) };
+      bookings.set(booking.id, moved);
+      return moved;
+    },
+  };
+};
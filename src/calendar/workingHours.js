@@ -0,0 +1,87 @@
+/**
+ * Slot generation from working hours, shared by the adapters that don't get
+ * ready-made slots from their backend (Google Calendar, local schedule).
+ */
+
+import { addDays, getWeekdayKey, toZonedISOString, zonedTimeToDate } from "../timezone.js";
+
+// Mon-Fri, 09:00-17:00 in the schedule's time zone
+export const DEFAULT_WORKING_HOURS = {
+  mon: [["09:00", "17:00"]],
+  tue: [["09:00", "17:00"]],
+  wed: [["09:00", "17:00"]],
+  thu: [["09:00", "17:00"]],
+  fri: [["09:00", "17:00"]],
+};
+
+export const DEFAULT_SLOT_MINUTES = 30;
+
+function overlaps(start, end, busy) {
+  return busy.some(
+    (b) => start < new Date(b.end).getTime() && end > new Date(b.start).getTime()
+  );
+}
+
+/**
+ * Free slots for a calendar date ("YYYY-MM-DD") in `timeZone`.
+ *
+ * Working hours are wall clock times in `workingHoursTimeZone` (defaults to
+ * `timeZone`). When the two zones differ, the attendee's date can overlap two
+ * business days, so neighbouring days are generated and filtered.
+ *
+ * Slots are `slotMinutes` long and start every `stepMinutes` (defaults to
+ * `slotMinutes`). `busy` is a list of { start, end } intervals (ISO strings)
+ * that slots must not overlap. Slots that already started are skipped.
+ * Returns [{ start, end }] as ISO strings with `timeZone`'s offset.
+ */
+export const generateSlots = ({
+  date,
+  timeZone,
+  workingHoursTimeZone = timeZone,
+  workingHours = DEFAULT_WORKING_HOURS,
+  slotMinutes = DEFAULT_SLOT_MINUTES,
+  stepMinutes = slotMinutes,
+  busy = [],
+  now = Date.now(),
+}) => {
+  const businessDates =
+    workingHoursTimeZone === timeZone
+      ? [date]
+      : [addDays(date, -1), date, addDays(date, 1)];
+  const slotMs = slotMinutes * 60000;
+  const stepMs = stepMinutes * 60000;
+  const slots = [];
+
+  for (const businessDate of businessDates) {
+    const ranges = workingHours[getWeekdayKey(businessDate)] || [];
+
+    for (const [from, to] of ranges) {
+      const rangeEnd = zonedTimeToDate(businessDate, to, workingHoursTimeZone).getTime();
+      let start = zonedTimeToDate(businessDate, from, workingHoursTimeZone).getTime();
+
+      for (; start + slotMs <= rangeEnd; start += stepMs) {
+        const end = start + slotMs;
+        if (start <= now || overlaps(start, end, busy)) {
+          continue;
+        }
+
+        const zonedStart = toZonedISOString(start, timeZone);
+        if (zonedStart.slice(0, 10) !== date) {
+          continue;
+        }
+        slots.push({
+          start: zonedStart,
+          end: toZonedISOString(end, timeZone),
+        });
+      }
+    }
+  }
+
+  return slots;
+};
+
+// Length of an existing booking in minutes, e.g. to keep it when moving it
+export const getBookingMinutes = (booking, fallback = DEFAULT_SLOT_MINUTES) => {
+  const ms = new Date(booking?.end).getTime() - new Date(booking?.start).getTime();
+  return ms > 0 ? ms / 60000 : fallback;
+};
@@ -0,0 +1,267 @@
+/**
+ * Inbound calendar webhooks: keeps the local bookings (bookings.js) in step
+ * when a host cancels or moves a meeting in Cal.com itself, so the booking
+ * ids handed out on SUCCESS don't go stale.
+ *
+ * Cal.com POSTs { triggerEvent, createdAt, payload } to
+ * POST /webhooks/calendar (POST /tenants/<id>/webhooks/calendar for a
+ * tenant, see server.js), signed with the webhook's secret:
+ *
+ *   x-cal-signature-256: <hex HMAC-SHA256 of the raw body>
+ *
+ * Handled triggers:
+ *   BOOKING_CREATED      syncs the uid and meeting link of a booking this
+ *                        endpoint made; an unknown one is recorded when its
+ *                        metadata names the flow_token it came from
+ *   BOOKING_CANCELLED    marks the booking cancelled
+ *   BOOKING_RESCHEDULED  records the new booking and marks the old one
+ *                        rescheduled (or moves it when the id is kept)
+ *
+ * Other triggers, bookings this endpoint doesn't know and changes it made
+ * itself (a cancel or reschedule on the manage screens) are acknowledged
+ * and ignored.
+ *
+ * A cancel or move made in the calendar is emitted as a booking.cancelled /
+ * booking.rescheduled event with source "calendar" (see webhooks.js): the
+ * onEvent listeners can message the attendee on WhatsApp with its
+ * `notification_message` (in the booking's locale), and it goes out to
+ * WEBHOOK_URLS.
+ *
+ * Config (.env):
+ *   CAL_WEBHOOK_SECRET=long-random-string  (per tenant; without it calendar
+ *                                          webhooks are refused)
+ */
+
+import crypto from "crypto";
+import { findBooking, recordBooking, updateBooking } from "./bookings.js";
+import { getCalendarProvider } from "./calendar/index.js";
+import { formatDateTime, translate } from "./i18n.js";
+import { createLogger } from "./logger.js";
+import { calendarWebhooksTotal } from "./metrics.js";
+import { invalidateSlots } from "./slotCache.js";
+import { getSetting } from "./tenants.js";
+import { emitEvent } from "./webhooks.js";
+
+const SIGNATURE_HEADER = "x-cal-signature-256";
+const SIGNATURE_PATTERN = /^(?:sha256=)?([0-9a-f]{64})$/i;
+
+const CALENDAR_TRIGGERS = {
+  CREATED: "BOOKING_CREATED",
+  CANCELLED: "BOOKING_CANCELLED",
+  RESCHEDULED: "BOOKING_RESCHEDULED",
+};
+
+const log = createLogger("calendar-webhooks");
+
+// ---------- HELPERS ----------
+
+function toISOString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// Cal.com webhook payload -> the parts of the change we use
+function parseCalComPayload(payload = {}) {
+  return {
+    id: payload.bookingId ?? null,
+    uid: payload.uid || null,
+    // BOOKING_RESCHEDULED: the booking that was moved
+    previousId: payload.rescheduleId ?? null,
+    previousUid: payload.rescheduleUid || null,
+    start: toISOString(payload.startTime),
+    end: toISOString(payload.endTime),
+    meetingUrl: payload.metadata?.videoCallUrl || payload.videoCallData?.url || null,
+    reason: payload.cancellationReason || null,
+    metadata: payload.metadata || {},
+    attendee: payload.attendees?.[0] || {},
+  };
+}
+
+// What listeners and WEBHOOK_URLS get for a booking changed in the calendar
+function changeEventData(booking, { status, message, previousBookingId, reason }) {
+  return {
+    source: "calendar",
+    flow_token: booking.flow_token,
+    phone: booking.phone,
+    booking_status: status,
+    booking_id: booking.id,
+    meeting_url: booking.meetingUrl || null,
+    meeting_time_utc: booking.start || null,
+    time_zone: booking.time_zone,
+    locale: booking.locale || null,
+    name: booking.name,
+    email: booking.email,
+    event_type: booking.event_type,
+    ...(previousBookingId ? { previous_booking_id: previousBookingId } : {}),
+    ...(reason !== undefined ? { cancel_reason: reason } : {}),
+    notification_message: message,
+  };
+}
+
+// e.g. "17 Nov 2025, 10:30 am" in the attendee's zone and locale
+function describeTime(booking) {
+  return formatDateTime(booking.start, booking.time_zone || "UTC", booking.locale);
+}
+
+async function bookingCreated(change) {
+  const known = await findBooking(change);
+  if (known) {
+    await updateBooking(known.id, {
+      uid: known.uid || change.uid,
+      meetingUrl: change.meetingUrl || known.meetingUrl || null,
+    });
+    return { status: "updated", booking_id: known.id };
+  }
+
+  // Booked outside the flow, e.g. from a link carrying ?metadata[flow_token]=
+  const { flow_token: flowToken, phone } = change.metadata;
+  if (!flowToken || change.id === null) {
+    return { status: "ignored", reason: "unknown_booking" };
+  }
+  const booking = await recordBooking({
+    booking: {
+      id: change.id,
+      uid: change.uid,
+      start: change.start,
+      end: change.end,
+      meetingUrl: change.meetingUrl,
+      status: "accepted",
+    },
+    provider: getCalendarProvider().name,
+    flowToken,
+    phone: phone ? String(phone).replace(/\D/g, "") : null,
+    name: change.attendee.name,
+    email: change.attendee.email,
+    timeZone: change.attendee.timeZone,
+  });
+  invalidateSlots(booking.start);
+  return { status: "recorded", booking_id: booking.id };
+}
+
+async function bookingCancelled(change) {
+  const booking = await findBooking(change);
+  if (!booking) {
+    return { status: "ignored", reason: "unknown_booking" };
+  }
+  if (booking.status === "cancelled") {
+    return { status: "ignored", reason: "already_cancelled" };
+  }
+
+  const cancelled = await updateBooking(booking.id, {
+    status: "cancelled",
+    cancelled_by: "calendar",
+    cancel_reason: change.reason,
+  });
+  invalidateSlots(booking.start);
+  emitEvent(
+    "booking.cancelled",
+    changeEventData(cancelled, {
+      status: "cancelled",
+      message: translate(booking.locale, "cancelled", { when: describeTime(booking) }),
+      reason: change.reason,
+    })
+  );
+  return { status: "updated", booking_id: booking.id };
+}
+
+async function bookingRescheduled(change) {
+  const booking = await findBooking({ id: change.previousId, uid: change.previousUid });
+  if (!booking) {
+    return { status: "ignored", reason: "unknown_booking" };
+  }
+
+  // Already replaced or moved there, e.g. on RESCHEDULE
+  const keepsId = change.id === null || String(change.id) === booking.id;
+  if (booking.status === "rescheduled" || (keepsId && booking.start === change.start)) {
+    return { status: "ignored", reason: "already_rescheduled" };
+  }
+
+  const moved = {
+    start: change.start,
+    end: change.end,
+    meetingUrl: change.meetingUrl || booking.meetingUrl || null,
+  };
+  let current;
+  if (keepsId) {
+    current = await updateBooking(booking.id, moved);
+  } else {
+    // Cal.com replaces the booking with a new one
+    await updateBooking(booking.id, { status: "rescheduled", rescheduled_to: String(change.id) });
+    current = await recordBooking({
+      booking: { ...moved, id: change.id, uid: change.uid, status: "accepted" },
+      provider: booking.provider,
+      flowToken: booking.flow_token,
+      phone: booking.phone,
+      name: booking.name,
+      email: booking.email,
+      timeZone: booking.time_zone,
+      eventType: booking.event_type ? { id: booking.event_type } : null,
+      locale: booking.locale,
+    });
+  }
+  invalidateSlots(booking.start);
+  invalidateSlots(current.start);
+
+  emitEvent(
+    "booking.rescheduled",
+    changeEventData(current, {
+      status: "rescheduled",
+      message: translate(current.locale, "rescheduled", {
+        time_zone: current.time_zone,
+        time: describeTime(current),
+      }),
+      previousBookingId: keepsId ? null : booking.id,
+    })
+  );
+  return { status: "updated", booking_id: current.id };
+}
+
+const HANDLERS = {
+  [CALENDAR_TRIGGERS.CREATED]: bookingCreated,
+  [CALENDAR_TRIGGERS.CANCELLED]: bookingCancelled,
+  [CALENDAR_TRIGGERS.RESCHEDULED]: bookingRescheduled,
+};
+
+// ---------- PUBLIC API ----------
+
+/**
+ * Whether the request's raw body carries a valid x-cal-signature-256 for
+ * the current tenant's CAL_WEBHOOK_SECRET. Always false without a secret.
+ */
+export const isCalendarWebhookSignatureValid = (req) => {
+  const rawBody = req.rawBody;
+  const signature = req.get(SIGNATURE_HEADER);
+  const secret = getSetting("CAL_WEBHOOK_SECRET");
+  if (!secret) {
+    log.warn("CAL_WEBHOOK_SECRET is not set up. Calendar webhooks are refused.");
+    return false;
+  }
+
+  const match = SIGNATURE_PATTERN.exec(String(signature || "").trim());
+  if (!match || typeof rawBody !== "string") {
+    return false;
+  }
+  const expected = Buffer.from(
+    crypto.createHmac("sha256", secret).update(rawBody).digest("hex"),
+    "hex"
+  );
+  return crypto.timingSafeEqual(expected, Buffer.from(match[1], "hex"));
+};
+
+/**
+ * Apply a verified Cal.com webhook body to the local bookings. Resolves to
+ * { status, booking_id?, reason? } where status is "updated", "recorded" or
+ * "ignored".
+ */
+export const handleCalendarWebhook = async (body) => {
+  const trigger = body?.triggerEvent;
+  const handler = HANDLERS[trigger];
+  if (!handler) {
+    calendarWebhooksTotal.inc({ trigger: trigger || "unknown", outcome: "ignored" });
+    return { status: "ignored", reason: "unhandled_trigger" };
+  }
+
+  const result = await handler(parseCalComPayload(body.payload));
+  log.info("Calendar webhook handled", { trigger, ...result });
+  calendarWebhooksTotal.inc({ trigger, outcome: result.status });
+  return result;
+};
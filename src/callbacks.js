@@ -0,0 +1,102 @@
+/**
+ * Callback requests: leads whose meeting could not be booked on the
+ * calendar (no free times, or the calendar was down), for the team to call
+ * back and agree on a time.
+ *
+ * A request is { id, status, reason, tenant_id, flow_token, phone, name,
+ * email, company, website, notes, date, time_zone, created_at, updated_at }
+ * where status is "pending" until someone marks it "done", and reason is
+ * one of "no_slots", "calendar_error" or "booking_failed". Requests are
+ * dropped CALLBACKS_RETENTION_SECONDS after their last change.
+ *
+ * Config (.env):
+ *   CALLBACKS_STORE=memory|file|sqlite (defaults to STORE_BACKEND)
+ *   CALLBACKS_RETENTION_SECONDS=2592000 (30 days)
+ */
+
+import crypto from "crypto";
+import { createStore } from "./store.js";
+import { getTenantId } from "./tenants.js";
+
+export const CALLBACK_REASONS = {
+  NO_SLOTS: "no_slots",
+  CALENDAR_ERROR: "calendar_error",
+  BOOKING_FAILED: "booking_failed",
+};
+
+const DEFAULT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+let callbacksStore = null;
+
+function getCallbacksStore() {
+  if (!callbacksStore) {
+    callbacksStore = createStore("callbacks", {
+      backend: process.env.CALLBACKS_STORE,
+      ttlSeconds: Number(process.env.CALLBACKS_RETENTION_SECONDS) || DEFAULT_RETENTION_SECONDS,
+    });
+  }
+  return callbacksStore;
+}
+
+/**
+ * Queue a callback request and return it.
+ */
+export const queueCallbackRequest = async ({
+  reason,
+  flowToken,
+  phone,
+  name,
+  email,
+  company,
+  website,
+  notes,
+  date,
+  timeZone,
+}) => {
+  const now = new Date().toISOString();
+  const record = {
+    id: crypto.randomUUID(),
+    status: "pending",
+    reason,
+    tenant_id: getTenantId(),
+    flow_token: flowToken || null,
+    phone: phone || null,
+    name: name || null,
+    email: email || null,
+    company: company || null,
+    website: website || null,
+    notes: notes || null,
+    date: date || null,
+    time_zone: timeZone || null,
+    created_at: now,
+    updated_at: now,
+  };
+  return getCallbacksStore().set(record.id, record);
+};
+
+export const getCallbackRequest = async (id) =>
+  id ? getCallbacksStore().get(String(id)) : null;
+
+export const updateCallbackRequest = async (id, changes) => {
+  const current = await getCallbackRequest(id);
+  if (!current) {
+    return null;
+  }
+  return getCallbacksStore().set(current.id, {
+    ...current,
+    ...changes,
+    id: current.id,
+    updated_at: new Date().toISOString(),
+  });
+};
+
+/**
+ * Callback requests, oldest first, optionally only those with `status`.
+ */
+export const listCallbackRequests = async ({ status } = {}) => {
+  const entries = await getCallbacksStore().entries();
+  return entries
+    .map(([, record]) => record)
+    .filter((record) => !status || record.status === status)
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+};
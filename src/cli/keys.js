@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+/**
+ * Key setup for the endpoint's request encryption.
+ *
+ *   npm run keys -- generate [--out path] [--passphrase x] [--force]
+ *       New passphrase-protected RSA-2048 key, written where encryption.js
+ *       looks for it (PRIVATE_KEY_PATH or src/wa_private_key.pem), plus the
+ *       public key to register with WhatsApp.
+ *   npm run keys -- validate [--key path] [--passphrase x]
+ *       Check that the configured keys (see keyManager.js) load with their
+ *       passphrase and can decrypt.
+ *   npm run keys -- public-key [--key path] [--passphrase x]
+ *       Print the public key and the request that registers it.
+ *
+ * Passphrases default to PRIVATE_KEY_PASSPHRASE(_<ID>) from src/.env.
+ */
+
+import crypto from "crypto";
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import {
+  DEFAULT_KEY_PATH,
+  getConfiguredKeyPaths,
+  getKeyPassphrase,
+  keyIdFromPath,
+  parsePrivateKey,
+} from "../keyManager.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, "..", ".env"), quiet: true });
+
+const USAGE = `Usage: npm run keys -- <generate|validate|public-key> [options]
+
+  --key, --out <path>   private key file (default: PRIVATE_KEY_PATH or src/wa_private_key.pem)
+  --passphrase <value>  key passphrase (default: PRIVATE_KEY_PASSPHRASE from src/.env)
+  --force               overwrite an existing key on generate
+`;
+
+// ---------- HELPERS ----------
+
+function publicKeyPath(keyPath) {
+  return path.join(path.dirname(keyPath), `${keyIdFromPath(keyPath)}.pub.pem`);
+}
+
+function toPublicKeyPem(privateKey) {
+  return crypto.createPublicKey(privateKey).export({ type: "spki", format: "pem" });
+}
+
+// Encrypt and decrypt a test value the way WhatsApp does
+function checkRoundTrip(privateKey) {
+  const secret = crypto.randomBytes(16);
+  const oaep = { padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: "sha256" };
+  const encrypted = crypto.publicEncrypt(
+    { key: crypto.createPublicKey(privateKey), ...oaep },
+    secret
+  );
+  return crypto.privateDecrypt({ key: privateKey, ...oaep }, encrypted).equals(secret);
+}
+
+function printRegistration(publicKeyPem) {
+  console.log(publicKeyPem.trim());
+  console.log(`
+Register it for your business phone number (Graph API):
+
+curl -X POST 'https://graph.facebook.com/v21.0/<PHONE_NUMBER_ID>/whatsapp_business_encryption' \\
+  -H 'Authorization: Bearer <ACCESS_TOKEN>' \\
+  -H 'Content-Type: application/x-www-form-urlencoded' \\
+  --data-urlencode 'business_public_key=${publicKeyPem.trim()}'`);
+}
+
+function loadKeyFile(keyPath, passphrase) {
+  return parsePrivateKey(
+    fs.readFileSync(keyPath, "utf8"),
+    passphrase ?? getKeyPassphrase(keyIdFromPath(keyPath))
+  );
+}
+
+// ---------- COMMANDS ----------
+
+function generate({ out, passphrase, force }) {
+  const keyPath = path.resolve(out || process.env.PRIVATE_KEY_PATH || DEFAULT_KEY_PATH);
+  if (fs.existsSync(keyPath) && !force) {
+    throw new Error(`${keyPath} already exists. Use --force to replace it.`);
+  }
+
+  const generatedPassphrase = !(passphrase || process.env.PRIVATE_KEY_PASSPHRASE);
+  const keyPassphrase =
+    passphrase || process.env.PRIVATE_KEY_PASSPHRASE || crypto.randomBytes(24).toString("base64url");
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: "spki", format: "pem" },
+    privateKeyEncoding: {
+      type: "pkcs8",
+      format: "pem",
+      cipher: "aes-256-cbc",
+      passphrase: keyPassphrase,
+    },
+  });
+
+  fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+  fs.writeFileSync(keyPath, privateKey, { mode: 0o600 });
+  fs.writeFileSync(publicKeyPath(keyPath), publicKey);
+
+  console.log(`✅ Private key written to ${keyPath}`);
+  console.log(`✅ Public key written to ${publicKeyPath(keyPath)}`);
+  if (generatedPassphrase) {
+    console.log(`\nAdd the passphrase to src/.env:\nPRIVATE_KEY_PASSPHRASE=${keyPassphrase}`);
+  }
+  console.log("");
+  printRegistration(publicKey);
+}
+
+function validate({ key, passphrase }) {
+  const keyPaths = key ? [path.resolve(key)] : getConfiguredKeyPaths();
+  let failed = false;
+
+  for (const keyPath of keyPaths) {
+    const id = keyIdFromPath(keyPath);
+    try {
+      const privateKey = loadKeyFile(keyPath, passphrase);
+      const details = privateKey.asymmetricKeyDetails;
+      if (privateKey.asymmetricKeyType !== "rsa" || !checkRoundTrip(privateKey)) {
+        throw new Error("Key cannot decrypt RSA-OAEP-SHA256 requests");
+      }
+      console.log(`✅ "${id}" (${keyPath}): RSA-${details.modulusLength}, loads and decrypts`);
+    } catch (e) {
+      failed = true;
+      const message = e.code === "ENOENT" ? "file not found" : e.message;
+      console.error(`❌ "${id}" (${keyPath}): ${message}`);
+    }
+  }
+
+  if (failed) {
+    process.exitCode = 1;
+  }
+}
+
+function publicKey({ key, passphrase }) {
+  const keyPath = path.resolve(key || getConfiguredKeyPaths()[0]);
+  printRegistration(toPublicKeyPem(loadKeyFile(keyPath, passphrase)));
+}
+
+const COMMANDS = { generate, validate, "public-key": publicKey };
+
+// ---------- MAIN ----------
+
+try {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      key: { type: "string" },
+      out: { type: "string" },
+      passphrase: { type: "string" },
+      force: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  const command = COMMANDS[positionals[0]];
+  if (!command || values.help) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+  } else {
+    command({ ...values, key: values.key || values.out, out: values.out || values.key });
+  }
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exitCode = 1;
+}
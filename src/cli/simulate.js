@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * Local WhatsApp client simulator for `POST /`.
+ *
+ *   npm run simulate
+ *       Offline APPOINTMENT -> SUCCESS walkthrough against an in-process
+ *       server with a throwaway key, a random APP_SECRET and the mock
+ *       calendar provider (calendar/mock.js).
+ *   npm run simulate -- walkthrough --url http://localhost:3000/ --public-key key.pub.pem
+ *       The same walkthrough against a running endpoint (signed with
+ *       APP_SECRET from src/.env).
+ *   npm run simulate -- send '{"action":"ping"}' [--url ... --public-key ...]
+ *       Send one payload and print the decrypted response.
+ *
+ * Flow tokens are minted with FLOW_TOKEN_SECRET when it is set, or taken
+ * from --flow-token.
+ */
+
+import crypto from "crypto";
+import dotenv from "dotenv";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { createFlowSimulator } from "../simulator.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const USAGE = `Usage: npm run simulate -- [walkthrough|send <json>] [options]
+
+  --url <url>             endpoint to call (default: an offline in-process server)
+  --public-key <path>     endpoint public key PEM (required with --url)
+  --flow-token <token>    flow token to send (default: minted with FLOW_TOKEN_SECRET)
+  --phone <number>        phone number for minted flow tokens (default: 919800000000)
+  --verbose               show the server's logs in offline mode
+`;
+
+const print = (...lines) => process.stdout.write(`${lines.join("\n")}\n`);
+
+// ---------- OFFLINE ENDPOINT ----------
+
+// In-process server with everything it needs generated on the fly, so the
+// simulator never touches real keys, stores or calendars
+async function startOfflineEndpoint({ verbose }) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "flow-simulator-"));
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: "spki", format: "pem" },
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+  });
+  const keyPath = path.join(tmpDir, "simulator.pem");
+  fs.writeFileSync(keyPath, privateKey, { mode: 0o600 });
+
+  // Set before server.js loads src/.env, which doesn't override them. Blank
+  // values switch off what would reach outside: webhook receivers (a CRM
+  // would get the simulated leads), tenants and the revocation file.
+  Object.assign(process.env, {
+    PRIVATE_KEY_PATHS: keyPath,
+    APP_SECRET: crypto.randomBytes(16).toString("hex"),
+    FLOW_TOKEN_SECRET: crypto.randomBytes(32).toString("hex"),
+    FLOW_TOKEN_REVOCATION_FILE: "",
+    CALENDAR_PROVIDER: "mock",
+    FLOW_DEFINITION: "appointment",
+    TENANTS_FILE: "",
+    WEBHOOK_URLS: "",
+    BOOKING_CONFIRMED_WEBHOOK_URL: "",
+    DATA_DIR: tmpDir,
+    STORE_BACKEND: "memory",
+    SESSION_STORE: "memory",
+    IDEMPOTENCY_STORE: "memory",
+    BOOKINGS_STORE: "memory",
+    BOOKING_RETRY_STORE: "memory",
+    CALLBACKS_STORE: "memory",
+    WEBHOOK_STORE: "memory",
+    LOCAL_BOOKINGS_STORE: "memory",
+    LOG_LEVEL: verbose ? process.env.LOG_LEVEL || "debug" : "silent",
+  });
+
+  const { app } = await import("../server.js");
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/`,
+    publicKey,
+    appSecret: process.env.APP_SECRET,
+    close() {
+      server.close();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    },
+  };
+}
+
+async function getFlowToken({ flowToken, phone }) {
+  if (flowToken) {
+    return flowToken;
+  }
+  const { createFlowToken, isFlowTokenSigningEnabled } = await import("../flowToken.js");
+  if (isFlowTokenSigningEnabled()) {
+    return createFlowToken({ phone, flowId: "simulator" });
+  }
+  return `simulator-${crypto.randomBytes(8).toString("hex")}`;
+}
+
+// ---------- WALKTHROUGH ----------
+
+function expectScreen(step, result, screen) {
+  if (result.status !== 200 || result.response?.screen !== screen) {
+    throw new Error(
+      `${step}: expected ${screen}, got HTTP ${result.status} ${JSON.stringify(result.response)}`
+    );
+  }
+  return result.response.data;
+}
+
+async function walkthrough(simulator, flow_token) {
+  const exchange = (screen, data) =>
+    simulator.send({ version: "3.0", action: "data_exchange", screen, data, flow_token });
+
+  const ping = await simulator.send({ version: "3.0", action: "ping" });
+  if (ping.status !== 200 || ping.response?.data?.status !== "active") {
+    throw new Error(`ping: HTTP ${ping.status} ${JSON.stringify(ping.response)}`);
+  }
+  print("→ ping: active");
+
+  const init = expectScreen(
+    "INIT",
+    await simulator.send({ version: "3.0", action: "INIT", flow_token }),
+    "APPOINTMENT"
+  );
+  const dates = init.date.filter((option) => !option.id.startsWith("page:"));
+  print(`→ INIT: APPOINTMENT with ${dates.length} dates (${init.time_zone})`);
+
+  // First date that has free times
+  let date = null;
+  let time = null;
+  for (const option of dates) {
+    const appointment = expectScreen(
+      "APPOINTMENT",
+      await exchange("APPOINTMENT", { date: option.id }),
+      "APPOINTMENT"
+    );
+    const times = appointment.time.filter((slot) => slot.enabled !== false);
+    print(`→ APPOINTMENT date=${option.id}: ${times.length} times`);
+    if (times.length > 0) {
+      date = option.id;
+      time = times[0].id;
+      break;
+    }
+  }
+  if (!date) {
+    throw new Error("APPOINTMENT: no date with free times");
+  }
+
+  const summary = expectScreen(
+    "DETAILS",
+    await exchange("DETAILS", {
+      name: "Simulated User",
+      email: "simulated.user@example.com",
+      website: "example.com",
+      company: "Example Corp",
+      date,
+      time,
+      more_details: "Booked by the flow simulator",
+    }),
+    "SUMMARY"
+  );
+  print("→ DETAILS: SUMMARY", `  ${summary.appointment.replace(/\n/g, "\n  ")}`);
+
+  const success = expectScreen("SUMMARY", await exchange("SUMMARY", {}), "SUCCESS");
+  const params = success.extension_message_response.params;
+  print(
+    `→ SUMMARY: SUCCESS booking_status=${params.booking_status}`,
+    `  ${params.confirmation_message.replace(/\n/g, "\n  ")}`
+  );
+
+  if (params.booking_status !== "confirmed") {
+    throw new Error(`SUMMARY: booking ${params.booking_status} (${params.booking_error})`);
+  }
+}
+
+// ---------- MAIN ----------
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    url: { type: "string" },
+    "public-key": { type: "string" },
+    "flow-token": { type: "string" },
+    phone: { type: "string", default: "919800000000" },
+    verbose: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false },
+  },
+});
+
+const [command = "walkthrough", payloadJson] = positionals;
+
+if (values.help || !["walkthrough", "send"].includes(command)) {
+  print(USAGE);
+  process.exit(values.help ? 0 : 1);
+}
+
+let endpoint = null;
+try {
+  if (values.url) {
+    if (!values["public-key"]) {
+      throw new Error("--public-key is required with --url");
+    }
+    dotenv.config({ path: path.join(__dirname, "..", ".env"), quiet: true });
+    endpoint = {
+      url: values.url,
+      publicKey: fs.readFileSync(values["public-key"], "utf8"),
+      appSecret: process.env.APP_SECRET,
+      close() {},
+    };
+  } else {
+    endpoint = await startOfflineEndpoint(values);
+  }
+
+  const simulator = createFlowSimulator(endpoint);
+  const flowToken = await getFlowToken({ flowToken: values["flow-token"], phone: values.phone });
+
+  if (command === "send") {
+    const payload = JSON.parse(payloadJson || '{"action":"ping"}');
+    const { status, response } = await simulator.send({ flow_token: flowToken, ...payload });
+    print(`HTTP ${status}`, JSON.stringify(response, null, 2));
+  } else {
+    await walkthrough(simulator, flowToken);
+    print("✅ Walkthrough completed");
+  }
+} catch (e) {
+  print(`❌ ${e.message}`);
+  process.exitCode = 1;
+} finally {
+  endpoint?.close();
+}
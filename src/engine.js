@@ -0,0 +1,444 @@
+/**
+ * Generic interpreter for declarative flow definitions (see flows/*.json).
+ *
+ * A definition describes the screens, the fields each screen collects into
+ * the session, the data each screen is rendered with, and what happens on
+ * INIT / data_exchange / BACK. Anything that needs code (calendar lookups,
+ * bookings) is referenced by name and provided as hooks:
+ *
+ *   createFlowEngine(definition, {
+ *     sources: { name: (ctx) => value },        // computed screen data
+ *     guards:  { name: (ctx) => boolean },      // conditions
+ *     actions: { name: (ctx, rule) => response },
+ *     before:  { name: (ctx) => void },         // run before session merge
+ *     context: (ctx) => void,                   // add flow specific context
+ *   })
+ *
+ * Definition format:
+ *
+ *   {
+ *     "id": "appointment",
+ *     "aliases": { "old_field_name": "field" },
+ *     "session_fields": ["field"],           // kept besides screen fields
+ *     "validation": { "field": { ... } },    // shared rules, see validation.js
+ *     "before": ["hookName"],
+ *     "entry": [ <rule>, ... ],              // INIT
+ *     "rules": [ <rule>, ... ],              // data_exchange, any screen
+ *     "screens": {
+ *       "SCREEN": {
+ *         "fields": ["name", ...],           // merged into the session
+ *         "data": { ... },                   // static data
+ *         "include_session": true,           // render with session fields
+ *         "populate": {                      // computed data
+ *           "key": { "session": "field", "default": "" }
+ *                | { "source": "sourceName" }
+ *                | { "template": "Hi {{name|Guest}} {{@sourceName}}" }
+ *         },
+ *         "on_data_exchange": [ <rule>, ... ],
+ *         "on_back": "OTHER_SCREEN"
+ *       }
+ *     }
+ *   }
+ *
+ * A rule is evaluated when its optional `if` condition holds; the first
+ * matching rule decides the response:
+ *
+ *   { "if": <condition>, "validate": ["field"], "unset": ["field"],
+ *     "render": "SCREEN", "error_message": "..." }
+ *   { "if": <condition>, "action": "actionName", ...options for the action }
+ *
+ * Conditions: { "field": "x", "equals": v } / { "field": "x", "present": true }
+ * on the request data, the same with "session" instead of "field" on the
+ * session, { "guard": "guardName" }, or { "not": <condition> }.
+ *
+ * `validate` checks the listed session fields (or, with `true`, every field
+ * in `validation`) against the shared validation rules; fields without rules
+ * are just required. When one fails, the same
+ * screen is returned with `error_message` and a `<field>_error` entry per
+ * validated field, e.g. "email_error": "Please enter a valid email address.",
+ * and the invalid values are removed from the session.
+ *
+ * Texts in a definition (templates, `error_message`, validation messages)
+ * can be message keys, e.g. { "template": "summary_details" }: they are
+ * looked up in `ctx.locale` (set by the context hook, see i18n.js) and used
+ * as written when no catalog has them.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getMessage } from "./i18n.js";
+import { createLogger } from "./logger.js";
+import { getSession, mergeSession, unsetSessionFields } from "./session.js";
+import { checkFieldRules, validateFields } from "./validation.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FLOWS_DIR = path.join(__dirname, "flows");
+
+const TEMPLATE_PATTERN = /\{\{\s*(@?[\w.]+)(?:\|([^}]*))?\s*\}\}/g;
+
+const log = createLogger("engine");
+
+// ---------- DEFINITION LOADING ----------
+
+function collectRules(definition) {
+  const rules = [...(definition.entry || []), ...(definition.rules || [])];
+  for (const screen of Object.values(definition.screens)) {
+    rules.push(...(screen.on_data_exchange || []));
+  }
+  return rules;
+}
+
+function collectSources(definition) {
+  const sources = [];
+  for (const screen of Object.values(definition.screens)) {
+    for (const spec of Object.values(screen.populate || {})) {
+      if (spec.source) {
+        sources.push(spec.source);
+      }
+      const template = String(spec.template || "");
+      for (const match of (getMessage(undefined, template) ?? template).matchAll(TEMPLATE_PATTERN)) {
+        if (match[1].startsWith("@")) {
+          sources.push(match[1].slice(1));
+        }
+      }
+    }
+  }
+  return sources;
+}
+
+/**
+ * Check that every screen and hook a definition refers to exists, so a
+ * broken variant fails at startup instead of mid-conversation.
+ */
+export const validateFlowDefinition = (definition, hooks = {}) => {
+  const errors = [];
+  const screens = definition.screens || {};
+
+  if (!definition.id) {
+    errors.push("missing id");
+  }
+  if (Object.keys(screens).length === 0) {
+    errors.push("no screens defined");
+  }
+
+  for (const rule of collectRules({ ...definition, screens })) {
+    if (rule.render && !screens[rule.render]) {
+      errors.push(`rule renders unknown screen ${rule.render}`);
+    }
+    if (!rule.render && !rule.action) {
+      errors.push("rule needs a render screen or an action");
+    }
+    if (rule.action && !hooks.actions?.[rule.action]) {
+      errors.push(`unknown action ${rule.action}`);
+    }
+    for (let condition = rule.if; condition; condition = condition.not) {
+      if (condition.guard && !hooks.guards?.[condition.guard]) {
+        errors.push(`unknown guard ${condition.guard}`);
+      }
+    }
+  }
+
+  for (const source of collectSources({ ...definition, screens })) {
+    if (!hooks.sources?.[source]) {
+      errors.push(`unknown source ${source}`);
+    }
+  }
+
+  for (const name of definition.before || []) {
+    if (!hooks.before?.[name]) {
+      errors.push(`unknown before hook ${name}`);
+    }
+  }
+
+  for (const [field, rules] of Object.entries(definition.validation || {})) {
+    errors.push(...checkFieldRules(field, rules));
+  }
+
+  for (const [name, screen] of Object.entries(screens)) {
+    if (screen.on_back && !screens[screen.on_back]) {
+      errors.push(`${name}.on_back refers to unknown screen ${screen.on_back}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid flow definition "${definition.id}": ${errors.join("; ")}`);
+  }
+  return definition;
+};
+
+/**
+ * Load a flow definition by name (flows/<name>.json) or file path.
+ */
+export const loadFlowDefinition = (nameOrPath) => {
+  const file = nameOrPath.endsWith(".json")
+    ? path.resolve(nameOrPath)
+    : path.join(FLOWS_DIR, `${nameOrPath}.json`);
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+};
+
+// ---------- ENGINE ----------
+
+export const createFlowEngine = (definition, hooks = {}) => {
+  validateFlowDefinition(definition, hooks);
+
+  const sources = hooks.sources || {};
+  const guards = hooks.guards || {};
+  const actions = hooks.actions || {};
+  const beforeHooks = hooks.before || {};
+
+  // Every field any screen collects is kept in the session
+  const sessionFields = [
+    ...new Set([
+      ...Object.values(definition.screens).flatMap((screen) => screen.fields || []),
+      ...(definition.session_fields || []),
+    ]),
+  ];
+
+  function normalize(data) {
+    const normalized = {};
+    for (const [key, value] of Object.entries(data || {})) {
+      normalized[key] = typeof value === "string" ? value.trim() : value;
+    }
+    for (const [alias, field] of Object.entries(definition.aliases || {})) {
+      if (normalized[field] === undefined && normalized[alias] !== undefined) {
+        normalized[field] = normalized[alias];
+      }
+    }
+    return normalized;
+  }
+
+  // Sources are memoized per request, several keys can share one lookup
+  async function resolveSource(ctx, name) {
+    if (!ctx.sourceCache.has(name)) {
+      ctx.sourceCache.set(name, Promise.resolve(sources[name](ctx)));
+    }
+    return ctx.sourceCache.get(name);
+  }
+
+  // A definition text in the request's locale, see "Texts" above
+  function localize(ctx, text) {
+    return getMessage(ctx.locale, text) ?? text;
+  }
+
+  async function renderTemplate(ctx, template) {
+    let result = "";
+    let lastIndex = 0;
+    for (const match of template.matchAll(TEMPLATE_PATTERN)) {
+      const [placeholder, key, fallback] = match;
+      const value = key.startsWith("@")
+        ? await resolveSource(ctx, key.slice(1))
+        : ctx.session[key];
+      const isEmpty = value === undefined || value === null || value === "";
+      result += template.slice(lastIndex, match.index);
+      result += isEmpty ? fallback ?? "" : value;
+      lastIndex = match.index + placeholder.length;
+    }
+    return result + template.slice(lastIndex);
+  }
+
+  async function populate(ctx, spec) {
+    if (spec.source) {
+      return resolveSource(ctx, spec.source);
+    }
+    if (spec.template !== undefined) {
+      return renderTemplate(ctx, localize(ctx, spec.template));
+    }
+    if (spec.session) {
+      const value = ctx.session[spec.session];
+      return value === undefined || value === null ? spec.default ?? "" : value;
+    }
+    return spec.value;
+  }
+
+  async function render(ctx, screenName, { errorMessage, data } = {}) {
+    const screen = definition.screens[screenName];
+    const screenData = {
+      ...(screen.data || {}),
+      ...(screen.include_session ? ctx.session : {}),
+    };
+
+    for (const [key, spec] of Object.entries(screen.populate || {})) {
+      screenData[key] = await populate(ctx, spec);
+    }
+    if (errorMessage !== undefined) {
+      screenData.error_message = errorMessage;
+    }
+
+    return {
+      screen: screenName,
+      data: { ...screenData, ...(data || {}) },
+    };
+  }
+
+  async function matches(ctx, condition) {
+    if (!condition) {
+      return true;
+    }
+    if (condition.not) {
+      return !(await matches(ctx, condition.not));
+    }
+    if (condition.guard) {
+      return Boolean(await guards[condition.guard](ctx));
+    }
+
+    const value = condition.field !== undefined
+      ? ctx.data[condition.field]
+      : ctx.session[condition.session];
+    if (condition.present !== undefined) {
+      const present = value !== undefined && value !== null && value !== "";
+      return present === condition.present;
+    }
+    return value === condition.equals;
+  }
+
+  // Same screen with the messages, WhatsApp Flows shows them inline.
+  // Invalid values are dropped from the session: blank fields never
+  // overwrite it, so an optional field could not be cleared otherwise.
+  async function invalidResponse(ctx, fields, errors) {
+    await unsetSessionFields(ctx.flow_token, Object.keys(errors));
+    for (const field of Object.keys(errors)) {
+      delete ctx.session[field];
+    }
+    ctx.refresh();
+
+    const fieldErrors = {};
+    for (const field of fields) {
+      fieldErrors[`${field}_error`] = errors[field] || "";
+    }
+    return render(ctx, ctx.screen, {
+      errorMessage: Object.values(errors).join("\n"),
+      data: fieldErrors,
+    });
+  }
+
+  async function applyRules(ctx, rules) {
+    for (const rule of rules || []) {
+      if (!(await matches(ctx, rule.if))) {
+        continue;
+      }
+
+      if (rule.validate) {
+        const fields =
+          rule.validate === true ? Object.keys(definition.validation || {}) : rule.validate;
+        const { valid, errors } = validateFields(
+          ctx.session,
+          fields,
+          definition.validation,
+          ctx.locale
+        );
+        if (!valid) {
+          return invalidResponse(ctx, fields, errors);
+        }
+      }
+
+      if (rule.unset) {
+        await unsetSessionFields(ctx.flow_token, rule.unset);
+        for (const field of rule.unset) {
+          delete ctx.session[field];
+        }
+        ctx.refresh();
+      }
+
+      if (rule.action) {
+        return actions[rule.action](ctx, rule);
+      }
+      return render(ctx, rule.render, {
+        errorMessage:
+          rule.error_message === undefined ? undefined : localize(ctx, rule.error_message),
+      });
+    }
+    return null;
+  }
+
+  async function createContext(decryptedBody, context) {
+    const { screen, data, action, flow_token } = decryptedBody;
+    const ctx = {
+      definition,
+      body: decryptedBody,
+      action,
+      screen,
+      flow_token,
+      flowToken: context.flowToken || null,
+      data: normalize(data),
+      session: {},
+      sourceCache: new Map(),
+    };
+    ctx.render = (screenName, options) => render(ctx, screenName, options);
+    ctx.success = (params) =>
+      render(ctx, "SUCCESS", {
+        data: { extension_message_response: { params: { flow_token, ...params } } },
+      });
+    // Forget memoized sources after the session changed mid-request
+    ctx.refresh = () => ctx.sourceCache.clear();
+    return ctx;
+  }
+
+  /**
+   * Handle a decrypted endpoint request. `context.flowToken` is the verified
+   * flow token payload, if any.
+   */
+  const handle = async (decryptedBody, context = {}) => {
+    const ctx = await createContext(decryptedBody, context);
+    const { action, screen, flow_token } = ctx;
+
+    // Health check
+    if (action === "ping") {
+      return { data: { status: "active" } };
+    }
+
+    // Client-side error from UI
+    if (ctx.data?.error) {
+      log.warn("Received client error", { screen, data: ctx.data });
+      return { data: { acknowledged: true } };
+    }
+
+    // First open of the flow
+    if (action === "INIT") {
+      ctx.session = await getSession(flow_token);
+      await hooks.context?.(ctx);
+      const response = await applyRules(ctx, definition.entry);
+      if (response) {
+        return response;
+      }
+    }
+
+    // User went back to a screen with refresh_on_back
+    if (action === "BACK" && definition.screens[screen]) {
+      ctx.session = await getSession(flow_token);
+      await hooks.context?.(ctx);
+      return render(ctx, definition.screens[screen].on_back || screen);
+    }
+
+    // Main interaction
+    if (action === "data_exchange") {
+      for (const name of definition.before || []) {
+        await beforeHooks[name](ctx);
+      }
+
+      // Server-side state wins over the client payload: every screen merges
+      // what it sent, and handlers read the accumulated session.
+      ctx.session = await mergeSession(flow_token, ctx.data, sessionFields);
+      await hooks.context?.(ctx);
+
+      const response =
+        (await applyRules(ctx, definition.rules)) ||
+        (await applyRules(ctx, definition.screens[screen]?.on_data_exchange));
+      if (response) {
+        return response;
+      }
+
+      log.error("Unhandled screen", { screen });
+      return { data: { acknowledged: true } };
+    }
+
+    log.error("Unhandled request", { action, screen });
+    throw new Error(
+      "Unhandled endpoint request. Make sure you handle the request action & screen logged above."
+    );
+  };
+
+  return { definition, handle, render };
+};
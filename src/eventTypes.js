@@ -0,0 +1,84 @@
+/**
+ * Event types: the kinds of meeting offered in the APPOINTMENT `event_type`
+ * dropdown, e.g. a 15-min intro, a 45-min demo or an on-site visit.
+ *
+ *   EVENT_TYPES=[
+ *     { "id": "intro", "title": "15-min intro", "minutes": 15, "calEventTypeId": 111 },
+ *     { "id": "demo", "title": "45-min demo", "minutes": 45, "calEventTypeId": 222 },
+ *     { "id": "visit", "title": "On-site visit", "minutes": 90, "calEventTypeId": 333 }
+ *   ]
+ *
+ * `minutes` is the meeting length for the providers that build slots from
+ * working hours (google, local, mock); Cal.com takes the length from the
+ * event type `calEventTypeId` (default: CAL_EVENT_TYPE_ID). The first type
+ * is the default, e.g. for flows without the dropdown. Without EVENT_TYPES
+ * there is a single "Meeting" type with the provider's own settings.
+ *
+ * Tenants can have their own catalog (see tenants.js).
+ *
+ * Config (.env):
+ *   EVENT_TYPES=[...] (optional, JSON)
+ */
+
+import { createLogger } from "./logger.js";
+import { getSetting } from "./tenants.js";
+
+const DEFAULT_EVENT_TYPE = { id: "meeting", title: "Meeting", minutes: null, calEventTypeId: null };
+
+const log = createLogger("event-types");
+
+let catalogCache = { raw: undefined, eventTypes: [DEFAULT_EVENT_TYPE] };
+
+// ---------- HELPERS ----------
+
+function parseEventTypes(raw) {
+  if (!raw) {
+    return [DEFAULT_EVENT_TYPE];
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(raw);
+  } catch {
+    log.warn("EVENT_TYPES is not valid JSON. Using the default event type.");
+    return [DEFAULT_EVENT_TYPE];
+  }
+
+  const eventTypes = [];
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    if (!entry?.id || !entry?.title) {
+      log.warn("Skipping event type without id or title", { event_type: entry?.id });
+      continue;
+    }
+    eventTypes.push({
+      id: String(entry.id),
+      title: String(entry.title),
+      minutes: Number(entry.minutes) > 0 ? Number(entry.minutes) : null,
+      calEventTypeId: entry.calEventTypeId ?? null,
+    });
+  }
+  return eventTypes.length > 0 ? eventTypes : [DEFAULT_EVENT_TYPE];
+}
+
+// ---------- PUBLIC API ----------
+
+/**
+ * The current tenant's event types, default first:
+ * [{ id, title, minutes, calEventTypeId }]
+ */
+export const getEventTypes = () => {
+  const raw = getSetting("EVENT_TYPES");
+  if (catalogCache.raw !== raw) {
+    catalogCache = { raw, eventTypes: parseEventTypes(raw) };
+  }
+  return catalogCache.eventTypes;
+};
+
+/**
+ * The event type with `id`, or the default one when `id` is missing or no
+ * longer in the catalog.
+ */
+export const getEventType = (id) => {
+  const eventTypes = getEventTypes();
+  return eventTypes.find((eventType) => eventType.id === id) || eventTypes[0];
+};
@@ -1,423 +1,973 @@
 /**
  * Server-driven WhatsApp Flow with:
- * - APPOINTMENT (name/email/website/company/date/time)
+ * - APPOINTMENT (event type/name/email/website/company/date/time)
  * - DETAILS (extra notes)
- * - SUMMARY (creates Cal.com booking and returns meeting URL/time)
+ * - SUMMARY (creates a booking with the calendar provider and returns meeting URL/time)
+ * - MANAGE_BOOKING (returning user picks one of their upcoming bookings)
+ * - RESCHEDULE (pick a new date/time for that booking)
+ * - CANCEL_CONFIRM (confirm cancelling that booking)
+ *
+ * The manage screens open on INIT when the flow token was minted for
+ * MANAGE_FLOW_ID, or from any screen that sends `intent: "manage"`.
+ *
+ * Each step is also emitted as an event (flow.started, lead.captured,
+ * booking.created/failed/rescheduled/cancelled) for the outbound webhooks
+ * (webhooks.js).
+ *
+ * Screens, fields and transitions are declared in flows/appointment.json and
+ * run by the flow engine (engine.js); this module provides the calendar and
+ * booking logic the definition refers to by name.
  */
 
-import axios from "axios";
-
-// === Cal.com config ===
-// Put these in your .env file in real usage:
-// CAL_API_KEY=cal_xxx
-// CAL_EVENT_TYPE_ID=3144943
-const CAL_API_KEY =
-  process.env.CAL_API_KEY;
-const CAL_API_BASE_URL = "https://api.cal.com/v2";
-const CAL_SLOTS_API_VERSION = "2024-09-04";
-const CAL_BOOKING_API_VERSION = "2024-08-13"; // from your Python sample
-const CAL_EVENT_TYPE_ID = process.env.CAL_EVENT_TYPE_ID;
-const CAL_TIME_ZONE = "Asia/Kolkata"; // change if you want
-
-// ---------- SERVER-DRIVEN SCREENS ----------
-const SCREEN_RESPONSES = {
-  APPOINTMENT: {
-    screen: "APPOINTMENT",
-    data: {
-      name: "",
-      email: "",
-      website: "",
-      company: "",
-
-      // date dropdown (we’ll fill dynamically)
-      date: [],
-      is_date_enabled: true, // date should be enabled from the start
-
-      // fallback time list if Cal.com fails
-      time: [
-        { id: "10:30", title: "10:30" },
-        { id: "11:00", title: "11:00", enabled: false },
-        { id: "11:30", title: "11:30" },
-        { id: "12:00", title: "12:00", enabled: false },
-        { id: "12:30", title: "12:30" },
-      ],
-      is_time_enabled: false, // enabled only after date is chosen
-    },
-  },
-  DETAILS: {
-    screen: "DETAILS",
-    data: {
-      name: "",
-      email: "",
-      website: "",
-      company: "",
-      date: "",
-      time: "",
-    },
-  },
-  SUMMARY: {
-    screen: "SUMMARY",
-    data: {
-      appointment:
-        "Meeting with John Doe from Example Corp (example.com)\nMon Jan 01 2024 at 11:30.",
-      details:
-        "Name: John Doe\nEmail: john@example.com\nWebsite: https://example.com\nCompany: Example Corp\n\nLooking forward to the call.",
-      name: "John Doe",
-      email: "john@example.com",
-      website: "https://example.com",
-      company: "Example Corp",
-      date: "2024-01-01",
-      time: "11:30",
-      more_details: "Looking forward to the call.",
-    },
-  },
-  TERMS: {
-    screen: "TERMS",
-    data: {},
-  },
-  SUCCESS: {
-    screen: "SUCCESS",
-    data: {
-      extension_message_response: {
-        params: {
-          flow_token: "REPLACE_FLOW_TOKEN",
-        },
-      },
-    },
-  },
-};
+import {
+  findUpcomingBookings,
+  getBooking,
+  INACTIVE_STATUSES,
+  recordBooking,
+  updateBooking,
+} from "./bookings.js";
+import { enqueueBookingRetry, getBookingRetry } from "./bookingRetries.js";
+import { CALLBACK_REASONS, queueCallbackRequest } from "./callbacks.js";
+import { BOOKING_ERROR_KINDS, BookingError, toBookingError } from "./calendar/errors.js";
+import { getCalendarProvider } from "./calendar/index.js";
+import { createFlowEngine, loadFlowDefinition } from "./engine.js";
+import { getEventType, getEventTypes } from "./eventTypes.js";
+import {
+  formatDate,
+  formatDateTime,
+  formatTimeOfDay,
+  getMessage,
+  resolveLocale,
+  translate,
+} from "./i18n.js";
+import { bookingIdempotencyKey, getCompletedResult, runIdempotent } from "./idempotency.js";
+import { createLogger } from "./logger.js";
+import { bookingsTotal, fallbackResponsesTotal } from "./metrics.js";
+import {
+  getBookingWindow,
+  getDateOptions,
+  getDatePageStart,
+  isDateBookable,
+  isDatePageOption,
+  meetsMinimumNotice,
+} from "./schedulingRules.js";
+import { getSession, unsetSessionFields } from "./session.js";
+import { getSetting } from "./tenants.js";
+import { getSlots, invalidateSlots, peekSlots, prefetchSlots } from "./slotCache.js";
+import {
+  formatOffset,
+  getBusinessTimeZone,
+  getTimeZoneOffsetMinutes,
+  inferTimeZoneFromPhone,
+  isValidTimeZone,
+  toZonedISOString,
+  zonedTimeToDate,
+} from "./timezone.js";
+import { emitEvent } from "./webhooks.js";
+
+// Calendar backend is chosen with CALENDAR_PROVIDER (see calendar/index.js).
+// Business hours live in BUSINESS_TIME_ZONE, everything shown to the user is
+// in the attendee's time zone (picked on APPOINTMENT or inferred from phone).
+// Time slot ids are ISO instants, e.g. "2025-11-17T05:00:00.000Z".
+// Slots are listed for the event type picked on APPOINTMENT, or for the
+// booking's own when moving it (see eventTypes.js).
+
+// Offered instead of times when a date has no free slots or the calendar
+// can't be reached, e.g. "callback:no_slots"; submitting it queues a callback
+// request with that reason (see callbacks.js)
+const CALLBACK_TIME_PREFIX = "callback:";
+
+const log = createLogger("flow");
 
 // ---------- HELPERS ----------
 
-// Generate next 5 days for date dropdown
-function getNextFiveDaysDateOptions() {
-  const options = [];
-  const today = new Date();
+// User-facing message `key` in the request's locale, or the tenant's copy
+// of it, with {{name}} set from `values` (see i18n.js)
+function message(ctx, key, values = {}) {
+  return translate(ctx.locale, key, values);
+}
+
+// Title of an event type: the locale's `event_type_<id>` message if there
+// is one, else its configured title
+function eventTypeTitle(eventType, locale) {
+  return getMessage(locale, `event_type_${eventType.id}`) ?? eventType.title;
+}
+
+// Attendee time zone: explicit pick first, then a guess from the phone
+// number the flow token was minted for, then the business time zone
+function resolveAttendeeTimeZone(session, flowToken) {
+  if (isValidTimeZone(session.time_zone)) {
+    return session.time_zone;
+  }
+  return inferTimeZoneFromPhone(flowToken?.phone) || getBusinessTimeZone();
+}
+
+// Options for the time zone dropdown, e.g. "Asia/Kolkata (UTC+05:30)".
+// ATTENDEE_TIME_ZONES=Asia/Kolkata,Asia/Dubai,Europe/London adds choices.
+function getTimeZoneOptions(timeZone) {
+  const configured = (getSetting("ATTENDEE_TIME_ZONES") || "")
+    .split(",")
+    .map((zone) => zone.trim())
+    .filter(isValidTimeZone);
+  const zones = [...new Set([timeZone, getBusinessTimeZone(), ...configured, "UTC"])];
+
+  return zones.map((zone) => ({
+    id: zone,
+    title: `${zone} (UTC${formatOffset(getTimeZoneOffsetMinutes(Date.now(), zone))})`,
+  }));
+}
+
+// Dates for the date dropdown (in the attendee's time zone), following the
+// scheduling rules (horizon, weekdays, blackouts, paging; see schedulingRules.js)
+async function getDateDropdownOptions(ctx) {
+  const { timeZone, eventType, locale } = ctx;
+  const options = await getDateOptions({
+    timeZone,
+    pageStart: ctx.session.date_page_start,
+    locale,
+    hasAvailability: async (date) => {
+      try {
+        return (await listBookableSlots(date, timeZone, { eventType })).length > 0;
+      } catch {
+        // Don't hide days just because the calendar is unreachable
+        return true;
+      }
+    },
+  });
+
+  // Mark days the cache already knows are full. They stay selectable so a
+  // callback can still be requested for them.
+  return options.map((option) => {
+    const cached = isDatePageOption(option.id)
+      ? null
+      : peekSlots(option.id, timeZone, { eventType });
+    const bookable = cached?.filter((slot) => meetsMinimumNotice(slot.start));
+    return bookable && bookable.length === 0
+      ? { ...option, title: message(ctx, "fully_booked", { date: option.title }) }
+      : option;
+  });
+}
+
+// Provider slots of `eventType` for a date (cached, see slotCache.js), minus
+// those inside the minimum notice period. `fresh: true` bypasses the cache.
+async function listBookableSlots(date, timeZone, { fresh = false, eventType } = {}) {
+  const slots = await getSlots(date, timeZone, { fresh, eventType });
+  return (slots || []).filter((slot) => meetsMinimumNotice(slot.start));
+}
+
+// Free times for the selected date as { options, status }, where status is
+// "available", or "no_slots" / "calendar_error" with no options. Never
+// makes up times: a degraded date gets a callback option instead (see
+// the timeOptionsWithCallback source).
+async function getTimeAvailability(dateId, timeZone, eventType, locale) {
+  const calendar = getCalendarProvider();
 
-  for (let i = 0; i < 5; i++) {
-    const d = new Date(today);
-    d.setDate(today.getDate() + i);
+  try {
+    const slotsForDate = await listBookableSlots(dateId, timeZone, { eventType });
 
-    const year = d.getFullYear();
-    const month = String(d.getMonth() + 1).padStart(2, "0");
-    const day = String(d.getDate()).padStart(2, "0");
-    const id = `${year}-${month}-${day}`; // "YYYY-MM-DD"
-    const title = d.toDateString(); // e.g. "Sun Nov 16 2025"
+    if (slotsForDate.length === 0) {
+      log.info("No slots for date", { provider: calendar.name, date: dateId });
+      fallbackResponsesTotal.inc({ reason: CALLBACK_REASONS.NO_SLOTS });
+      return { options: [], status: CALLBACK_REASONS.NO_SLOTS };
+    }
 
-    options.push({ id, title });
+    return { options: toTimeOptions(slotsForDate, timeZone, locale), status: "available" };
+  } catch (error) {
+    log.error("Error fetching slots", { provider: calendar.name, date: dateId, error });
+    fallbackResponsesTotal.inc({ reason: CALLBACK_REASONS.CALENDAR_ERROR });
+    return { options: [], status: CALLBACK_REASONS.CALENDAR_ERROR };
   }
+}
+
+// Convert provider slots → time options for WhatsApp dropdown.
+// The id is the slot's instant, the title its wall clock time for the attendee.
+function toTimeOptions(slots, timeZone, locale) {
+  return slots.map((slot) => {
+    // e.g. "2025-11-17T10:30:00+05:30"
+    const start = new Date(slot.start);
+
+    return {
+      id: start.toISOString(),
+      title: formatTimeOfDay(start, timeZone, locale), // "HH:MM"
+    };
+  });
+}
+
+function isCallbackTime(time) {
+  return typeof time === "string" && time.startsWith(CALLBACK_TIME_PREFIX);
+}
+
+function callbackTimeOption(ctx, reason) {
+  return { id: `${CALLBACK_TIME_PREFIX}${reason}`, title: message(ctx, "callback_option") };
+}
 
-  return options;
+// Instant of the chosen slot. Slot ids are ISO instants; a bare "HH:MM"
+// (flows started before slot ids carried the instant) is read as business time.
+function getSlotStart(date, time) {
+  if (!time || isCallbackTime(time)) {
+    return null;
+  }
+  if (time.includes("T")) {
+    return new Date(time).toISOString();
+  }
+  if (!date) {
+    return null;
+  }
+  return zonedTimeToDate(date, time, getBusinessTimeZone()).toISOString();
 }
 
-// Fetch available time slots from Cal.com for the selected date
-async function getAvailableTimeSlotsForDate(dateId) {
-  if (!CAL_API_KEY) {
-    console.warn("CAL_API_KEY is not set. Using static time list.");
-    return SCREEN_RESPONSES.APPOINTMENT.data.time;
+// Re-check the chosen slot right before booking. Resolves to null when the
+// provider can't be asked, so the booking attempt itself decides.
+async function isSlotStillAvailable(date, start, timeZone, eventType) {
+  const calendar = getCalendarProvider();
+
+  if (!isDateBookable(date, timeZone)) {
+    return false;
   }
 
   try {
-    const response = await axios.get(`${CAL_API_BASE_URL}/slots`, {
-      headers: {
-        Authorization: `Bearer ${CAL_API_KEY}`,
-        "cal-api-version": CAL_SLOTS_API_VERSION,
-      },
-      params: {
-        eventTypeId: CAL_EVENT_TYPE_ID,
-        start: dateId,
-        end: dateId,
-        timeZone: CAL_TIME_ZONE,
-        format: "time",
-      },
+    const slots = await listBookableSlots(date, timeZone, { fresh: true, eventType });
+    return toTimeOptions(slots, timeZone).some((option) => option.id === start);
+  } catch (error) {
+    log.warn("Could not re-check slot before booking", { provider: calendar.name, error });
+    return null;
+  }
+}
+
+// What calendar.createBooking gets for the final form data, or null when
+// something is missing
+function toBookingRequest(normalizedData, timeZone) {
+  const { name, email, date, time, more_details, event_type } = normalizedData;
+  const start = getSlotStart(date, time);
+
+  if (!name || !email || !start) {
+    log.warn("Missing data for booking", {
+      has_name: Boolean(name),
+      has_email: Boolean(email),
+      date,
+      time,
     });
+    return null;
+  }
+  return { start, name, email, timeZone, notes: more_details, eventType: getEventType(event_type) };
+}
 
-    const apiData = response.data?.data || {};
+// Create a booking with the calendar provider using final form data.
+// Throws a BookingError saying why the booking failed.
+async function createBooking(normalizedData, timeZone) {
+  const calendar = getCalendarProvider();
+  const request = toBookingRequest(normalizedData, timeZone);
 
-    // Try exact date key first, fall back to first key if needed
-    let slotsForDate = apiData[dateId];
-    if (!slotsForDate) {
-      const keys = Object.keys(apiData);
-      const firstKey = keys.length > 0 ? keys[0] : null;
-      slotsForDate = firstKey ? apiData[firstKey] : [];
-    }
+  if (!request) {
+    throw new BookingError(BOOKING_ERROR_KINDS.VALIDATION, "Missing data for booking");
+  }
+  const { start } = request;
+
+  try {
+    const booking = await calendar.createBooking(request);
+
+    log.info("Booking created", { provider: calendar.name, booking_id: booking.id });
+    // The slot is gone now, don't offer it from the cache
+    invalidateSlots(booking.start || start);
+    return booking;
+  } catch (err) {
+    log.error("Booking error", { provider: calendar.name, error: err });
+    throw toBookingError(err);
+  }
+}
+
+// Booking fields for the SUCCESS params, shared by new bookings, reschedules
+// and cancellations so the WhatsApp bot/template reads them the same way
+function meetingParams(booking, timeZone, locale) {
+  const params = {
+    booking_id: booking?.id ?? null,
+    meeting_url: booking?.meetingUrl || null,
+    meeting_time_utc: booking?.start || null, // e.g. "2025-11-17T05:00:00.000Z"
+    // kept for existing templates, in BUSINESS_TIME_ZONE
+    meeting_time_ist: null,
+    meeting_time_local: null, // in `locale`
+    time_zone: timeZone,
+    locale,
+  };
 
-    if (!slotsForDate || slotsForDate.length === 0) {
-      console.log(`No Cal.com slots for date ${dateId}, using static times`);
-      return SCREEN_RESPONSES.APPOINTMENT.data.time;
+  // Show the time in the business and the attendee's time zone,
+  // e.g. "17 Nov 2025, 10:30 am"
+  try {
+    if (params.meeting_time_utc) {
+      params.meeting_time_ist = formatDateTime(params.meeting_time_utc, getBusinessTimeZone(), "en");
+      params.meeting_time_local = formatDateTime(params.meeting_time_utc, timeZone, locale);
     }
+  } catch (e) {
+    log.warn("Failed to format meeting time", e);
+  }
+
+  return params;
+}
+
+// ---------- MANAGE BOOKINGS ----------
+
+// e.g. "Mon 17 Nov 2025 at 10:30 (Asia/Kolkata)"
+function describeBookingTime(ctx, start) {
+  const { timeZone, locale } = ctx;
+  return message(ctx, "booking_time", {
+    date: formatDate(toZonedISOString(start, timeZone).slice(0, 10), locale),
+    time: formatTimeOfDay(start, timeZone, locale),
+    time_zone: timeZone,
+  });
+}
+
+// Whether the booking belongs to the requester's phone number or flow token
+function isOwnBooking(booking, flow_token, flowToken) {
+  const ownsByPhone = Boolean(flowToken?.phone) && booking.phone === flowToken.phone;
+  const ownsByToken = Boolean(flow_token) && booking.flow_token === flow_token;
+  return ownsByPhone || ownsByToken;
+}
+
+// A booking the requester may change: it must be their own and not be
+// cancelled or replaced by a reschedule already
+async function getOwnedBooking(bookingId, flow_token, flowToken) {
+  const booking = await getBooking(bookingId);
+  // the same bookings findUpcomingBookings leaves out of the list
+  if (!booking || INACTIVE_STATUSES.has(booking.status)) {
+    return null;
+  }
+  return isOwnBooking(booking, flow_token, flowToken) ? booking : null;
+}
 
-    // Convert Cal.com slot → time options for WhatsApp dropdown
-    return slotsForDate.map((slot) => {
-      // e.g. "2025-11-17T05:00:00.000Z" or "2025-11-17T10:30:00+05:30"
-      const start = slot.start;
-      const timePart = start.split("T")[1].slice(0, 5); // "HH:MM"
+const rescheduleKey = (booking, start) => `reschedule:${booking.id}:${start}`;
 
-      return {
-        id: timePart,
-        title: timePart,
-      };
+// ---------- FLOW HOOKS ----------
+// Named sources, guards and actions the flow definition (flows/*.json)
+// refers to. `ctx` is the engine's request context (see engine.js) with
+// `timeZone`, `locale` and `eventType` added by the context hook below.
+
+// Upcoming bookings of the requester, looked up once per request
+function upcomingBookings(ctx) {
+  if (!ctx.upcomingBookings) {
+    ctx.upcomingBookings = findUpcomingBookings({
+      phone: ctx.flowToken?.phone,
+      flowToken: ctx.flow_token,
     });
-  } catch (error) {
-    console.error(
-      "Error fetching Cal.com slots:",
-      error?.response?.data || error.message
-    );
-    return SCREEN_RESPONSES.APPOINTMENT.data.time;
   }
+  return ctx.upcomingBookings;
 }
 
-// Create a booking in Cal.com using final form data
-async function createBooking(normalizedData) {
-  if (!CAL_API_KEY) {
-    console.warn("CAL_API_KEY is not set, skipping Cal.com booking.");
-    return null;
+// Free times for the session's date, looked up once per request
+function timeAvailability(ctx) {
+  if (!ctx.timeAvailability) {
+    ctx.timeAvailability = ctx.session.date
+      ? getTimeAvailability(ctx.session.date, ctx.timeZone, ctx.eventType, ctx.locale)
+      : Promise.resolve({ options: [], status: "available" });
   }
+  return ctx.timeAvailability;
+}
 
-  try {
-    const { name, email, date, time } = normalizedData;
+// The booking picked on MANAGE_BOOKING, if the requester may change it
+function selectedBooking(ctx) {
+  if (!ctx.selectedBooking) {
+    ctx.selectedBooking = getOwnedBooking(ctx.session.booking_id, ctx.flow_token, ctx.flowToken);
+  }
+  return ctx.selectedBooking;
+}
+
+// The selected booking's move to the picked slot, if a submit already made
+// it: { booking, moved }. The booking may be `rescheduled` by now, so only
+// ownership is checked.
+function completedReschedule(ctx) {
+  if (!ctx.completedReschedule) {
+    ctx.completedReschedule = (async () => {
+      const start = getSlotStart(ctx.session.date, ctx.session.time);
+      const booking = start ? await getBooking(ctx.session.booking_id) : null;
+      if (!booking || !isOwnBooking(booking, ctx.flow_token, ctx.flowToken)) {
+        return null;
+      }
+      const moved = await getCompletedResult(rescheduleKey(booking, start));
+      return moved ? { booking, moved } : null;
+    })();
+  }
+  return ctx.completedReschedule;
+}
+
+// Screens where the requester works on one of their bookings
+const MANAGE_SCREENS = new Set(["MANAGE_BOOKING", "RESCHEDULE", "CANCEL_CONFIRM"]);
+
+// Event type to list slots for: the one picked on APPOINTMENT, or the
+// selected booking's own while moving it
+async function resolveEventType(ctx) {
+  if (MANAGE_SCREENS.has(ctx.screen) && ctx.session.booking_id) {
+    return getEventType((await selectedBooking(ctx))?.event_type);
+  }
+  return getEventType(ctx.session.event_type);
+}
+
+const sources = {
+  eventType: (ctx) => ctx.eventType.id,
+  eventTypeOptions: (ctx) =>
+    getEventTypes().map((eventType) => ({
+      id: eventType.id,
+      title: eventTypeTitle(eventType, ctx.locale),
+    })),
+  eventTypeTitle: (ctx) => eventTypeTitle(ctx.eventType, ctx.locale),
+  dateOptions: (ctx) => getDateDropdownOptions(ctx),
+  timeOptions: async (ctx) => (await timeAvailability(ctx)).options,
+  // Same, but a date without free times offers a callback request instead
+  timeOptionsWithCallback: async (ctx) => {
+    const { options, status } = await timeAvailability(ctx);
+    return status === "available" ? options : [callbackTimeOption(ctx, status)];
+  },
+  // Why a picked date has no times, shown as the screen's error_message
+  availabilityMessage: async (ctx) => {
+    const { status } = await timeAvailability(ctx);
+    if (status === CALLBACK_REASONS.NO_SLOTS) {
+      return message(ctx, "no_free_times", { date: formatDate(ctx.session.date, ctx.locale) });
+    }
+    if (status === CALLBACK_REASONS.CALENDAR_ERROR) {
+      return message(ctx, "times_unavailable");
+    }
+    return "";
+  },
+  hasDate: (ctx) => Boolean(ctx.session.date),
+  timeZone: (ctx) => ctx.timeZone,
+  timeZoneOptions: (ctx) => getTimeZoneOptions(ctx.timeZone),
+
+  // e.g. "Mon 17 Nov 2025" and "10:30 (Asia/Kolkata)" for SUMMARY
+  dateTitle: (ctx) => (ctx.session.date ? formatDate(ctx.session.date, ctx.locale) : ""),
+  timeTitle: (ctx) => {
+    if (isCallbackTime(ctx.session.time)) {
+      return message(ctx, "callback_time");
+    }
+    const slotStart = getSlotStart(ctx.session.date, ctx.session.time);
+    return slotStart
+      ? message(ctx, "slot_time", {
+          time: formatTimeOfDay(slotStart, ctx.timeZone, ctx.locale),
+          time_zone: ctx.timeZone,
+        })
+      : ctx.session.time || "";
+  },
+
+  bookingOptions: async (ctx) =>
+    (await upcomingBookings(ctx)).map((booking) => ({
+      id: booking.id,
+      title: describeBookingTime(ctx, booking.start),
+    })),
+  hasBookings: async (ctx) => (await upcomingBookings(ctx)).length > 0,
+  noBookingsMessage: async (ctx) =>
+    (await upcomingBookings(ctx)).length > 0
+      ? ""
+      : message(ctx, "no_bookings"),
+
+  selectedBookingId: async (ctx) => (await selectedBooking(ctx))?.id || "",
+  selectedBookingTime: async (ctx) => {
+    const booking = await selectedBooking(ctx);
+    return booking ? describeBookingTime(ctx, booking.start) : "";
+  },
+  manageActions: (ctx) => [
+    { id: "reschedule", title: message(ctx, "manage_reschedule") },
+    { id: "cancel", title: message(ctx, "manage_cancel") },
+  ],
+};
+
+const guards = {
+  // Flow tokens minted for MANAGE_FLOW_ID open on MANAGE_BOOKING
+  isManageFlow: (ctx) =>
+    Boolean(ctx.flowToken?.flow_id) && ctx.flowToken.flow_id === getSetting("MANAGE_FLOW_ID"),
+  ownsSelectedBooking: async (ctx) => Boolean(await selectedBooking(ctx)),
+  // A retried RESCHEDULE submit, answered before the booking it replaced
+  // fails ownsSelectedBooking
+  rescheduleCompleted: async (ctx) => Boolean(await completedReschedule(ctx)),
+};
 
-    if (!name || !email || !date || !time) {
-      console.warn("Missing data for booking:", { name, email, date, time });
-      return null;
+const before = {
+  // Picking "Show later/earlier dates" in the date dropdown switches page
+  // and clears the previous date/time pick instead of selecting a date.
+  datePaging: async (ctx) => {
+    const datePageStart = getDatePageStart(ctx.data.date);
+    if (datePageStart) {
+      delete ctx.data.date;
+      delete ctx.data.time;
+      ctx.data.date_page_start = datePageStart;
+      await unsetSessionFields(ctx.flow_token, ["date", "time"]);
+    }
+  },
+  // Picking another event type drops the time picked for the previous one,
+  // whose slots had another length
+  eventTypeChange: async (ctx) => {
+    if (!ctx.data.event_type) {
+      return;
+    }
+    const { event_type } = await getSession(ctx.flow_token);
+    if (event_type && event_type !== ctx.data.event_type) {
+      delete ctx.data.time;
+      await unsetSessionFields(ctx.flow_token, ["time"]);
     }
+  },
+};
+
+// Queue a callback request for the session's lead, once per flow and date
+// (a retried submit gets the same request back)
+async function requestCallback(ctx, reason) {
+  const { session, timeZone, flow_token } = ctx;
+  const { result } = await runIdempotent(`callback:${flow_token}:${session.date}`, () =>
+    queueCallbackRequest({
+      reason,
+      flowToken: flow_token,
+      phone: ctx.flowToken?.phone,
+      name: session.name,
+      email: session.email,
+      company: session.company,
+      website: session.website,
+      notes: session.more_details,
+      date: session.date,
+      timeZone,
+    })
+  );
+  log.info("Callback requested", { callback_request_id: result.id, reason, date: session.date });
+  return result;
+}
+
+// SUMMARY confirmed: re-check the slot, book it and report the outcome.
+// `rule.retry_screen` is where the user picks another slot.
+async function createBookingAction(ctx, rule) {
+  const { session, timeZone, flow_token } = ctx;
+  const retryScreen = rule.retry_screen || "APPOINTMENT";
+
+  // No free times were offered, the team calls back instead
+  if (isCallbackTime(session.time)) {
+    const reason = session.time.slice(CALLBACK_TIME_PREFIX.length);
+    const callback = await requestCallback(
+      ctx,
+      Object.values(CALLBACK_REASONS).includes(reason) ? reason : CALLBACK_REASONS.NO_SLOTS
+    );
+    return pendingBookingResponse(ctx, { callback });
+  }
 
-    // Construct Cal.com start: "YYYY-MM-DDTHH:MM:SS+05:30"
-    const start = `${date}T${time}:00.000+05:30`;
+  const slotStart = getSlotStart(session.date, session.time);
+  const bookingKey = bookingIdempotencyKey(flow_token, session.date, slotStart);
 
-    const url = `${CAL_API_BASE_URL}/bookings`;
+  // An earlier submit failed and is being retried in the background
+  const retry = await getBookingRetry(bookingKey);
+  if (retry) {
+    return bookingRetryResponse(ctx, retry);
+  }
 
-    const params = {
-      apiKey: CAL_API_KEY,
-    };
+  // Re-validate the slot first, unless this submit already booked it
+  // (a retry would otherwise find its own booking in the way)
+  if (slotStart && !(await getCompletedResult(bookingKey))) {
+    const available = await isSlotStillAvailable(session.date, slotStart, timeZone, ctx.eventType);
+    if (available === false) {
+      log.info("Slot is gone", { slot: slotStart, retry_screen: retryScreen });
+      bookingsTotal.inc({ outcome: "slot_taken" });
+      return ctx.render(retryScreen, { errorMessage: message(ctx, "slot_taken") });
+    }
+  }
 
-    const payload = {
-      start,
-      attendee: {
-        name,
-        email,
-        timeZone: CAL_TIME_ZONE,
-      },
-      eventTypeId: Number(CAL_EVENT_TYPE_ID),
-    };
+  // Create booking with the calendar provider. A retried or double-tapped
+  // submit for the same token and slot gets the original booking back.
+  let booking = null;
+  let bookingError = null;
+  let replayedBooking = false;
+  try {
+    const { result, replayed } = await runIdempotent(bookingKey, () =>
+      createBooking(session, timeZone)
+    );
+    booking = result;
+    replayedBooking = replayed;
+    if (replayed) {
+      log.info("Returning existing booking for repeated submit", { booking_id: booking?.id });
+    }
+  } catch (err) {
+    bookingError = toBookingError(err);
+    log.error("Booking failed", { kind: bookingError.kind, error: bookingError.message });
+  }
 
-    console.log("📤 Sending booking to Cal.com:", payload);
+  if (bookingError?.kind === BOOKING_ERROR_KINDS.SLOT_TAKEN) {
+    bookingsTotal.inc({ outcome: "slot_taken" });
+  } else if (bookingError) {
+    bookingsTotal.inc({ outcome: "failed" });
+  } else {
+    bookingsTotal.inc({ outcome: replayedBooking ? "replayed" : "created" });
+  }
+
+  if (bookingError?.kind === BOOKING_ERROR_KINDS.SLOT_TAKEN) {
+    emitBookingFailed(ctx, bookingError);
+    return ctx.render(retryScreen, { errorMessage: message(ctx, "slot_taken") });
+  }
 
-    const response = await axios.post(url, payload, {
-      params,
-      headers: {
-        "Content-Type": "application/json",
-        "cal-api-version": CAL_BOOKING_API_VERSION,
+  if (bookingError?.kind === BOOKING_ERROR_KINDS.VALIDATION) {
+    emitBookingFailed(ctx, bookingError);
+    return ctx.render(retryScreen, {
+      errorMessage: message(ctx, "details_rejected"),
+    });
+  }
+
+  if (bookingError) {
+    // Calendar outage: keep trying in the background (bookingRetries.js).
+    // Anything else is dead-lettered right away and the team calls back.
+    fallbackResponsesTotal.inc({ reason: CALLBACK_REASONS.BOOKING_FAILED });
+    const queued = await enqueueBookingRetry({
+      key: bookingKey,
+      request: toBookingRequest(session, timeZone),
+      lead: {
+        flow_token,
+        phone: ctx.flowToken?.phone,
+        company: session.company,
+        website: session.website,
+        date: session.date,
+        locale: ctx.locale,
       },
+      error: bookingError,
     });
+    // A job dead-lettered right away emits its own booking.failed
+    if (queued.status === "pending") {
+      emitBookingFailed(ctx, bookingError, queued);
+    }
+    return bookingRetryResponse(ctx, queued, bookingError);
+  }
 
-    console.log("📥 Cal.com booking response:", response.data);
-    return response.data;
-  } catch (err) {
-    console.error(
-      "❌ Cal.com booking error:",
-      err.response?.data || err.message
-    );
-    return null;
+  if (!replayedBooking) {
+    await recordBooking({
+      booking,
+      provider: getCalendarProvider().name,
+      flowToken: flow_token,
+      phone: ctx.flowToken?.phone,
+      name: session.name,
+      email: session.email,
+      timeZone,
+      eventType: ctx.eventType,
+      locale: ctx.locale,
+    });
+    emitEvent("booking.created", {
+      ...leadEventData(ctx),
+      booking_status: "confirmed",
+      ...meetingParams(booking, timeZone, ctx.locale),
+    });
   }
+
+  return confirmedBookingResponse(ctx, booking);
 }
 
-// ---------- MAIN HANDLER ----------
+function confirmedBookingResponse(ctx, booking) {
+  const { session, timeZone } = ctx;
+  const params = meetingParams(booking, timeZone, ctx.locale);
+  let confirmationMessage = message(ctx, "booked");
 
-export const getNextScreen = async (decryptedBody) => {
-  const { screen, data, action, flow_token } = decryptedBody;
+  if (params.meeting_time_local) {
+    confirmationMessage += `\n${message(ctx, "booked_time", { time_zone: timeZone, time: params.meeting_time_local })}`;
+  } else {
+    confirmationMessage += `\n${message(ctx, "booked_time_plain", { time: `${session.date} ${session.time}` })}`;
+  }
 
-  console.log("💬 Decrypted body:", JSON.stringify(decryptedBody, null, 2));
+  if (params.meeting_url) {
+    confirmationMessage += `\n${message(ctx, "meeting_link", { url: params.meeting_url })}`;
+  }
 
-  // normalize possible field names
-  const normalizedData = {
-    ...data,
-    date: data?.date || data?.Choose_your_date_d483b0,
+  return ctx.success({
+    // WhatsApp bot/template can use these:
+    confirmation_message: confirmationMessage,
+    booking_status: "confirmed",
+    booking_error: null,
+    callback_request_id: null,
+    booking_retry_id: null,
+    ...params,
+    ...bookingFormFields(ctx),
+  });
+}
+
+// Answer a submit whose booking went to the retry queue: booked by a retry
+// by now, still being retried, or given up on in favour of a callback
+function bookingRetryResponse(ctx, retry, bookingError = null) {
+  if (retry.status === "succeeded") {
+    return confirmedBookingResponse(ctx, retry.booking);
+  }
+  if (retry.status === "dead") {
+    return pendingBookingResponse(ctx, {
+      callback: { id: retry.callback_request_id },
+      bookingError: bookingError || retry.last_error,
+    });
+  }
+  return pendingBookingResponse(ctx, {
+    confirmationMessage: message(ctx, "pending_retry"),
+    retry,
+    bookingError: bookingError || retry.last_error,
+  });
+}
+
+// Original form fields, echoed in the SUCCESS params
+function bookingFormFields(ctx) {
+  const { session } = ctx;
+  const eventType = getEventType(session.event_type);
+  return {
+    name: session.name,
+    email: session.email,
+    website: session.website,
+    company: session.company,
+    event_type: eventType.id,
+    event_type_title: eventTypeTitle(eventType, ctx.locale),
+    date: session.date,
+    time: session.time,
   };
+}
 
-  // Health check
-  if (action === "ping") {
-    return { data: { status: "active" } };
+// Who the lead is and what they filled in, the data of the lead and
+// booking events
+function leadEventData(ctx) {
+  return {
+    flow_token: ctx.flow_token,
+    phone: ctx.flowToken?.phone || null,
+    ...bookingFormFields(ctx),
+    more_details: ctx.session.more_details || null,
+    time_zone: ctx.timeZone,
+    locale: ctx.locale,
+  };
+}
+
+// SUMMARY could not book; `retry` is the background retry still trying
+function emitBookingFailed(ctx, bookingError, retry = null) {
+  emitEvent("booking.failed", {
+    ...leadEventData(ctx),
+    booking_status: retry ? "pending" : "failed",
+    booking_error: bookingError.kind,
+    booking_retry_id: retry?.id ?? null,
+  });
+}
+
+// SUCCESS for a lead without a booking: nothing is on the calendar yet, and
+// either a retry books it later or the team calls back to agree on a time
+function pendingBookingResponse(
+  ctx,
+  {
+    confirmationMessage = message(ctx, "pending_callback"),
+    callback = null,
+    retry = null,
+    bookingError = null,
   }
+) {
+  return ctx.success({
+    confirmation_message: confirmationMessage,
+    booking_status: "pending",
+    booking_error: bookingError?.kind || null,
+    callback_request_id: callback?.id ?? null,
+    booking_retry_id: retry?.id ?? null,
+    ...meetingParams(null, ctx.timeZone, ctx.locale),
+    ...bookingFormFields(ctx),
+  });
+}
+
+// Move the selected booking to the slot picked on RESCHEDULE
+async function rescheduleBookingAction(ctx) {
+  const { session, timeZone } = ctx;
+  const calendar = getCalendarProvider();
+  const start = getSlotStart(session.date, session.time);
 
-  // Client-side error from UI
-  if (normalizedData?.error) {
-    console.warn("Received client error:", normalizedData);
-    return { data: { acknowledged: true } };
+  if (!start) {
+    return ctx.render("RESCHEDULE", { errorMessage: message(ctx, "pick_new_time") });
   }
 
-  // First open of the flow
-  if (action === "INIT") {
-    const dateOptions = getNextFiveDaysDateOptions();
+  // A retried submit gets the move it already made back
+  const completed = await completedReschedule(ctx);
+  if (completed) {
+    log.info("Returning existing reschedule for repeated submit", {
+      booking_id: completed.moved.id,
+    });
+    return rescheduledResponse(ctx, completed.booking, completed.moved);
+  }
 
-    return {
-      ...SCREEN_RESPONSES.APPOINTMENT,
-      data: {
-        ...SCREEN_RESPONSES.APPOINTMENT.data,
-        date: dateOptions,
-        is_date_enabled: true,
-        is_time_enabled: false,
-      },
-    };
+  const booking = await selectedBooking(ctx);
+  const key = rescheduleKey(booking, start);
+  const available = await isSlotStillAvailable(session.date, start, timeZone, ctx.eventType);
+  if (available === false) {
+    return ctx.render("RESCHEDULE", { errorMessage: message(ctx, "slot_taken") });
   }
 
-  // Main interaction
-  if (action === "data_exchange") {
-    switch (screen) {
-      // User is interacting with APPOINTMENT screen
-      case "APPOINTMENT": {
-        const dateOptions = getNextFiveDaysDateOptions();
-
-        let timeOptions = [];
-        if (normalizedData?.date) {
-          timeOptions = await getAvailableTimeSlotsForDate(normalizedData.date);
-        }
-
-        return {
-          ...SCREEN_RESPONSES.APPOINTMENT,
-          data: {
-            ...SCREEN_RESPONSES.APPOINTMENT.data,
-
-            name: normalizedData.name || "",
-            email: normalizedData.email || "",
-            website: normalizedData.website || "",
-            company: normalizedData.company || "",
-
-            date: dateOptions,
-            is_date_enabled: true,
-            is_time_enabled: Boolean(normalizedData.date),
-            time: timeOptions,
-          },
-        };
-      }
+  let moved = null;
+  let replayed = false;
+  let bookingError = null;
+  try {
+    ({ result: moved, replayed } = await runIdempotent(key, () =>
+      calendar.reschedule(booking, {
+        start,
+        timeZone,
+        reason: "Rescheduled via WhatsApp",
+      })
+    ));
+  } catch (err) {
+    bookingError = toBookingError(err);
+    log.error("Reschedule failed", { kind: bookingError.kind, error: bookingError.message });
+  }
 
-      // User submitted DETAILS screen
-      case "DETAILS": {
-        let dateName = normalizedData.date;
-        try {
-          if (normalizedData.date) {
-            const d = new Date(normalizedData.date);
-            if (!isNaN(d.getTime())) {
-              dateName = d.toDateString();
-            }
-          }
-        } catch {
-          // ignore parse error
-        }
-
-        const appointment = `Meeting with ${
-          normalizedData.name || "Guest"
-        } from ${normalizedData.company || "your company"} (${
-          normalizedData.website || "website not provided"
-        })
-${dateName} at ${normalizedData.time}`;
-
-        const details = `Name: ${normalizedData.name}
-Email: ${normalizedData.email}
-Website: ${normalizedData.website}
-Company: ${normalizedData.company}
-"${normalizedData.more_details || ""}"`;
-
-        return {
-          ...SCREEN_RESPONSES.SUMMARY,
-          data: {
-            appointment,
-            details,
-            ...normalizedData,
-          },
-        };
-      }
+  if (bookingError?.kind === BOOKING_ERROR_KINDS.SLOT_TAKEN) {
+    return ctx.render("RESCHEDULE", { errorMessage: message(ctx, "slot_taken") });
+  }
 
-      // User confirmed on SUMMARY screen
-      case "SUMMARY": {
-        // Create booking on Cal.com
-        const bookingResponse = await createBooking(normalizedData);
-
-        let confirmationMessage =
-          "Your details have been submitted. We'll get back to you shortly.";
-        let meetingUrl = null;
-        let bookingId = null;
-        let meetingTimeUtc = null;
-        let meetingTimeIst = null;
-
-        if (
-          bookingResponse &&
-          bookingResponse.status === "success" &&
-          bookingResponse.data
-        ) {
-          const b = bookingResponse.data;
-          bookingId = b.id;
-          meetingUrl = b.meetingUrl || b.location || null;
-          meetingTimeUtc = b.start; // e.g. "2025-11-17T05:00:00.000Z"
-
-          // Convert UTC → IST for nice display
-          try {
-            if (meetingTimeUtc) {
-              const d = new Date(meetingTimeUtc); // UTC
-              meetingTimeIst = d.toLocaleString("en-IN", {
-                timeZone: CAL_TIME_ZONE,
-                year: "numeric",
-                month: "short",
-                day: "2-digit",
-                hour: "2-digit",
-                minute: "2-digit",
-              }); // "17 Nov 2025, 10:30 AM"
-            }
-          } catch (e) {
-            console.warn("Failed to convert meeting time to IST:", e);
-          }
-
-          confirmationMessage = "Your meeting is booked.";
-
-          if (meetingTimeIst) {
-            confirmationMessage += `\nTime (IST): ${meetingTimeIst}`;
-          } else {
-            confirmationMessage += `\nTime: ${normalizedData.date} ${normalizedData.time}`;
-          }
-
-          if (meetingUrl) {
-            confirmationMessage += `\nMeeting link: ${meetingUrl}`;
-          }
-        } else {
-          confirmationMessage =
-            "We could not create the booking automatically, but your details were received.";
-        }
-
-        return {
-          ...SCREEN_RESPONSES.SUCCESS,
-          data: {
-            extension_message_response: {
-              params: {
-                flow_token,
-
-                // WhatsApp bot/template can use these:
-                confirmation_message: confirmationMessage,
-                booking_id: bookingId,
-                meeting_url: meetingUrl,
-                meeting_time_utc: meetingTimeUtc,
-                meeting_time_ist: meetingTimeIst,
-
-                // Original form fields
-                name: normalizedData.name,
-                email: normalizedData.email,
-                website: normalizedData.website,
-                company: normalizedData.company,
-                date: normalizedData.date,
-                time: normalizedData.time,
-              },
-            },
-          },
-        };
-      }
+  // A concurrent submit that got the same move back leaves recording it to
+  // the one that made it
+  if (moved && !replayed) {
+    // Both the old and the new slot changed
+    invalidateSlots(booking.start);
+    invalidateSlots(moved.start);
+
+    // Some providers (Cal.com) replace the booking with a new one
+    if (String(moved.id) !== booking.id) {
+      await updateBooking(booking.id, { status: "rescheduled", rescheduled_to: String(moved.id) });
+      await recordBooking({
+        booking: moved,
+        provider: calendar.name,
+        flowToken: booking.flow_token,
+        phone: booking.phone,
+        name: booking.name,
+        email: booking.email,
+        timeZone,
+        eventType: ctx.eventType,
+        locale: ctx.locale,
+      });
+    } else {
+      await updateBooking(booking.id, { ...moved, time_zone: timeZone });
+    }
+    emitEvent("booking.rescheduled", {
+      source: "flow",
+      flow_token: booking.flow_token,
+      phone: booking.phone,
+      booking_status: "rescheduled",
+      ...meetingParams(moved, timeZone, ctx.locale),
+      previous_booking_id: booking.id,
+      name: booking.name,
+      email: booking.email,
+      event_type: booking.event_type,
+    });
+  }
+
+  return rescheduledResponse(ctx, booking, moved, bookingError);
+}
+
+// SUCCESS for a reschedule: `moved` is the booking at its new time, or null
+// when the provider could not move it
+function rescheduledResponse(ctx, booking, moved, bookingError = null) {
+  const { timeZone } = ctx;
+  const params = meetingParams(moved, timeZone, ctx.locale);
+  return ctx.success({
+    confirmation_message: moved
+      ? message(ctx, "rescheduled", { time_zone: timeZone, time: params.meeting_time_local }) +
+        (params.meeting_url ? `\n${message(ctx, "meeting_link", { url: params.meeting_url })}` : "")
+      : message(ctx, "reschedule_failed"),
+    manage_action: "reschedule",
+    booking_status: moved ? "rescheduled" : "failed",
+    booking_error: bookingError?.kind || null,
+    ...params,
+    previous_booking_id: booking.id,
+    name: booking.name,
+    email: booking.email,
+  });
+}
 
-      default:
-        console.error("Unhandled screen:", screen);
-        return { data: { acknowledged: true } };
+async function cancelBookingAction(ctx) {
+  const { session, timeZone } = ctx;
+  const calendar = getCalendarProvider();
+  const booking = await selectedBooking(ctx);
+
+  let bookingError = null;
+  try {
+    await runIdempotent(`cancel:${booking.id}`, () =>
+      calendar.cancelBooking(booking, {
+        reason: session.cancel_reason || "Cancelled via WhatsApp",
+      })
+    );
+    await updateBooking(booking.id, { status: "cancelled" });
+    invalidateSlots(booking.start);
+    emitEvent("booking.cancelled", {
+      source: "flow",
+      flow_token: booking.flow_token,
+      phone: booking.phone,
+      booking_status: "cancelled",
+      ...meetingParams(booking, timeZone, ctx.locale),
+      name: booking.name,
+      email: booking.email,
+      event_type: booking.event_type,
+      cancel_reason: session.cancel_reason || null,
+    });
+  } catch (err) {
+    bookingError = toBookingError(err);
+    log.error("Cancellation failed", { kind: bookingError.kind, error: bookingError.message });
+  }
+
+  return ctx.success({
+    confirmation_message: bookingError
+      ? message(ctx, "cancel_failed")
+      : message(ctx, "cancelled", { when: describeBookingTime(ctx, booking.start) }),
+    manage_action: "cancel",
+    booking_status: bookingError ? "failed" : "cancelled",
+    booking_error: bookingError?.kind || null,
+    ...meetingParams(booking, timeZone, ctx.locale),
+    name: booking.name,
+    email: booking.email,
+  });
+}
+
+// The form passed validation: report the lead, then show `rule.render`
+// (e.g. SUMMARY) like a plain rule would
+function captureLeadAction(ctx, rule) {
+  emitEvent("lead.captured", leadEventData(ctx));
+  return ctx.render(rule.render);
+}
+
+const actions = {
+  captureLead: captureLeadAction,
+  createBooking: createBookingAction,
+  rescheduleBooking: rescheduleBookingAction,
+  cancelBooking: cancelBookingAction,
+};
+
+export const flowHooks = {
+  sources,
+  guards,
+  before,
+  actions,
+  context: async (ctx) => {
+    ctx.timeZone = resolveAttendeeTimeZone(ctx.session, ctx.flowToken);
+    ctx.locale = resolveLocale({
+      requested: [ctx.session.locale, ctx.flowToken?.locale],
+      phone: ctx.flowToken?.phone,
+    });
+    ctx.eventType = await resolveEventType(ctx);
+
+    if (ctx.action === "INIT") {
+      // Load the whole date range in the background so the date and time
+      // dropdowns that follow are served from the cache
+      const { firstDate, lastDate } = getBookingWindow(ctx.timeZone);
+      prefetchSlots(firstDate, lastDate, ctx.timeZone, { eventType: ctx.eventType }).catch((error) =>
+        log.warn("Slot prefetch failed", { error: error.message })
+      );
+      emitEvent("flow.started", {
+        flow_token: ctx.flow_token,
+        phone: ctx.flowToken?.phone || null,
+        flow_id: ctx.flowToken?.flow_id || null,
+        time_zone: ctx.timeZone,
+        locale: ctx.locale,
+      });
     }
+  },
+};
+
+// ---------- MAIN HANDLER ----------
+
+const engines = new Map(); // flow definition -> engine
+
+// FLOW_DEFINITION picks the flow: a name under flows/ or a path to a JSON
+// file. Tenants may each run a different one.
+function getEngine() {
+  const definitionName = getSetting("FLOW_DEFINITION") || "appointment";
+  if (!engines.has(definitionName)) {
+    engines.set(
+      definitionName,
+      createFlowEngine(loadFlowDefinition(definitionName), flowHooks)
+    );
   }
+  return engines.get(definitionName);
+}
 
-  console.error("Unhandled request body:", decryptedBody);
-  throw new Error(
-    "Unhandled endpoint request. Make sure you handle the request action & screen logged above."
-  );
+/**
+ * `flowToken` is the verified flow token payload (see flowToken.js), or null
+ * when flow tokens are not signed.
+ */
+export const getNextScreen = async (decryptedBody, { flowToken = null } = {}) => {
+  return getEngine().handle(decryptedBody, { flowToken });
 };
@@ -0,0 +1,245 @@
+/**
+ * Signed, expiring flow tokens.
+ *
+ * A flow token is minted by us when a Flow message is sent to a user and is
+ * echoed back by WhatsApp on every endpoint request. Tokens look like:
+ *
+ *   base64url(JSON payload) + "." + base64url(HMAC-SHA256(payload))
+ *
+ * Payload fields:
+ *   v        - token format version
+ *   jti      - random token id (used by the revocation list)
+ *   phone    - recipient phone number (E.164, digits only)
+ *   flow_id  - WhatsApp Flow id the token was minted for
+ *   tenant   - tenant the flow runs for (see tenants.js), or null
+ *   locale   - language to answer in, e.g. "es" (see i18n.js), or null
+ *   iat/exp  - issue and expiry time (unix seconds)
+ *
+ * Config (.env):
+ *   FLOW_TOKEN_SECRET=long-random-string  (one for all tenants, it names them)
+ *   FLOW_TOKEN_TTL_SECONDS=86400          (at most 30 days)
+ *   FLOW_TOKEN_REVOCATION_FILE=./data/revoked_tokens.json (optional)
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { createLogger } from "./logger.js";
+
+const TOKEN_VERSION = 1;
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+// No token lives longer, so a revoked jti can be forgotten after this
+const MAX_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// jti -> exp (unix seconds). Entries are dropped once the token would have
+// expired anyway, so the list does not grow forever.
+let revokedTokens = null;
+let warnedMissingSecret = false;
+
+const log = createLogger("flow-token");
+
+// ---------- HELPERS ----------
+
+function getSecret() {
+  return process.env.FLOW_TOKEN_SECRET || "";
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function sign(encodedPayload, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(encodedPayload)
+    .digest("base64url");
+}
+
+function getDefaultTtl() {
+  const ttl = Number(process.env.FLOW_TOKEN_TTL_SECONDS);
+  return isValidFlowTokenTtl(ttl) ? ttl : DEFAULT_TTL_SECONDS;
+}
+
+function getRevocationFile() {
+  return process.env.FLOW_TOKEN_REVOCATION_FILE || "";
+}
+
+function loadRevokedTokens() {
+  if (revokedTokens) {
+    return revokedTokens;
+  }
+
+  revokedTokens = new Map();
+  const file = getRevocationFile();
+  if (!file || !fs.existsSync(file)) {
+    return revokedTokens;
+  }
+
+  try {
+    const entries = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const [jti, exp] of Object.entries(entries)) {
+      revokedTokens.set(jti, exp);
+    }
+  } catch (e) {
+    log.error("Failed to read flow token revocation file", { file, error: e.message });
+  }
+  return revokedTokens;
+}
+
+function saveRevokedTokens() {
+  const file = getRevocationFile();
+  if (!file) {
+    return;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(Object.fromEntries(revokedTokens)));
+  } catch (e) {
+    log.error("Failed to write flow token revocation file", { file, error: e.message });
+  }
+}
+
+function pruneRevokedTokens() {
+  const now = nowSeconds();
+  for (const [jti, exp] of revokedTokens) {
+    if (exp && exp < now) {
+      revokedTokens.delete(jti);
+    }
+  }
+}
+
+function decodeToken(token) {
+  if (typeof token !== "string") {
+    return null;
+  }
+
+  const parts = token.split(".");
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[0], "base64url").toString("utf8"));
+    if (!payload || typeof payload !== "object") {
+      return null;
+    }
+    return { encodedPayload: parts[0], signature: parts[1], payload };
+  } catch {
+    return null;
+  }
+}
+
+// ---------- PUBLIC API ----------
+
+export const isFlowTokenSigningEnabled = () => Boolean(getSecret());
+
+/**
+ * Whether `ttlSeconds` can be a token's lifetime: a positive number of
+ * seconds, at most 30 days.
+ */
+export const isValidFlowTokenTtl = (ttlSeconds) =>
+  typeof ttlSeconds === "number" &&
+  Number.isFinite(ttlSeconds) &&
+  ttlSeconds > 0 &&
+  ttlSeconds <= MAX_TTL_SECONDS;
+
+/**
+ * Mint a new signed flow token to send with an outbound Flow message.
+ * Throws a RangeError for a `ttlSeconds` isValidFlowTokenTtl refuses.
+ */
+export const createFlowToken = ({ phone, flowId, tenantId, locale, ttlSeconds } = {}) => {
+  const secret = getSecret();
+  if (!secret) {
+    throw new Error("FLOW_TOKEN_SECRET is not set, cannot mint flow tokens");
+  }
+  if (ttlSeconds !== undefined && ttlSeconds !== null && !isValidFlowTokenTtl(ttlSeconds)) {
+    throw new RangeError(`ttlSeconds must be between 1 and ${MAX_TTL_SECONDS}`);
+  }
+
+  const ttl = ttlSeconds ?? getDefaultTtl();
+  const iat = nowSeconds();
+
+  const payload = {
+    v: TOKEN_VERSION,
+    jti: crypto.randomBytes(12).toString("base64url"),
+    phone: phone ? String(phone).replace(/\D/g, "") : null,
+    flow_id: flowId ? String(flowId) : null,
+    tenant: tenantId ? String(tenantId) : null,
+    locale: locale ? String(locale) : null,
+    iat,
+    exp: iat + ttl,
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${encodedPayload}.${sign(encodedPayload, secret)}`;
+};
+
+/**
+ * Verify a flow token received from WhatsApp.
+ *
+ * Returns { valid: true, payload } or { valid: false, reason } where reason is
+ * one of "missing", "malformed", "bad_signature", "expired" or "revoked".
+ * When FLOW_TOKEN_SECRET is not configured every token is accepted with a
+ * null payload, same as the APP_SECRET check in signature.js.
+ */
+export const verifyFlowToken = (token) => {
+  const secret = getSecret();
+  if (!secret) {
+    if (!warnedMissingSecret) {
+      warnedMissingSecret = true;
+      log.warn("FLOW_TOKEN_SECRET is not set up. Flow tokens are not being validated.");
+    }
+    return { valid: true, payload: null };
+  }
+
+  if (!token) {
+    return { valid: false, reason: "missing" };
+  }
+
+  const decoded = decodeToken(token);
+  if (!decoded) {
+    return { valid: false, reason: "malformed" };
+  }
+
+  const expected = Buffer.from(sign(decoded.encodedPayload, secret));
+  const actual = Buffer.from(decoded.signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return { valid: false, reason: "bad_signature" };
+  }
+
+  const { payload } = decoded;
+  if (!payload.exp || payload.exp < nowSeconds()) {
+    return { valid: false, reason: "expired" };
+  }
+
+  if (payload.jti && loadRevokedTokens().has(payload.jti)) {
+    return { valid: false, reason: "revoked" };
+  }
+
+  return { valid: true, payload };
+};
+
+export const isValidFlowToken = (token) => verifyFlowToken(token).valid;
+
+/**
+ * Add a token to the revocation list. Accepts a full token or its jti (kept
+ * for the longest a token can live, as its expiry is not known).
+ * Returns false if the token could not be decoded.
+ */
+export const revokeFlowToken = (tokenOrJti) => {
+  const decoded = decodeToken(tokenOrJti);
+  const jti = decoded ? decoded.payload.jti : tokenOrJti;
+  if (!jti || typeof jti !== "string") {
+    return false;
+  }
+
+  const revoked = loadRevokedTokens();
+  pruneRevokedTokens();
+  revoked.set(jti, decoded?.payload.exp || nowSeconds() + MAX_TTL_SECONDS);
+  saveRevokedTokens();
+  return true;
+};
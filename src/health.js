@@ -0,0 +1,87 @@
+/**
+ * Health checks behind GET /healthz and GET /readyz.
+ *
+ *   /healthz - liveness: at least one private key is loaded, so requests can
+ *              be decrypted. Does not call out, so a calendar outage does
+ *              not get the process restarted.
+ *   /readyz  - readiness: the above, and the calendar provider answers a
+ *              slot lookup for today within the timeout.
+ *
+ * The calendar result is cached so frequent probes don't hit its API.
+ *
+ * Config (.env):
+ *   HEALTH_CHECK_TIMEOUT_MS=3000
+ *   HEALTH_CHECK_CACHE_MS=10000
+ */
+
+import { getCalendarProvider } from "./calendar/index.js";
+import { listKeys } from "./keyManager.js";
+import { withTimeout } from "./timeout.js";
+import { getBusinessTimeZone, todayInZone } from "./timezone.js";
+
+const DEFAULT_TIMEOUT_MS = 3000;
+const DEFAULT_CACHE_MS = 10000;
+
+let calendarCheckCache = { at: 0, result: null };
+
+function readMs(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// ---------- CHECKS ----------
+
+export const checkPrivateKeys = () => {
+  const keys = listKeys().map(({ id, loaded, error }) => ({ id, loaded, error }));
+  return {
+    ok: keys.some((key) => key.loaded),
+    keys,
+  };
+};
+
+export const checkCalendar = async () => {
+  const cacheMs = readMs("HEALTH_CHECK_CACHE_MS", DEFAULT_CACHE_MS);
+  if (calendarCheckCache.result && Date.now() - calendarCheckCache.at < cacheMs) {
+    return calendarCheckCache.result;
+  }
+
+  const calendar = getCalendarProvider();
+  const timeZone = getBusinessTimeZone();
+  const started = Date.now();
+  let result;
+  try {
+    await withTimeout(
+      calendar.listSlots({ date: todayInZone(timeZone), timeZone }),
+      readMs("HEALTH_CHECK_TIMEOUT_MS", DEFAULT_TIMEOUT_MS),
+      "Calendar check"
+    );
+    result = { ok: true, provider: calendar.name, latency_ms: Date.now() - started };
+  } catch (err) {
+    result = { ok: false, provider: calendar.name, error: err.message };
+  }
+
+  calendarCheckCache = { at: Date.now(), result };
+  return result;
+};
+
+export const resetHealthChecks = () => {
+  calendarCheckCache = { at: 0, result: null };
+};
+
+// ---------- REPORTS ----------
+
+// { ok, checks: { name: { ok, ... } } }
+function report(checks) {
+  return {
+    ok: Object.values(checks).every((check) => check.ok),
+    checks,
+  };
+}
+
+export const getLiveness = async () => report({ private_keys: checkPrivateKeys() });
+
+export const getReadiness = async () =>
+  report({
+    private_keys: checkPrivateKeys(),
+    calendar: await checkCalendar(),
+  });
@@ -0,0 +1,184 @@
+/**
+ * Localized copy and date/time formatting.
+ *
+ * Every user-facing text has a key in locales/<locale>.json, with {{name}}
+ * placeholders (see translate). English is complete, a key missing from
+ * another locale falls back to it. Tenants can replace messages for every
+ * locale or per locale with their `copy` (see tenants.js):
+ *
+ *   "copy": { "booked": "Your Acme demo is booked.", "es": { "booked": "..." } }
+ *
+ * A request's locale is the first of (see resolveLocale):
+ *   1. `locale` sent by the flow ("es", "es-MX"), kept in the session
+ *   2. the `locale` claim of the flow token (see flowToken.js)
+ *   3. the calling code of the phone number (Spanish-speaking countries and
+ *      PHONE_LOCALES)
+ *   4. DEFAULT_LOCALE
+ *
+ * Config (.env):
+ *   DEFAULT_LOCALE=en                 en|hi|es (per tenant)
+ *   PHONE_LOCALES=91:hi               calling code -> locale, optional
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getCopy, getSetting } from "./tenants.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const LOCALES_DIR = path.join(__dirname, "locales");
+const FALLBACK_LOCALE = "en";
+
+// Catalog locale -> Intl locale its dates and times are formatted with
+const INTL_LOCALES = {
+  en: "en-IN",
+  hi: "hi-IN",
+  es: "es-ES",
+};
+
+// Calling codes of Spanish-speaking countries
+const CALLING_CODE_LOCALES = Object.fromEntries(
+  [34, 51, 52, 53, 54, 56, 57, 58, 502, 503, 504, 505, 506, 507, 591, 593, 595, 598].map(
+    (code) => [code, "es"]
+  )
+);
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+export const SUPPORTED_LOCALES = Object.keys(INTL_LOCALES);
+
+const catalogs = Object.fromEntries(
+  SUPPORTED_LOCALES.map((locale) => [
+    locale,
+    JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${locale}.json`), "utf8")),
+  ])
+);
+
+const formatters = new Map(); // Intl locale + options -> Intl.DateTimeFormat
+
+// ---------- HELPERS ----------
+
+function getFormatter(locale, options) {
+  const intlLocale = INTL_LOCALES[normalizeLocale(locale) || getDefaultLocale()];
+  const key = `${intlLocale}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat(intlLocale, options));
+  }
+  return formatters.get(key);
+}
+
+// PHONE_LOCALES=91:hi,34:es on top of the built-in calling codes
+function getPhoneLocales() {
+  const locales = { ...CALLING_CODE_LOCALES };
+  for (const entry of (getSetting("PHONE_LOCALES") || "").split(",")) {
+    const [code, locale] = entry.split(":").map((part) => part.trim());
+    if (/^\d{1,3}$/.test(code) && normalizeLocale(locale)) {
+      locales[code] = normalizeLocale(locale);
+    }
+  }
+  return locales;
+}
+
+// ---------- PUBLIC API ----------
+
+/**
+ * The supported locale for a language tag ("es-MX" -> "es"), or null.
+ */
+export const normalizeLocale = (value) => {
+  const language = String(value || "").trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+};
+
+export const getDefaultLocale = () =>
+  normalizeLocale(getSetting("DEFAULT_LOCALE")) || FALLBACK_LOCALE;
+
+/**
+ * Guess a locale from an international phone number ("34612345678").
+ * Returns null when the calling code has no locale.
+ */
+export const inferLocaleFromPhone = (phone) => {
+  const digits = String(phone || "").replace(/\D/g, "");
+  const locales = getPhoneLocales();
+  // Calling codes are 1-3 digits and prefix-free, so longest match wins
+  for (let length = 3; length >= 1; length--) {
+    const locale = locales[digits.slice(0, length)];
+    if (locale && digits.length > length) {
+      return locale;
+    }
+  }
+  return null;
+};
+
+/**
+ * The locale to answer in: the first supported one of `requested` (e.g. the
+ * session's and the flow token's), else a guess from `phone`, else
+ * DEFAULT_LOCALE.
+ */
+export const resolveLocale = ({ requested = [], phone } = {}) => {
+  for (const candidate of requested) {
+    const locale = normalizeLocale(candidate);
+    if (locale) {
+      return locale;
+    }
+  }
+  return inferLocaleFromPhone(phone) || getDefaultLocale();
+};
+
+/**
+ * Raw text of message `key` in `locale`, before placeholders are filled
+ * in, or undefined when no catalog has the key.
+ */
+export const getMessage = (locale, key) => {
+  const current = normalizeLocale(locale) || getDefaultLocale();
+  return getCopy(key, current) ?? catalogs[current][key] ?? catalogs[FALLBACK_LOCALE][key];
+};
+
+/**
+ * Message `key` in `locale` with {{name}} set from `values`. Unknown keys
+ * are returned as they are, so literal text passes through.
+ */
+export const translate = (locale, key, values = {}) =>
+  (getMessage(locale, key) ?? key).replace(PLACEHOLDER_PATTERN, (match, name) => values[name] ?? "");
+
+/**
+ * Title for a calendar date ("YYYY-MM-DD") in the locale's words and order
+ * without punctuation, e.g. "Mon 17 Nov 2025" or "lun 17 nov 2025". The
+ * date is formatted as is, it never shifts by a day with a time zone.
+ */
+export const formatDate = (date, locale) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return getFormatter(locale, {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  })
+    .formatToParts(new Date(Date.UTC(year, month - 1, day)))
+    .filter((part) => part.type !== "literal")
+    .map((part) => part.value)
+    .join(" ");
+};
+
+/**
+ * Wall clock time of an instant in a time zone, e.g. "09:30".
+ */
+export const formatTimeOfDay = (instant, timeZone, locale) =>
+  getFormatter(locale, { hour: "2-digit", minute: "2-digit", hourCycle: "h23", timeZone }).format(
+    new Date(instant)
+  );
+
+/**
+ * Date and time of an instant in a time zone, e.g. "17 Nov 2025, 10:30 am".
+ */
+export const formatDateTime = (instant, timeZone, locale) =>
+  getFormatter(locale, {
+    timeZone,
+    year: "numeric",
+    month: "short",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).format(new Date(instant));
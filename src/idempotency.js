@@ -0,0 +1,146 @@
+/**
+ * Idempotent execution of side effects (e.g. creating a booking).
+ *
+ * WhatsApp may retry a data_exchange and users can tap confirm twice, so the
+ * same SUMMARY submit can reach us more than once, even concurrently. Each
+ * operation is keyed (flow_token + slot for bookings) and recorded in a store:
+ *   - the first caller claims the key with an in_flight record (store.add);
+ *     concurrent callers in this process share its promise, callers in
+ *     another process poll the record until it resolves, but no longer than
+ *     their request's deadline (ENDPOINT_DEADLINE_MS, see timeout.js) and
+ *     then fail with ETIMEDOUT
+ *   - once it completes, later callers get the recorded result back
+ *   - if it fails (throws or returns nothing) the record is dropped so a
+ *     retry can try again
+ *   - a claim left behind by a crashed process expires after
+ *     IDEMPOTENCY_LOCK_SECONDS and can then be taken over
+ *
+ * Only the sqlite store claims atomically across processes; with the memory
+ * or file store run a single process (see store.js).
+ *
+ * Config (.env):
+ *   IDEMPOTENCY_STORE=memory|file|sqlite (defaults to STORE_BACKEND)
+ *   IDEMPOTENCY_TTL_SECONDS=86400
+ *   IDEMPOTENCY_LOCK_SECONDS=30
+ */
+
+import { createStore } from "./store.js";
+import { getRemainingMs } from "./timeout.js";
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_LOCK_SECONDS = 30;
+const POLL_INTERVAL_MS = 250;
+
+// key -> promise of the running operation's { result, replayed } (this
+// process only)
+const inFlight = new Map();
+
+let idempotencyStore = null;
+
+function getIdempotencyStore() {
+  if (!idempotencyStore) {
+    idempotencyStore = createStore("idempotency", {
+      backend: process.env.IDEMPOTENCY_STORE,
+      ttlSeconds: Number(process.env.IDEMPOTENCY_TTL_SECONDS) || DEFAULT_TTL_SECONDS,
+    });
+  }
+  return idempotencyStore;
+}
+
+function getLockSeconds() {
+  return Number(process.env.IDEMPOTENCY_LOCK_SECONDS) || DEFAULT_LOCK_SECONDS;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Claim `key`, or wait for whoever holds it. Returns null once claimed, or
+// the completed record of the other caller. The claim of a process that died
+// expires with its in_flight record.
+async function claimOrWait(store, key) {
+  const deadline = Date.now() + getRemainingMs(getLockSeconds() * 1000);
+  for (;;) {
+    if (await store.add(key, { status: "in_flight", started_at: Date.now() }, getLockSeconds())) {
+      return null;
+    }
+    const record = await store.get(key);
+    if (!record) {
+      continue; // released or expired in between, claim it again
+    }
+    if (record.status === "completed") {
+      return record;
+    }
+    if (Date.now() + POLL_INTERVAL_MS > deadline) {
+      const error = new Error(`Operation ${key} is still running in another process`);
+      error.code = "ETIMEDOUT";
+      throw error;
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+async function execute(store, key, fn) {
+  try {
+    const result = await fn();
+    if (result === null || result === undefined) {
+      await store.delete(key);
+    } else {
+      await store.set(key, {
+        status: "completed",
+        completed_at: Date.now(),
+        result,
+      });
+    }
+    return result;
+  } catch (err) {
+    await store.delete(key);
+    throw err;
+  }
+}
+
+/**
+ * Run `fn` at most once per key. Resolves to { result, replayed } where
+ * `replayed` is true when the result comes from an earlier or concurrent call.
+ * Without a key, `fn` simply runs.
+ */
+export const runIdempotent = async (key, fn) => {
+  if (!key) {
+    return { result: await fn(), replayed: false };
+  }
+
+  // Joining a call already running in this process. Checked (and set below)
+  // without an await in between so two concurrent callers can't both start.
+  if (inFlight.has(key)) {
+    return { result: (await inFlight.get(key)).result, replayed: true };
+  }
+
+  const store = getIdempotencyStore();
+  const run = (async () => {
+    const record = await claimOrWait(store, key);
+    if (record) {
+      return { result: record.result, replayed: true };
+    }
+    return { result: await execute(store, key, fn), replayed: false };
+  })();
+  inFlight.set(key, run);
+  try {
+    return await run;
+  } finally {
+    inFlight.delete(key);
+  }
+};
+
+/**
+ * Result of an operation that already completed for this key, or null.
+ */
+export const getCompletedResult = async (key) => {
+  if (!key) {
+    return null;
+  }
+  const record = await getIdempotencyStore().get(key);
+  return record?.status === "completed" ? record.result : null;
+};
+
+export const bookingIdempotencyKey = (flowToken, date, time) =>
+  flowToken ? `booking:${flowToken}:${date}:${time}` : null;
@@ -0,0 +1,259 @@
+/**
+ * Private keys for decrypting WhatsApp Flows requests.
+ *
+ * Keys are loaded once and reloaded when their file changes, so the key
+ * file can be replaced without a restart. During a rotation several keys can
+ * be active: requests are tried against each, in the configured order, and
+ * the id of the key that worked is reported back.
+ *
+ * Config (.env):
+ *   PRIVATE_KEY_PATHS=./keys/new.pem,./keys/old.pem (optional, in order)
+ *   PRIVATE_KEY_PATH=./src/wa_private_key.pem       (single key, the default)
+ *   PRIVATE_KEY_PASSPHRASE=...                      (shared passphrase)
+ *   PRIVATE_KEY_PASSPHRASE_<ID>=...                 (per key, e.g. _NEW)
+ *
+ * A key's id is its file name without extension, e.g. "wa_private_key".
+ *
+ * Tenants (see tenants.js) can set their own PRIVATE_KEY_PATH(S) and
+ * passphrases. A request is decrypted with its tenant's keys (server.js
+ * tries the candidate tenants one by one); outside any tenant, e.g. when
+ * the keys are listed at startup, every tenant's keys are used.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createLogger } from "./logger.js";
+import { collectAcrossTenants, getFirstSetting, isTenantSettled } from "./tenants.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Default path to your private key file
+export const DEFAULT_KEY_PATH = path.join(__dirname, "wa_private_key.pem");
+
+// Editors and `mv` fire several events per save
+const RELOAD_DEBOUNCE_MS = 100;
+
+const loadedKeys = new Map(); // key path -> { id, path, passphrase, privateKey, error }
+const watchers = new Map(); // directory -> FSWatcher
+const reloadTimers = new Map(); // key path -> timeout
+
+const log = createLogger("keys");
+
+// ---------- PARSING ----------
+
+export const isEncryptedPem = (pem) =>
+  pem.includes("Proc-Type: 4,ENCRYPTED") || pem.includes("BEGIN ENCRYPTED");
+
+/**
+ * Parse a PEM private key (pkcs1 or pkcs8, optionally encrypted) into a
+ * KeyObject. Throws an Error with a readable message.
+ */
+export const parsePrivateKey = (pem, passphrase = "") => {
+  const rawKey = pem.replace(/\r/g, "").trim();
+
+  if (isEncryptedPem(rawKey) && !passphrase) {
+    throw new Error("Private key is encrypted but no passphrase is set");
+  }
+
+  const keyOptions = { key: rawKey, format: "pem" };
+
+  // Detect key type
+  if (rawKey.includes("BEGIN RSA PRIVATE KEY")) {
+    keyOptions.type = "pkcs1";
+  } else if (rawKey.includes("BEGIN PRIVATE KEY")) {
+    keyOptions.type = "pkcs8";
+  }
+  if (passphrase) {
+    keyOptions.passphrase = passphrase;
+  }
+
+  try {
+    return crypto.createPrivateKey(keyOptions);
+  } catch (e) {
+    if (
+      e.message.includes("bad password") ||
+      e.message.includes("bad decrypt") ||
+      e.code?.includes("BAD_PASSWORD") ||
+      e.code === "ERR_OSSL_CRYPTO_INTERRUPTED_OR_CANCELLED"
+    ) {
+      throw new Error("Incorrect passphrase for encrypted private key");
+    }
+    throw new Error(`Failed to load private key: ${e.message}`);
+  }
+};
+
+// ---------- LOADING ----------
+
+export const keyIdFromPath = (keyPath) => path.basename(keyPath).replace(/\.[^.]+$/, "");
+
+export const getKeyPassphrase = (id) => {
+  const envName = `PRIVATE_KEY_PASSPHRASE_${id.toUpperCase().replace(/[^A-Z0-9]/g, "_")}`;
+  return getFirstSetting(envName, "PRIVATE_KEY_PASSPHRASE") || "";
+};
+
+export const getConfiguredKeyPaths = () => {
+  const paths = (getFirstSetting("PRIVATE_KEY_PATHS", "PRIVATE_KEY_PATH") || DEFAULT_KEY_PATH)
+    .split(",")
+    .map((keyPath) => keyPath.trim())
+    .filter(Boolean);
+  return (paths.length > 0 ? paths : [DEFAULT_KEY_PATH]).map((keyPath) => path.resolve(keyPath));
+};
+
+// The passphrase is kept so a reload (outside any request, and so outside
+// the tenant's settings) can use it again
+function loadKey(keyPath, passphrase = getKeyPassphrase(keyIdFromPath(keyPath))) {
+  const id = keyIdFromPath(keyPath);
+  try {
+    const privateKey = parsePrivateKey(fs.readFileSync(keyPath, "utf8"), passphrase);
+    log.info("Loaded private key", { key_id: id, path: keyPath });
+    return { id, path: keyPath, passphrase, privateKey, error: null };
+  } catch (e) {
+    const error = e.code === "ENOENT" ? "Could not read private key file" : e.message;
+    log.error("Could not load private key", { key_id: id, path: keyPath, error });
+    return { id, path: keyPath, passphrase, privateKey: null, error };
+  }
+}
+
+// A changed file that no longer loads keeps the previous key, so a
+// half-written file during rotation doesn't take the endpoint down
+function reloadKey(keyPath) {
+  const current = loadedKeys.get(keyPath);
+  if (!current) {
+    return;
+  }
+  const reloaded = loadKey(keyPath, current.passphrase);
+  if (reloaded.privateKey || !current.privateKey) {
+    loadedKeys.set(keyPath, reloaded);
+  } else {
+    log.warn("Keeping the previously loaded private key", { key_id: reloaded.id });
+  }
+}
+
+function scheduleReload(keyPath) {
+  clearTimeout(reloadTimers.get(keyPath));
+  const timer = setTimeout(() => {
+    reloadTimers.delete(keyPath);
+    reloadKey(keyPath);
+  }, RELOAD_DEBOUNCE_MS);
+  timer.unref();
+  reloadTimers.set(keyPath, timer);
+}
+
+// Watch the directories, not the files: replacing a file (mv, editors)
+// ends a watch on the file itself
+function watchKeyFiles() {
+  for (const dir of new Set([...loadedKeys.keys()].map((keyPath) => path.dirname(keyPath)))) {
+    if (watchers.has(dir)) {
+      continue;
+    }
+    try {
+      const watcher = fs.watch(dir, (eventType, filename) => {
+        const keyPath = filename && path.join(dir, filename.toString());
+        if (loadedKeys.has(keyPath)) {
+          scheduleReload(keyPath);
+        }
+      });
+      watcher.unref();
+      watchers.set(dir, watcher);
+    } catch (e) {
+      log.warn("Not watching directory for key changes", { dir, error: e.message });
+    }
+  }
+}
+
+// The current tenant's keys, loaded on first use
+function getKeys() {
+  const paths = getConfiguredKeyPaths();
+  const newPaths = paths.filter((keyPath) => !loadedKeys.has(keyPath));
+  for (const keyPath of newPaths) {
+    loadedKeys.set(keyPath, loadKey(keyPath));
+  }
+  if (newPaths.length > 0) {
+    watchKeyFiles();
+  }
+  return paths.map((keyPath) => loadedKeys.get(keyPath));
+}
+
+// Keys a request is tried against: the tenant's (.env's when it has none),
+// or every tenant's outside runWithTenant
+function getRequestKeys() {
+  if (isTenantSettled()) {
+    return getKeys();
+  }
+  const keysByPath = new Map();
+  for (const key of collectAcrossTenants(getKeys).flat()) {
+    keysByPath.set(key.path, key);
+  }
+  return [...keysByPath.values()];
+}
+
+// ---------- PUBLIC API ----------
+
+/**
+ * Loaded keys in the order they are tried, without key material.
+ */
+export const listKeys = () =>
+  getRequestKeys().map(({ id, path: keyPath, privateKey, error }) => ({
+    id,
+    path: keyPath,
+    loaded: Boolean(privateKey),
+    error,
+  }));
+
+/**
+ * RSA-OAEP-SHA256 decrypt with each active key in turn.
+ *
+ * Returns `{ keyId, keyPath, decrypted }`. Throws when no key is loaded
+ * (`code: "NO_KEYS"`) or none of them can decrypt (`code: "DECRYPT_FAILED"`).
+ */
+export const privateDecryptWithAnyKey = (ciphertext) => {
+  const candidates = getRequestKeys();
+  const active = candidates.filter((key) => key.privateKey);
+  if (active.length === 0) {
+    const error = new Error(
+      candidates.map((key) => `${key.id}: ${key.error}`).join("; ") || "No private key configured"
+    );
+    error.code = "NO_KEYS";
+    throw error;
+  }
+
+  for (const key of active) {
+    try {
+      const decrypted = crypto.privateDecrypt(
+        {
+          key: key.privateKey,
+          padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+          oaepHash: "sha256",
+        },
+        ciphertext
+      );
+      return { keyId: key.id, keyPath: key.path, decrypted };
+    } catch {
+      // try the next key
+    }
+  }
+
+  const error = new Error(
+    `None of the private keys (${active.map((key) => key.id).join(", ")}) could decrypt the request`
+  );
+  error.code = "DECRYPT_FAILED";
+  throw error;
+};
+
+/**
+ * Drop loaded keys and watchers, e.g. after changing the key config.
+ */
+export const resetKeys = () => {
+  for (const watcher of watchers.values()) {
+    watcher.close();
+  }
+  watchers.clear();
+  for (const timer of reloadTimers.values()) {
+    clearTimeout(timer);
+  }
+  reloadTimers.clear();
+  loadedKeys.clear();
+};
@@ -0,0 +1,245 @@
+/**
+ * Structured JSON logger.
+ *
+ * Every line is one JSON object:
+ *
+ *   {"time":"...","level":"info","scope":"server","msg":"...","correlation_id":"3f9c0a1b7d2e", ...fields}
+ *
+ * `correlation_id` ties together the lines of one endpoint request. It is a
+ * short hash of the request's flow_token (the same for every request of one
+ * flow), or a random id until the flow_token is known.
+ *
+ * Personal data and key material are redacted by default: values of fields
+ * such as name, email, phone, flow_token or passphrase (but not an error's
+ * name, e.g. "TypeError"), and emails, phone numbers and PEM blocks inside
+ * any string.
+ *
+ * Config (.env):
+ *   LOG_LEVEL=info     (debug | info | warn | error | silent)
+ *   LOG_REDACT=false   (keep personal data, for local debugging only)
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const DEFAULT_LEVEL = "info";
+
+const REDACTED = "[redacted]";
+
+// Field names (lower case) whose values are never logged
+const SENSITIVE_FIELDS = new Set([
+  "name",
+  "first_name",
+  "last_name",
+  "attendee_name",
+  "email",
+  "attendee_email",
+  "phone",
+  "phone_number",
+  "wa_id",
+  "flow_token",
+  "authorization",
+  "passphrase",
+  "secret",
+  "app_secret",
+  "api_key",
+  "apikey",
+  "private_key",
+  "privatekey",
+  "aes_key",
+  "encrypted_aes_key",
+  "aeskeybuffer",
+]);
+
+const EMAIL_PATTERN = /[^\s@"'<>]+@[^\s@"'<>]+\.[a-z]{2,}/gi;
+// 10-15 digits, optionally with a leading + and single spaces in between
+const PHONE_PATTERN = /(?<![\w.:-])\+?\d(?: ?\d){9,14}(?![\w.:-])/g;
+const PEM_PATTERN = /-----BEGIN [A-Z ]+-----[\s\S]*?(?:-----END [A-Z ]+-----|$)/g;
+
+const MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+
+// ---------- REDACTION ----------
+
+function shouldRedact() {
+  return !["0", "false", "no"].includes((process.env.LOG_REDACT || "").toLowerCase());
+}
+
+// Whether the value of `key` is redacted; `inError` for the fields of an
+// error, whose `name` is its class, not a person
+function isSensitiveField(key, inError = false) {
+  const field = key.toLowerCase();
+  return SENSITIVE_FIELDS.has(field) && !(inError && field === "name");
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function redactString(value, knownValues = []) {
+  let redacted = value
+    .replace(PEM_PATTERN, "[key material]")
+    .replace(EMAIL_PATTERN, "[email]")
+    .replace(PHONE_PATTERN, "[phone]");
+  // e.g. a name from `name` repeated in a summary text
+  for (const known of knownValues) {
+    redacted = redacted.replace(new RegExp(escapeRegExp(known), "gi"), REDACTED);
+  }
+  return redacted;
+}
+
+// Values of sensitive fields anywhere in `value`, to redact them from free text
+function collectSensitiveValues(value, found = new Set(), depth = 0) {
+  if (!value || typeof value !== "object" || depth >= MAX_DEPTH || Buffer.isBuffer(value)) {
+    return found;
+  }
+  const inError = value instanceof Error;
+  for (const [key, item] of Object.entries(value)) {
+    if (isSensitiveField(key, inError) && typeof item === "string" && item.trim().length >= 3) {
+      found.add(item.trim());
+    } else {
+      collectSensitiveValues(item, found, depth + 1);
+    }
+  }
+  return found;
+}
+
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message };
+  for (const key of ["code", "statusCode", "kind"]) {
+    if (error[key] !== undefined) {
+      serialized[key] = error[key];
+    }
+  }
+  // axios errors carry the provider's answer
+  if (error.response?.status) {
+    serialized.status = error.response.status;
+    serialized.response = error.response.data;
+  }
+  if (error.stack) {
+    serialized.stack = error.stack;
+  }
+  return serialized;
+}
+
+/**
+ * Copy of `value` that is safe to log: errors become plain objects, buffers
+ * and key objects are dropped and, unless LOG_REDACT=false, personal data is
+ * replaced.
+ */
+export const redact = (value, redactFields = shouldRedact()) =>
+  redactValue(value, redactFields, redactFields ? [...collectSensitiveValues(value)] : [], 0);
+
+function redactValue(value, redactFields, knownValues, depth, inError = false) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (typeof value === "string") {
+    return redactFields ? redactString(value, knownValues) : value;
+  }
+  if (typeof value !== "object") {
+    return value;
+  }
+  if (Buffer.isBuffer(value) || value instanceof crypto.KeyObject) {
+    return "[binary]";
+  }
+  if (depth >= MAX_DEPTH) {
+    return "[truncated]";
+  }
+  if (value instanceof Error) {
+    return redactValue(serializeError(value), redactFields, knownValues, depth + 1, true);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValue(item, redactFields, knownValues, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] =
+      redactFields && isSensitiveField(key, inError) && item !== undefined && item !== ""
+        ? REDACTED
+        : redactValue(item, redactFields, knownValues, depth + 1);
+  }
+  return copy;
+}
+
+// ---------- CORRELATION ----------
+
+/**
+ * Correlation id for a flow_token: the first 12 hex chars of its SHA-256, so
+ * lines of one flow can be found without logging the token itself.
+ */
+export const correlationIdForToken = (flowToken) =>
+  crypto.createHash("sha256").update(String(flowToken)).digest("hex").slice(0, 12);
+
+/**
+ * Express middleware giving each request a correlation id (random until
+ * setCorrelationId is called). Mount it after the body parser so the
+ * context survives into the route handlers.
+ */
+export const withRequestContext = () => (req, res, next) => {
+  requestContext.run({ correlationId: crypto.randomBytes(6).toString("hex") }, next);
+};
+
+/**
+ * Switch the current request's correlation id to the one derived from its
+ * flow_token. No-op outside a request.
+ */
+export const setCorrelationId = (flowToken) => {
+  const store = requestContext.getStore();
+  if (store && flowToken) {
+    store.correlationId = correlationIdForToken(flowToken);
+  }
+};
+
+export const getCorrelationId = () => requestContext.getStore()?.correlationId ?? null;
+
+// ---------- LOGGER ----------
+
+function currentLevel() {
+  const level = (process.env.LOG_LEVEL || DEFAULT_LEVEL).toLowerCase();
+  return LEVELS[level] ?? LEVELS[DEFAULT_LEVEL];
+}
+
+export const isLevelEnabled = (level) => LEVELS[level] >= currentLevel();
+
+function write(level, scope, msg, fields) {
+  if (!isLevelEnabled(level)) {
+    return;
+  }
+
+  const line = {
+    time: new Date().toISOString(),
+    level,
+    scope,
+    msg: String(msg),
+  };
+  const correlationId = getCorrelationId();
+  if (correlationId) {
+    line.correlation_id = correlationId;
+  }
+  // a bare error is the common case: log.error("...", err)
+  const extra = fields instanceof Error ? { error: fields } : fields;
+  Object.assign(line, extra);
+
+  const output = JSON.stringify(redact(line));
+  if (LEVELS[level] >= LEVELS.warn) {
+    console.error(output);
+  } else {
+    console.log(output);
+  }
+}
+
+/**
+ * Logger for one module: `const log = createLogger("flow")`, then
+ * `log.info("Booking created", { booking_id })`.
+ */
+export const createLogger = (scope) => ({
+  debug: (msg, fields) => write("debug", scope, msg, fields),
+  info: (msg, fields) => write("info", scope, msg, fields),
+  warn: (msg, fields) => write("warn", scope, msg, fields),
+  error: (msg, fields) => write("error", scope, msg, fields),
+});
@@ -0,0 +1,231 @@
+/**
+ * In-process metrics in the Prometheus text format, served on GET /metrics.
+ *
+ * Only counters and histograms, kept in memory and reset on restart, which
+ * is what Prometheus expects from a scrape target.
+ *
+ *   const bookings = createCounter({ name: "flow_bookings_total", help: "...", labelNames: ["outcome"] });
+ *   bookings.inc({ outcome: "created" });
+ *
+ *   const end = callDuration.startTimer({ operation: "listSlots" });
+ *   ...
+ *   end();
+ */
+
+// Seconds, from a cached lookup to a slow calendar API
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metrics = new Map(); // name -> metric
+
+// ---------- HELPERS ----------
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = "") {
+  const parts = labelNames.map((label, i) => `${label}="${escapeLabelValue(values[i])}"`);
+  if (extra) {
+    parts.push(extra);
+  }
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+// Label values in labelNames order, as a map key; missing labels become ""
+function labelValues(labelNames, labels = {}) {
+  return labelNames.map((label) => labels[label] ?? "");
+}
+
+function register(metric) {
+  if (metrics.has(metric.name)) {
+    throw new Error(`Metric "${metric.name}" is already registered`);
+  }
+  metrics.set(metric.name, metric);
+  return metric;
+}
+
+// ---------- METRIC TYPES ----------
+
+export const createCounter = ({ name, help, labelNames = [] }) => {
+  const series = new Map(); // JSON label values -> count
+
+  return register({
+    name,
+    inc(labels, value = 1) {
+      const key = JSON.stringify(labelValues(labelNames, labels));
+      series.set(key, (series.get(key) || 0) + value);
+    },
+    get(labels) {
+      return series.get(JSON.stringify(labelValues(labelNames, labels))) || 0;
+    },
+    reset() {
+      series.clear();
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, value] of series) {
+        lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+      }
+      return lines;
+    },
+  });
+};
+
+export const createHistogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+  const series = new Map(); // JSON label values -> { counts, sum, count }
+
+  function observe(labels, seconds) {
+    const key = JSON.stringify(labelValues(labelNames, labels));
+    let entry = series.get(key);
+    if (!entry) {
+      entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      series.set(key, entry);
+    }
+    buckets.forEach((bound, i) => {
+      if (seconds <= bound) {
+        entry.counts[i] += 1;
+      }
+    });
+    entry.sum += seconds;
+    entry.count += 1;
+  }
+
+  return register({
+    name,
+    observe,
+    // Returns a function that records the time since startTimer was called;
+    // labels passed to it are added to the ones given here
+    startTimer(labels = {}) {
+      const started = process.hrtime.bigint();
+      return (moreLabels = {}) =>
+        observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - started) / 1e9);
+    },
+    get(labels) {
+      const entry = series.get(JSON.stringify(labelValues(labelNames, labels)));
+      return entry ? { count: entry.count, sum: entry.sum } : { count: 0, sum: 0 };
+    },
+    reset() {
+      series.clear();
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, entry] of series) {
+        const values = JSON.parse(key);
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${entry.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${entry.count}`);
+      }
+      return lines;
+    },
+  });
+};
+
+/**
+ * All registered metrics in the Prometheus text exposition format.
+ */
+export const renderMetrics = () =>
+  `${[...metrics.values()].flatMap((metric) => metric.render()).join("\n")}\n`;
+
+export const resetMetrics = () => {
+  for (const metric of metrics.values()) {
+    metric.reset();
+  }
+};
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// ---------- ENDPOINT METRICS ----------
+
+export const requestsTotal = createCounter({
+  name: "flow_requests_total",
+  help: "Endpoint requests by action, screen and HTTP status.",
+  labelNames: ["action", "screen", "status"],
+});
+
+export const requestDuration = createHistogram({
+  name: "flow_request_duration_seconds",
+  help: "Endpoint request latency by action and screen.",
+  labelNames: ["action", "screen"],
+});
+
+export const decryptFailuresTotal = createCounter({
+  name: "flow_decrypt_failures_total",
+  help: "Requests that could not be decrypted, by HTTP status (400, 421, 500).",
+  labelNames: ["status"],
+});
+
+export const decryptedRequestsTotal = createCounter({
+  name: "flow_decrypted_requests_total",
+  help: "Decrypted requests by private key id, to follow a key rotation.",
+  labelNames: ["key_id"],
+});
+
+/**
+ * Express middleware recording flow_requests_total and
+ * flow_request_duration_seconds once the response is sent. Handlers set
+ * `res.locals.action` / `res.locals.screen` when they know them; requests
+ * rejected before decryption are counted as action "unknown".
+ */
+export const trackRequests = () => (req, res, next) => {
+  const end = requestDuration.startTimer();
+  res.on("finish", () => {
+    const labels = {
+      action: res.locals.action || "unknown",
+      screen: res.locals.screen || "",
+    };
+    end(labels);
+    requestsTotal.inc({ ...labels, status: res.statusCode });
+  });
+  next();
+};
+
+// ---------- CALENDAR METRICS ----------
+
+export const calendarCallsTotal = createCounter({
+  name: "flow_calendar_calls_total",
+  help: "Calendar provider calls by provider, operation and outcome (success, error).",
+  labelNames: ["provider", "operation", "outcome"],
+});
+
+export const calendarCallDuration = createHistogram({
+  name: "flow_calendar_call_duration_seconds",
+  help: "Calendar provider call latency by provider and operation.",
+  labelNames: ["provider", "operation"],
+});
+
+// ---------- BOOKING METRICS ----------
+
+export const bookingsTotal = createCounter({
+  name: "flow_bookings_total",
+  help: "Booking attempts on submit by outcome (created, replayed, slot_taken, failed).",
+  labelNames: ["outcome"],
+});
+
+export const fallbackResponsesTotal = createCounter({
+  name: "flow_fallback_responses_total",
+  help: "Dates or submits that fell back to a callback request, by reason (no_slots, calendar_error, booking_failed).",
+  labelNames: ["reason"],
+});
+
+export const bookingRetriesTotal = createCounter({
+  name: "flow_booking_retries_total",
+  help: "Background retries of failed bookings by outcome (succeeded, retried, dead).",
+  labelNames: ["outcome"],
+});
+
+// ---------- WEBHOOK METRICS ----------
+
+export const webhookDeliveriesTotal = createCounter({
+  name: "flow_webhook_deliveries_total",
+  help: "Outbound webhook delivery attempts by event type and outcome (delivered, retried, dead).",
+  labelNames: ["event", "outcome"],
+});
+
+export const calendarWebhooksTotal = createCounter({
+  name: "flow_calendar_webhooks_total",
+  help: "Inbound calendar webhooks by trigger and outcome (updated, recorded, ignored).",
+  labelNames: ["trigger", "outcome"],
+});
@@ -0,0 +1,266 @@
+/**
+ * Scheduling rules that decide which dates the APPOINTMENT `date` dropdown
+ * offers and which slots are still bookable.
+ *
+ * Config (.env):
+ *   BOOKING_HORIZON_DAYS=5           how many calendar days ahead to offer
+ *   BOOKING_MIN_NOTICE_MINUTES=0     slots starting sooner than this are hidden
+ *   BOOKING_SAME_DAY_CUTOFF=15:00    no same-day bookings after this time
+ *                                    (business time zone, optional)
+ *   BOOKING_WEEKDAYS=mon,tue,wed,thu,fri (default: every day)
+ *   BLACKOUT_DATES_FILE=./data/blackout_dates.json (optional)
+ *   SKIP_UNAVAILABLE_DAYS=true       hide days without a single free slot
+ *   AVAILABILITY_CHECK_TIMEOUT_MS=4000  how long one page waits for those
+ *                                    checks (days not answered stay listed)
+ *   DATE_PAGE_SIZE=30                dates per dropdown page (default: as
+ *                                    many as the dropdown allows)
+ *
+ * The blackout file is a JSON array of dates, ranges or objects with a
+ * reason, and is re-read whenever it changes:
+ *   ["2025-12-25", { "date": "2026-01-26", "reason": "Republic Day" },
+ *    { "from": "2025-12-29", "to": "2026-01-02" }]
+ */
+
+import fs from "fs";
+import {
+  addDays,
+  formatTime,
+  getBusinessTimeZone,
+  getWeekdayKey,
+  todayInZone,
+  zonedTimeToDate,
+} from "./timezone.js";
+import { formatDate, translate } from "./i18n.js";
+import { createLogger } from "./logger.js";
+import { getSetting } from "./tenants.js";
+import { withTimeout } from "./timeout.js";
+
+// WhatsApp Dropdown components accept at most 200 options
+export const WHATSAPP_DROPDOWN_LIMIT = 200;
+
+// Option ids in the date dropdown that switch page instead of picking a date
+export const DATE_PAGE_PREFIX = "page:";
+
+const ALL_WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DEFAULT_HORIZON_DAYS = 5;
+const DEFAULT_AVAILABILITY_TIMEOUT_MS = 4000;
+
+const log = createLogger("scheduling-rules");
+
+let blackoutCache = { file: null, mtimeMs: 0, dates: new Set() };
+
+// ---------- HELPERS ----------
+
+function expandBlackoutEntry(entry, dates) {
+  if (typeof entry === "string") {
+    dates.add(entry);
+  } else if (entry?.date) {
+    dates.add(entry.date);
+  } else if (entry?.from && entry?.to) {
+    for (let date = entry.from; date <= entry.to; date = addDays(date, 1)) {
+      dates.add(date);
+    }
+  }
+}
+
+function loadBlackoutDates(file) {
+  if (!file || !fs.existsSync(file)) {
+    return new Set();
+  }
+
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    if (blackoutCache.file === file && blackoutCache.mtimeMs === mtimeMs) {
+      return blackoutCache.dates;
+    }
+
+    const dates = new Set();
+    for (const entry of JSON.parse(fs.readFileSync(file, "utf8"))) {
+      expandBlackoutEntry(entry, dates);
+    }
+    blackoutCache = { file, mtimeMs, dates };
+    return dates;
+  } catch (e) {
+    log.error("Failed to read blackout dates file", { file, error: e.message });
+    return blackoutCache.file === file ? blackoutCache.dates : new Set();
+  }
+}
+
+function parseWeekdays(value) {
+  if (!value) {
+    return ALL_WEEKDAYS;
+  }
+  return value
+    .split(",")
+    .map((day) => day.trim().toLowerCase().slice(0, 3))
+    .filter((day) => ALL_WEEKDAYS.includes(day));
+}
+
+// ---------- PUBLIC API ----------
+
+export const getSchedulingRules = () => {
+  const horizonDays = Number(getSetting("BOOKING_HORIZON_DAYS")) || DEFAULT_HORIZON_DAYS;
+  const pageSize = Math.min(
+    Number(getSetting("DATE_PAGE_SIZE")) || WHATSAPP_DROPDOWN_LIMIT,
+    // two entries are reserved for "earlier"/"later" page options
+    WHATSAPP_DROPDOWN_LIMIT - 2
+  );
+
+  return {
+    horizonDays,
+    minNoticeMinutes: Number(getSetting("BOOKING_MIN_NOTICE_MINUTES")) || 0,
+    sameDayCutoff: getSetting("BOOKING_SAME_DAY_CUTOFF") || null,
+    allowedWeekdays: parseWeekdays(getSetting("BOOKING_WEEKDAYS")),
+    blackoutDates: loadBlackoutDates(getSetting("BLACKOUT_DATES_FILE")),
+    skipUnavailableDays: getSetting("SKIP_UNAVAILABLE_DAYS") === "true",
+    availabilityTimeoutMs:
+      Number(getSetting("AVAILABILITY_CHECK_TIMEOUT_MS")) || DEFAULT_AVAILABILITY_TIMEOUT_MS,
+    pageSize,
+  };
+};
+
+/**
+ * Whether a slot starting at `start` still respects the minimum notice.
+ */
+export const meetsMinimumNotice = (start, rules = getSchedulingRules(), now = Date.now()) =>
+  new Date(start).getTime() >= now + rules.minNoticeMinutes * 60000;
+
+/**
+ * Whether a calendar date can be offered at all (weekday, blackout list,
+ * same-day cutoff, minimum notice), before looking at availability.
+ */
+export const isDateBookable = (date, timeZone, rules = getSchedulingRules(), now = Date.now()) => {
+  if (rules.blackoutDates.has(date)) {
+    return false;
+  }
+  if (!rules.allowedWeekdays.includes(getWeekdayKey(date))) {
+    return false;
+  }
+
+  const businessTimeZone = getBusinessTimeZone();
+  if (
+    rules.sameDayCutoff &&
+    date === todayInZone(businessTimeZone, now) &&
+    formatTime(now, businessTimeZone) >= rules.sameDayCutoff
+  ) {
+    return false;
+  }
+
+  // The whole day falls inside the notice period
+  const endOfDay = zonedTimeToDate(date, "23:59", timeZone);
+  return meetsMinimumNotice(endOfDay, rules, now);
+};
+
+/**
+ * First and last date ("YYYY-MM-DD") that can be offered in the attendee's
+ * zone: today through BOOKING_HORIZON_DAYS.
+ */
+export const getBookingWindow = (timeZone, rules = getSchedulingRules(), now = Date.now()) => {
+  const firstDate = todayInZone(timeZone, now);
+  return { firstDate, lastDate: addDays(firstDate, rules.horizonDays - 1) };
+};
+
+export const isDatePageOption = (id) =>
+  typeof id === "string" && id.startsWith(DATE_PAGE_PREFIX);
+
+export const getDatePageStart = (id) =>
+  isDatePageOption(id) ? id.slice(DATE_PAGE_PREFIX.length) : null;
+
+// Bookable dates from `from` to `to` (inclusive), walking backwards when
+// `to` is earlier
+function bookableDates(from, to, timeZone, rules) {
+  const step = from <= to ? 1 : -1;
+  const dates = [];
+  for (let date = from; step > 0 ? date <= to : date >= to; date = addDays(date, step)) {
+    if (isDateBookable(date, timeZone, rules)) {
+      dates.push(date);
+    }
+  }
+  return dates;
+}
+
+// The first `count` of `candidates` to list. With SKIP_UNAVAILABLE_DAYS the
+// candidates are checked `count` at a time, each batch concurrently; days
+// that haven't answered by `deadline` (or whose check failed) stay listed.
+async function pickListedDates(candidates, count, rules, hasAvailability, deadline) {
+  if (!rules.skipUnavailableDays || !hasAvailability) {
+    return candidates.slice(0, count);
+  }
+
+  const listed = [];
+  for (let i = 0; i < candidates.length && listed.length < count; i += count) {
+    const batch = candidates.slice(i, i + count);
+    const remainingMs = deadline - Date.now();
+    const available =
+      remainingMs > 0
+        ? await Promise.all(
+            batch.map((date) =>
+              withTimeout(Promise.resolve().then(() => hasAvailability(date)), remainingMs).catch(
+                () => true
+              )
+            )
+          )
+        : batch.map(() => true);
+    listed.push(...batch.filter((date, index) => available[index]));
+  }
+  return listed.slice(0, count);
+}
+
+/**
+ * Options for the `date` dropdown, one page at a time.
+ *
+ * `pageStart` is the first date of the requested page (defaults to today in
+ * the attendee's zone). `hasAvailability(date)` is only called when
+ * SKIP_UNAVAILABLE_DAYS is on, and should resolve to false for days without
+ * free slots; days are checked concurrently and the page waits at most
+ * AVAILABILITY_CHECK_TIMEOUT_MS for them. Titles are in `locale` (see
+ * i18n.js).
+ */
+export const getDateOptions = async ({ timeZone, pageStart, hasAvailability, locale }) => {
+  const rules = getSchedulingRules();
+  const { firstDate, lastDate } = getBookingWindow(timeZone, rules);
+  const deadline = Date.now() + rules.availabilityTimeoutMs;
+
+  const start = pageStart && pageStart > firstDate && pageStart <= lastDate ? pageStart : firstDate;
+  const options = [];
+
+  if (start > firstDate) {
+    // The previous page starts `pageSize` listed dates back
+    const earlier = await pickListedDates(
+      bookableDates(addDays(start, -1), firstDate, timeZone, rules),
+      rules.pageSize,
+      rules,
+      hasAvailability,
+      deadline
+    );
+    const previousStart =
+      earlier.length === rules.pageSize ? earlier[earlier.length - 1] : firstDate;
+    options.push({
+      id: `${DATE_PAGE_PREFIX}${previousStart}`,
+      title: translate(locale, "earlier_dates"),
+    });
+  }
+
+  const candidates = bookableDates(start, lastDate, timeZone, rules);
+  const listed = await pickListedDates(
+    candidates,
+    rules.pageSize,
+    rules,
+    hasAvailability,
+    deadline
+  );
+  for (const date of listed) {
+    options.push({ id: date, title: formatDate(date, locale) }); // e.g. "Sun 16 Nov 2025"
+  }
+
+  // Only offer a next page if it would contain a date at all
+  const nextStart =
+    listed.length === rules.pageSize
+      ? candidates.find((date) => date > listed[listed.length - 1])
+      : undefined;
+  if (nextStart) {
+    options.push({ id: `${DATE_PAGE_PREFIX}${nextStart}`, title: translate(locale, "later_dates") });
+  }
+
+  return options;
+};
@@ -7,7 +7,36 @@
 
 import express from "express";
 import { decryptRequest, encryptResponse, FlowEndpointException } from "./encryption.js";
+import { listKeys } from "./keyManager.js";
+import { listBookingRetries, startBookingRetryWorker } from "./bookingRetries.js";
+import { listCallbackRequests, updateCallbackRequest } from "./callbacks.js";
+import { handleCalendarWebhook, isCalendarWebhookSignatureValid } from "./calendarWebhooks.js";
 import { getNextScreen } from "./flow.js";
+import { getLiveness, getReadiness } from "./health.js";
+import { createLogger, setCorrelationId, withRequestContext } from "./logger.js";
+import {
+  decryptedRequestsTotal,
+  decryptFailuresTotal,
+  METRICS_CONTENT_TYPE,
+  renderMetrics,
+  trackRequests,
+} from "./metrics.js";
+import {
+  createFlowToken,
+  isValidFlowTokenTtl,
+  revokeFlowToken,
+  verifyFlowToken,
+} from "./flowToken.js";
+import { normalizeLocale, SUPPORTED_LOCALES } from "./i18n.js";
+import { getCurrentTenant, getTenant, runWithTenant, withRouteTenant } from "./tenants.js";
+import {
+  assertSignatureConfig,
+  findSigningTenants,
+  isRequestSignatureValid,
+  requireValidSignature,
+} from "./signature.js";
+import { withRequestDeadline } from "./timeout.js";
+import { listWebhookDeliveries, startWebhookWorker } from "./webhooks.js";
 import crypto from "crypto";
 import dotenv from 'dotenv';
 import path from "path";
@@ -18,7 +47,7 @@ const __dirname = path.dirname(__filename);
 
 dotenv.config({ path: path.join(__dirname, ".env") });
 
-const app = express();
+export const app = express();
 
 app.use(
   express.json({
@@ -29,61 +58,275 @@ app.use(
   }),
 );
 
-// CHANGED: Only removed PRIVATE_KEY - PASSPHRASE still comes from env
-const { APP_SECRET, PASSPHRASE = "", PORT = "3000" } = process.env;
+const { PORT = "3000" } = process.env;
+
+const log = createLogger("server");
+
+// Kept here for callers that imported it from the server
+export { isRequestSignatureValid };
 
 /*
-Note: Private key is now loaded from wa_private_key.pem file
-PASSPHRASE (if needed) is still loaded from environment variable
+Note: Private keys are loaded from PRIVATE_KEY_PATHS / PRIVATE_KEY_PATH
+(default src/wa_private_key.pem) with PRIVATE_KEY_PASSPHRASE, see keyManager.js
 */
 
-app.post("/", async (req, res) => {
-  // REMOVED: Private key check - encryption.js will handle loading from file
+/*
+Endpoint error codes (https://developers.facebook.com/docs/whatsapp/flows/reference/error-codes#endpoint_error_codes):
+  432 - missing, malformed or wrong request signature (see signature.js)
+  400 - body is not JSON or misses the encrypted fields
+  421 - request could not be decrypted with any private key, the client
+        re-fetches the public key
+  427 - flow token is invalid, expired or revoked; the flow is closed
+  500 - anything else
+*/
+// Each tenant (see tenants.js) can get its own endpoint URL,
+// POST /tenants/<id>. On POST / the request's signature narrows it down to
+// the tenants with that app secret (.env first); the first of them whose
+// private key decrypts it is the request's tenant, unless the `tenant` claim
+// of the flow token names another of them that has the same key.
 
-  if(!isRequestSignatureValid(req)) {
-    // Return status code 432 if request signature does not match.
-    // To learn more about return error codes visit: https://developers.facebook.com/docs/whatsapp/flows/reference/error-codes#endpoint_error_codes
-    return res.status(432).send();
+// Decrypt with the keys of each candidate tenant in turn. Returns
+// { tenant, decryptedRequest }, or throws the failure of the last one
+// (421 when any of them had a key but not the right one).
+function decryptForTenants(body, candidates) {
+  let failure = null;
+  for (const tenant of candidates) {
+    try {
+      return { tenant, decryptedRequest: runWithTenant(tenant, () => decryptRequest(body)) };
+    } catch (err) {
+      // a malformed body fails the same way for every tenant
+      if (!(err instanceof FlowEndpointException) || err.statusCode === 400) {
+        throw err;
+      }
+      failure = failure?.statusCode === 421 ? failure : err;
+    }
   }
+  throw failure;
+}
 
-  let decryptedRequest = null;
-  try {
-    // CHANGED: Only passing req.body
-    // Private key will be loaded from wa_private_key.pem file
-    // PASSPHRASE is handled via environment variable in encryption.js
-    decryptedRequest = decryptRequest(req.body);
-  } catch (err) {
-    console.error(err);
-    if (err instanceof FlowEndpointException) {
-      return res.status(err.statusCode).send();
+// Whether `tenant` (null for .env) decrypts with the key file at `keyPath`
+const hasKey = (tenant, keyPath) =>
+  runWithTenant(tenant, () => listKeys().some((key) => key.path === keyPath));
+
+app.post(
+  ["/", "/tenants/:tenantId"],
+  withRequestContext(),
+  withRequestDeadline(),
+  trackRequests(),
+  withRouteTenant(),
+  requireValidSignature(),
+  async (req, res) => {
+    // The route's tenant, or on POST / the ones whose secret signed it
+    const candidates = res.locals.signingTenants || [getCurrentTenant()];
+    let tenant = null;
+    let decryptedRequest = null;
+    try {
+      // Private keys are loaded once from PRIVATE_KEY_PATH(S) and reloaded
+      // when the files change (see keyManager.js)
+      ({ tenant, decryptedRequest } = decryptForTenants(req.body, candidates));
+    } catch (err) {
+      log.error("Could not decrypt request", err);
+      const status = err instanceof FlowEndpointException ? err.statusCode : 500;
+      decryptFailuresTotal.inc({ status });
+      return res.status(status).send();
     }
-    return res.status(500).send();
+
+    const { aesKeyBuffer, initialVectorBuffer, decryptedBody, keyId, keyPath } = decryptedRequest;
+    setCorrelationId(decryptedBody.flow_token);
+    res.locals.action = decryptedBody.action;
+    res.locals.screen = decryptedBody.screen;
+    decryptedRequestsTotal.inc({ key_id: keyId });
+    // Only the shape at info level, the values may be personal data
+    log.info("Decrypted request", {
+      key_id: keyId,
+      action: decryptedBody.action,
+      screen: decryptedBody.screen,
+      data_fields: Object.keys(decryptedBody.data || {}),
+    });
+    log.debug("Decrypted request body", { body: decryptedBody });
+
+    // If the flow token is expired, revoked, tampered with or names another
+    // tenant, return HTTP code 427 to disable the flow and show the message
+    // in `error_msg` to the user.
+    // Refer to the docs for details https://developers.facebook.com/docs/whatsapp/flows/reference/error-codes#endpoint_error_codes
+    const rejectFlowToken = (reason) => {
+      log.warn("Rejecting flow token", { reason });
+      const error_response = {
+        error_msg: `The message is no longer available`,
+      };
+      return res
+        .status(427)
+        .send(
+          encryptResponse(error_response, aesKeyBuffer, initialVectorBuffer)
+        );
+    };
+
+    // Flow tokens are signed and expire (see flowToken.js). Health checks
+    // (`ping`) do not carry a flow token.
+    let flowToken = null;
+    if (decryptedBody.action !== "ping") {
+      const tokenCheck = verifyFlowToken(decryptedBody.flow_token);
+      if (!tokenCheck.valid) {
+        return rejectFlowToken(tokenCheck.reason);
+      }
+      flowToken = tokenCheck.payload;
+    }
+
+    // A token for another tenant only passes if that tenant signed and
+    // could have decrypted the request too (e.g. it shares .env's key and
+    // secret)
+    const tokenTenantId = flowToken?.tenant || null;
+    if (tokenTenantId && tokenTenantId !== tenant?.id) {
+      const claimed = candidates.find((candidate) => candidate?.id === tokenTenantId);
+      if (!claimed || !hasKey(claimed, keyPath)) {
+        return rejectFlowToken(getTenant(tokenTenantId) ? "tenant_mismatch" : "unknown_tenant");
+      }
+      tenant = claimed;
+    }
+
+    return runWithTenant(tenant, async () => {
+      let encryptedResponse = null;
+      try {
+        const screenResponse = await getNextScreen(decryptedBody, { flowToken });
+        log.info("Responding", { screen: screenResponse.screen, tenant_id: tenant?.id });
+        log.debug("Response to encrypt", { response: screenResponse });
+        encryptedResponse = encryptResponse(screenResponse, aesKeyBuffer, initialVectorBuffer);
+      } catch (err) {
+        log.error("Could not handle request", err);
+        return res.status(err instanceof FlowEndpointException ? err.statusCode : 500).send();
+      }
+
+      res.send(encryptedResponse);
+    });
   }
+);
 
-  const { aesKeyBuffer, initialVectorBuffer, decryptedBody } = decryptedRequest;
-  console.log("💬 Decrypted Request:", decryptedBody);
+// Booking changes made in Cal.com (host cancels or moves a meeting), see
+// calendarWebhooks.js. Signed with the tenant's CAL_WEBHOOK_SECRET; anything
+// but a 2xx makes Cal.com try again.
+app.post(
+  ["/webhooks/calendar", "/tenants/:tenantId/webhooks/calendar"],
+  withRequestContext(),
+  withRouteTenant(),
+  async (req, res) => {
+    if (!isCalendarWebhookSignatureValid(req)) {
+      log.warn("Rejecting calendar webhook with an invalid signature", {
+        tenant_id: getCurrentTenant()?.id,
+      });
+      return res.status(401).send();
+    }
+    if (!req.body?.triggerEvent) {
+      return res.status(400).json({ error: "triggerEvent is required" });
+    }
 
-  // TODO: Uncomment this block and add your flow token validation logic.
-  // If the flow token becomes invalid, return HTTP code 427 to disable the flow and show the message in `error_msg` to the user
-  // Refer to the docs for details https://developers.facebook.com/docs/whatsapp/flows/reference/error-codes#endpoint_error_codes
+    try {
+      return res.json(await handleCalendarWebhook(req.body));
+    } catch (err) {
+      log.error("Could not handle calendar webhook", err);
+      return res.status(500).send();
+    }
+  }
+);
 
-  /*
-  if (!isValidFlowToken(decryptedBody.flow_token)) {
-    const error_response = {
-      error_msg: `The message is no longer available`,
-    };
+// Mint a signed flow token for an outbound Flow message.
+// Body: { phone, flow_id, tenant?, locale?, ttl_seconds? }
+app.post("/flow-tokens", (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(401).send();
+  }
+
+  const { phone, flow_id, tenant, locale, ttl_seconds } = req.body || {};
+  if (!phone || !flow_id) {
+    return res.status(400).json({ error: "phone and flow_id are required" });
+  }
+  if (tenant && !getTenant(tenant)) {
+    return res.status(400).json({ error: `Unknown tenant "${tenant}"` });
+  }
+  if (locale && !normalizeLocale(locale)) {
     return res
-      .status(427)
-      .send(
-        encryptResponse(error_response, aesKeyBuffer, initialVectorBuffer)
-      );
+      .status(400)
+      .json({ error: `Unsupported locale "${locale}", use one of ${SUPPORTED_LOCALES.join(", ")}` });
+  }
+  if (ttl_seconds !== undefined && ttl_seconds !== null && !isValidFlowTokenTtl(ttl_seconds)) {
+    return res
+      .status(400)
+      .json({ error: "ttl_seconds must be a positive number of seconds, at most 30 days" });
   }
-  */
 
-  const screenResponse = await getNextScreen(decryptedBody);
-  console.log("👉 Response to Encrypt:", screenResponse);
+  try {
+    const flow_token = createFlowToken({
+      phone,
+      flowId: flow_id,
+      tenantId: tenant,
+      locale: normalizeLocale(locale),
+      ttlSeconds: ttl_seconds,
+    });
+    const { payload } = verifyFlowToken(flow_token);
+    return res.json({
+      flow_token,
+      expires_at: payload ? new Date(payload.exp * 1000).toISOString() : null,
+    });
+  } catch (err) {
+    log.error("Could not mint flow token", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Revoke a flow token (or its jti) so further requests get 427.
+// Body: { flow_token }
+app.post("/flow-tokens/revoke", (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(401).send();
+  }
+
+  const { flow_token } = req.body || {};
+  if (!revokeFlowToken(flow_token)) {
+    return res.status(400).json({ error: "flow_token is required" });
+  }
+  return res.json({ revoked: true });
+});
+
+// Callback requests queued when no time could be booked, oldest first.
+// Query: ?status=pending|done
+app.get("/callback-requests", async (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(401).send();
+  }
+  return res.json({ callback_requests: await listCallbackRequests({ status: req.query.status }) });
+});
+
+// Mark a callback request as handled. Body: { status? } (default "done")
+app.post("/callback-requests/:id", async (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(401).send();
+  }
+  const updated = await updateCallbackRequest(req.params.id, {
+    status: req.body?.status || "done",
+  });
+  return updated ? res.json(updated) : res.status(404).send();
+});
+
+// Bookings queued for retry after a calendar outage, oldest first.
+// Query: ?status=pending|succeeded|dead
+app.get("/booking-retries", async (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(401).send();
+  }
+  return res.json({ booking_retries: await listBookingRetries({ status: req.query.status }) });
+});
 
-  res.send(encryptResponse(screenResponse, aesKeyBuffer, initialVectorBuffer));
+// Outbound webhook delivery log, oldest first.
+// Query: ?status=pending|delivered|dead&type=booking.created
+app.get("/webhook-deliveries", async (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(401).send();
+  }
+  return res.json({
+    webhook_deliveries: await listWebhookDeliveries({
+      status: req.query.status,
+      type: req.query.type,
+    }),
+  });
 });
 
 app.get("/", (req, res) => {
@@ -91,28 +334,82 @@ app.get("/", (req, res) => {
 Checkout README.md to start.</pre>`);
 });
 
-app.listen(PORT, () => {
-  console.log(`Server is listening on port: ${PORT}`);
-  console.log(`🔑 Private key will be loaded from: src/wa_private_key.pem file`);
-  console.log(`🔐 PASSPHRASE: ${PASSPHRASE ? 'Set ✅' : 'Not set (unencrypted key) ⚠️'}`);
+// Liveness and readiness probes, see health.js. 503 when a check fails.
+app.get("/healthz", async (req, res) => {
+  const health = await getLiveness();
+  res.status(health.ok ? 200 : 503).json(health);
+});
+
+app.get("/readyz", async (req, res) => {
+  const readiness = await getReadiness();
+  res.status(readiness.ok ? 200 : 503).json(readiness);
+});
+
+// Prometheus scrape target, see metrics.js
+app.get("/metrics", (req, res) => {
+  res.set("Content-Type", METRICS_CONTENT_TYPE).send(renderMetrics());
 });
 
-function isRequestSignatureValid(req) {
-  if(!APP_SECRET) {
-    console.warn("App Secret is not set up. Please Add your app secret in /.env file to check for request validation");
-    return true;
+// express.json() rejects bodies that are not JSON before any route runs.
+// Unsigned requests still get 432, signed but unreadable ones 400.
+app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
   }
+  if (err.type === "entity.parse.failed" || err.type === "entity.too.large") {
+    const tenantRoute = req.path.match(/^\/tenants\/([^/]+)\/?$/);
+    const tenant = tenantRoute ? getTenant(tenantRoute[1]) : null;
+    // on POST / any tenant's secret, the tenant can't be told from the body
+    if (
+      (req.path === "/" && findSigningTenants(req).length === 0) ||
+      (tenant && !runWithTenant(tenant, () => isRequestSignatureValid(req)))
+    ) {
+      return res.status(432).send();
+    }
+    return res.status(400).send();
+  }
+  log.error("Unhandled error", err);
+  return res.status(500).send();
+});
 
-  const signatureHeader = req.get("x-hub-signature-256");
-  const signatureBuffer = Buffer.from(signatureHeader.replace("sha256=", ""), "hex");
+// Listen only when started directly (`npm start`), not when imported by the
+// simulator or tests
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  try {
+    assertSignatureConfig();
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
 
-  const hmac = crypto.createHmac("sha256", APP_SECRET);
-  const digestString = hmac.update(req.rawBody).digest('hex');
-  const digestBuffer = Buffer.from(digestString, "hex");
+  app.listen(PORT, () => {
+    log.info(`Server is listening on port: ${PORT}`);
+    // Load the keys up front so a bad key or passphrase shows at startup
+    for (const key of listKeys()) {
+      if (key.loaded) {
+        log.info("Private key loaded", { key_id: key.id });
+      } else {
+        log.warn("Private key not loaded", { key_id: key.id, error: key.error });
+      }
+    }
+    // Retry bookings that failed during a calendar outage, see bookingRetries.js
+    startBookingRetryWorker();
+    // Retry failed webhook deliveries, see webhooks.js
+    startWebhookWorker();
+  });
+}
 
-  if ( !crypto.timingSafeEqual(digestBuffer, signatureBuffer)) {
-    console.error("Error: Request Signature did not match");
+// Admin routes (flow tokens, callback requests, booking retries, webhook
+// deliveries) are only enabled when FLOW_TOKEN_ADMIN_KEY is set and must be
+// called with `Authorization: Bearer <FLOW_TOKEN_ADMIN_KEY>`.
+function isAdminRequest(req) {
+  const adminKey = process.env.FLOW_TOKEN_ADMIN_KEY;
+  if (!adminKey) {
+    log.warn("FLOW_TOKEN_ADMIN_KEY is not set up. Admin routes are disabled.");
     return false;
   }
-  return true;
-}
\ No newline at end of file
+
+  const expected = Buffer.from(`Bearer ${adminKey}`);
+  const actual = Buffer.from(req.get("authorization") || "");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,101 @@
+/**
+ * Server-side state for in-progress flows, keyed by flow_token.
+ *
+ * Each data_exchange merges the fields the client sent into the session, so
+ * later screens read what the user entered earlier even when a screen does
+ * not send every field back.
+ *
+ * Config (.env):
+ *   SESSION_STORE=memory|file|sqlite (defaults to STORE_BACKEND)
+ *   SESSION_TTL_SECONDS=3600
+ */
+
+import { createStore } from "./store.js";
+
+const DEFAULT_SESSION_TTL_SECONDS = 60 * 60;
+
+// Fields collected across APPOINTMENT -> DETAILS -> SUMMARY
+export const SESSION_FIELDS = [
+  "name",
+  "email",
+  "website",
+  "company",
+  "event_type",
+  "date",
+  "time",
+  "more_details",
+  "time_zone",
+  "locale", // e.g. "es", sent by the flow (see i18n.js)
+  "date_page_start", // current page of the date dropdown
+
+  // MANAGE_BOOKING -> RESCHEDULE / CANCEL_CONFIRM
+  "booking_id",
+  "manage_action",
+  "cancel_reason",
+];
+
+let sessionStore = null;
+
+function getSessionStore() {
+  if (!sessionStore) {
+    sessionStore = createStore("sessions", {
+      backend: process.env.SESSION_STORE,
+      ttlSeconds:
+        Number(process.env.SESSION_TTL_SECONDS) || DEFAULT_SESSION_TTL_SECONDS,
+    });
+  }
+  return sessionStore;
+}
+
+// Only keep known fields that actually carry a value. An omitted or blank
+// field never wipes out what the user entered on a previous screen.
+function pickSessionFields(data, knownFields) {
+  const fields = {};
+  for (const field of knownFields) {
+    const value = data?.[field];
+    if (value !== undefined && value !== null && value !== "") {
+      fields[field] = value;
+    }
+  }
+  return fields;
+}
+
+export const getSession = async (flowToken) => {
+  if (!flowToken) {
+    return {};
+  }
+  return (await getSessionStore().get(flowToken)) || {};
+};
+
+/**
+ * Merge the fields from a client payload into the session and return the
+ * resulting session state. `knownFields` defaults to SESSION_FIELDS; the
+ * flow engine passes the fields its definition collects.
+ */
+export const mergeSession = async (flowToken, data, knownFields = SESSION_FIELDS) => {
+  const fields = pickSessionFields(data, knownFields);
+  if (!flowToken) {
+    return fields;
+  }
+  return getSessionStore().merge(flowToken, fields);
+};
+
+/**
+ * Remove fields from the session, e.g. a date pick that no longer applies.
+ */
+export const unsetSessionFields = async (flowToken, fields) => {
+  if (!flowToken) {
+    return;
+  }
+  const session = await getSession(flowToken);
+  for (const field of fields) {
+    delete session[field];
+  }
+  await getSessionStore().set(flowToken, session);
+};
+
+export const clearSession = async (flowToken) => {
+  if (flowToken) {
+    await getSessionStore().delete(flowToken);
+  }
+};
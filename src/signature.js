@@ -0,0 +1,170 @@
+/**
+ * Request signature verification.
+ *
+ * WhatsApp signs every endpoint request with the app secret and sends the
+ * HMAC-SHA256 of the raw body as `x-hub-signature-256: sha256=<hex>`.
+ * Requests without a valid signature are answered with HTTP 432.
+ *
+ * Config (.env):
+ *   APP_SECRETS=new-secret,old-secret  (optional, any of them is accepted)
+ *   APP_SECRET=secret                  (single secret)
+ *   APP_SECRET_REQUIRED=true           (strict: refuse to start without one)
+ *
+ * Without strict mode and without a secret, signatures are not checked so
+ * the endpoint can be tried locally; a warning is logged once.
+ *
+ * Tenants (see tenants.js) set their own APP_SECRET(S), so every tenant
+ * should have a secret. A request on a tenant's route is checked against
+ * that tenant's secrets. On POST / the tenant is not known yet: the request
+ * may only come from the tenants (or .env) whose secret signed it, and only
+ * their keys are tried to decrypt it (see server.js).
+ */
+
+import crypto from "crypto";
+import { createLogger } from "./logger.js";
+import { getFirstSetting, isTenantSettled, listTenants, runWithTenant } from "./tenants.js";
+
+const SIGNATURE_HEADER = "x-hub-signature-256";
+const SIGNATURE_PATTERN = /^sha256=([0-9a-f]{64})$/i;
+
+let warnedMissingSecret = false;
+
+const log = createLogger("signature");
+
+// ---------- CONFIG ----------
+
+/**
+ * Configured app secrets, current one first. During a rotation list both the
+ * new and the old secret in APP_SECRETS.
+ */
+export const getAppSecrets = () => {
+  const secrets = (getFirstSetting("APP_SECRETS", "APP_SECRET") || "")
+    .split(",")
+    .map((secret) => secret.trim())
+    .filter(Boolean);
+  return [...new Set(secrets)];
+};
+
+export const isStrictSignatureMode = () =>
+  ["1", "true", "yes"].includes((process.env.APP_SECRET_REQUIRED || "").toLowerCase());
+
+/**
+ * Throw when strict mode is on and no app secret is configured. Called at
+ * startup so a misconfigured deploy fails fast instead of accepting
+ * unsigned requests.
+ */
+export const assertSignatureConfig = () => {
+  if (!isStrictSignatureMode()) {
+    return;
+  }
+  const tenants = listTenants();
+  if (tenants.length === 0 && getAppSecrets().length === 0) {
+    throw new Error(
+      "APP_SECRET_REQUIRED is set but neither APP_SECRETS nor APP_SECRET is configured"
+    );
+  }
+  const missing = tenants.filter((tenant) => runWithTenant(tenant, getAppSecrets).length === 0);
+  if (missing.length > 0) {
+    throw new Error(
+      `APP_SECRET_REQUIRED is set but tenants ${missing.map((tenant) => tenant.id).join(", ")} have no app secret`
+    );
+  }
+};
+
+// ---------- VERIFY ----------
+
+/**
+ * `x-hub-signature-256` header value for a raw request body.
+ */
+export const signRequestBody = (rawBody, appSecret) =>
+  `sha256=${crypto.createHmac("sha256", appSecret).update(rawBody).digest("hex")}`;
+
+/**
+ * Check a signature header against the raw body.
+ *
+ * Returns { valid: true, secretIndex } or { valid: false, reason } where
+ * reason is one of "missing", "malformed", "mismatch" or "no_secret" (strict
+ * mode only). `secretIndex` tells which configured secret matched (0 is the
+ * current one), or is null when checks are disabled.
+ */
+export const verifySignature = (rawBody, signatureHeader, secrets = getAppSecrets()) => {
+  if (secrets.length === 0) {
+    if (isStrictSignatureMode()) {
+      return { valid: false, reason: "no_secret" };
+    }
+    if (!warnedMissingSecret) {
+      warnedMissingSecret = true;
+      log.warn("App Secret is not set up. Please Add your app secret in /.env file to check for request validation");
+    }
+    return { valid: true, secretIndex: null };
+  }
+
+  if (!signatureHeader) {
+    return { valid: false, reason: "missing" };
+  }
+
+  const match = String(signatureHeader).trim().match(SIGNATURE_PATTERN);
+  if (!match) {
+    return { valid: false, reason: "malformed" };
+  }
+
+  // Both buffers are 32 bytes here, so timingSafeEqual cannot throw
+  const signatureBuffer = Buffer.from(match[1], "hex");
+  const secretIndex = secrets.findIndex((secret) => {
+    const digestBuffer = crypto
+      .createHmac("sha256", secret)
+      .update(rawBody ?? "")
+      .digest();
+    return crypto.timingSafeEqual(digestBuffer, signatureBuffer);
+  });
+
+  if (secretIndex === -1) {
+    return { valid: false, reason: "mismatch" };
+  }
+  return { valid: true, secretIndex };
+};
+
+/**
+ * Whether the request is signed with the current tenant's app secret
+ * (.env's without a tenant).
+ */
+export const isRequestSignatureValid = (req) => {
+  const result = verifySignature(req.rawBody, req.get(SIGNATURE_HEADER));
+  if (!result.valid) {
+    log.error("Request signature rejected", { reason: result.reason });
+    return false;
+  }
+  if (result.secretIndex > 0) {
+    log.warn("Request signed with a previous app secret", { secret_index: result.secretIndex });
+  }
+  return true;
+};
+
+/**
+ * The tenants whose app secret signed the request, .env (null) first.
+ * Empty when none did.
+ */
+export const findSigningTenants = (req) =>
+  [null, ...listTenants()].filter((tenant) =>
+    runWithTenant(tenant, () => verifySignature(req.rawBody, req.get(SIGNATURE_HEADER)).valid)
+  );
+
+/**
+ * Express middleware answering 432 for requests without a valid signature.
+ * Mount it after express.json() so `req.rawBody` is set. Outside a tenant
+ * (POST /) any tenant's secret will do, and those tenants are left in
+ * `res.locals.signingTenants` for the handler to pick from.
+ * To learn more about return error codes visit: https://developers.facebook.com/docs/whatsapp/flows/reference/error-codes#endpoint_error_codes
+ */
+export const requireValidSignature = () => (req, res, next) => {
+  if (isTenantSettled()) {
+    return isRequestSignatureValid(req) ? next() : res.status(432).send();
+  }
+
+  res.locals.signingTenants = findSigningTenants(req);
+  if (res.locals.signingTenants.length === 0) {
+    log.error("Request signature rejected", { reason: "no_matching_secret" });
+    return res.status(432).send();
+  }
+  next();
+};
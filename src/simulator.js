@@ -0,0 +1,100 @@
+/**
+ * Client side of the WhatsApp Flows endpoint protocol, for exercising
+ * `POST /` without a WhatsApp client (see cli/simulate.js).
+ *
+ * Requests are encrypted the way WhatsApp does it: a fresh AES-128-GCM key
+ * encrypts the payload and is itself encrypted with the endpoint's public
+ * key (RSA-OAEP-SHA256). Responses come back AES-GCM encrypted with the
+ * flipped IV (see encryptResponse in encryption.js).
+ */
+
+import axios from "axios";
+import crypto from "crypto";
+import { signRequestBody } from "./signature.js";
+
+const TAG_LENGTH = 16;
+
+/**
+ * Encrypt a request payload. Returns the request `body` plus the AES key and
+ * IV needed to read the response.
+ */
+export const encryptFlowRequest = (payload, publicKey) => {
+  const aesKeyBuffer = crypto.randomBytes(16);
+  const initialVectorBuffer = crypto.randomBytes(16);
+
+  const cipher = crypto.createCipheriv("aes-128-gcm", aesKeyBuffer, initialVectorBuffer);
+  const encryptedFlowData = Buffer.concat([
+    cipher.update(JSON.stringify(payload), "utf-8"),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+
+  const encryptedAesKey = crypto.publicEncrypt(
+    {
+      key: publicKey,
+      padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+      oaepHash: "sha256",
+    },
+    aesKeyBuffer
+  );
+
+  return {
+    body: {
+      encrypted_flow_data: encryptedFlowData.toString("base64"),
+      encrypted_aes_key: encryptedAesKey.toString("base64"),
+      initial_vector: initialVectorBuffer.toString("base64"),
+    },
+    aesKeyBuffer,
+    initialVectorBuffer,
+  };
+};
+
+/**
+ * Decrypt a base64 response body sent with the flipped IV.
+ */
+export const decryptFlowResponse = (encryptedResponse, aesKeyBuffer, initialVectorBuffer) => {
+  const responseBuffer = Buffer.from(encryptedResponse, "base64");
+  const flippedIv = Buffer.from(initialVectorBuffer.map((byte) => ~byte));
+
+  const decipher = crypto.createDecipheriv("aes-128-gcm", aesKeyBuffer, flippedIv);
+  decipher.setAuthTag(responseBuffer.subarray(-TAG_LENGTH));
+  return JSON.parse(
+    Buffer.concat([
+      decipher.update(responseBuffer.subarray(0, -TAG_LENGTH)),
+      decipher.final(),
+    ]).toString("utf-8")
+  );
+};
+
+// `x-hub-signature-256` header value, see signature.js
+export { signRequestBody };
+
+/**
+ * A client for one endpoint. `send(payload)` resolves to
+ * `{ status, response }`, where `response` is the decrypted JSON when the
+ * endpoint answered with an encrypted body (200 and 427), else null.
+ */
+export const createFlowSimulator = ({ url, publicKey, appSecret }) => ({
+  async send(payload) {
+    const { body, aesKeyBuffer, initialVectorBuffer } = encryptFlowRequest(payload, publicKey);
+    const rawBody = JSON.stringify(body);
+
+    const headers = { "Content-Type": "application/json" };
+    if (appSecret) {
+      headers["x-hub-signature-256"] = signRequestBody(rawBody, appSecret);
+    }
+
+    const { status, data } = await axios.post(url, rawBody, {
+      headers,
+      responseType: "text",
+      transformResponse: (text) => text,
+      validateStatus: () => true,
+    });
+
+    let response = null;
+    if (data && (status === 200 || status === 427)) {
+      response = decryptFlowResponse(data, aesKeyBuffer, initialVectorBuffer);
+    }
+    return { status, response };
+  },
+});
@@ -0,0 +1,249 @@
+/**
+ * Cache for calendar slot lookups.
+ *
+ * Each (tenant, provider, event type, time zone, date) entry is:
+ *   fresh  for SLOT_CACHE_TTL_MS             - served from memory
+ *   stale  for SLOT_CACHE_STALE_MS after that - served from memory while a
+ *                                               background refresh runs
+ *   gone   after that                         - fetched again, caller waits
+ *
+ * Concurrent lookups of one date share a single provider call, and every
+ * call is bounded by SLOT_FETCH_TIMEOUT_MS so the endpoint answers within
+ * WhatsApp's deadline even when the provider is slow. A call that times out
+ * still fills the cache when it finally answers.
+ *
+ * prefetchSlots() loads a whole date range with one provider call, for
+ * providers that implement listSlotsRange (see calendar/index.js).
+ *
+ * Entries past the stale window are dropped as new ones are stored, so the
+ * cache only holds dates looked up recently.
+ *
+ * Config (.env):
+ *   SLOT_CACHE_TTL_MS=30000      (0 disables caching)
+ *   SLOT_CACHE_STALE_MS=120000
+ *   SLOT_FETCH_TIMEOUT_MS=4000
+ */
+
+import { getCalendarProvider } from "./calendar/index.js";
+import { createLogger } from "./logger.js";
+import { addDays, todayInZone } from "./timezone.js";
+import { getTenantId } from "./tenants.js";
+import { withTimeout } from "./timeout.js";
+
+const DEFAULT_TTL_MS = 30 * 1000;
+const DEFAULT_STALE_MS = 2 * 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 4000;
+
+const log = createLogger("slot-cache");
+
+const entries = new Map(); // key -> { date, slots, fetchedAt }
+const inFlight = new Map(); // key -> Promise<slots>
+let generation = 0; // bumped on every invalidation
+let lastSweepAt = 0;
+
+// ---------- HELPERS ----------
+
+function readMs(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0
+    ? value
+    : fallback;
+}
+
+function getCacheConfig() {
+  return {
+    ttlMs: readMs("SLOT_CACHE_TTL_MS", DEFAULT_TTL_MS),
+    staleMs: readMs("SLOT_CACHE_STALE_MS", DEFAULT_STALE_MS),
+    timeoutMs: readMs("SLOT_FETCH_TIMEOUT_MS", DEFAULT_TIMEOUT_MS),
+  };
+}
+
+function cacheKey(providerName, date, timeZone, eventType) {
+  return `${getTenantId() || ""}|${providerName}|${eventType?.id || ""}|${timeZone}|${date}`;
+}
+
+// Drop entries past their stale window; at most once per TTL + stale window
+// so storing stays cheap
+function sweep({ ttlMs, staleMs }) {
+  const now = Date.now();
+  if (now - lastSweepAt < ttlMs + staleMs) {
+    return;
+  }
+  lastSweepAt = now;
+  for (const [key, entry] of entries) {
+    if (now - entry.fetchedAt >= ttlMs + staleMs) {
+      entries.delete(key);
+    }
+  }
+}
+
+function store(key, date, slots, fetchGeneration) {
+  const config = getCacheConfig();
+  if (config.ttlMs === 0 || fetchGeneration !== generation) {
+    return;
+  }
+  sweep(config);
+  entries.set(key, { date, slots, fetchedAt: Date.now() });
+}
+
+// One provider call per key at a time; resolves to the fetched slots
+function fetchSlots(calendar, key, date, timeZone, eventType) {
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const fetchGeneration = generation;
+  const fetching = Promise.resolve()
+    .then(() => calendar.listSlots({ date, timeZone, eventType }))
+    .then((slots) => {
+      store(key, date, slots || [], fetchGeneration);
+      return slots || [];
+    })
+    .finally(() => {
+      if (inFlight.get(key) === fetching) {
+        inFlight.delete(key);
+      }
+    });
+  inFlight.set(key, fetching);
+  return fetching;
+}
+
+// Refresh in the background; errors only leave the stale entry in place
+function revalidate(calendar, key, date, timeZone, eventType) {
+  if (!inFlight.has(key)) {
+    fetchSlots(calendar, key, date, timeZone, eventType).catch((error) =>
+      log.warn("Background slot refresh failed", { date, error: error.message })
+    );
+  }
+}
+
+// ---------- PUBLIC API ----------
+
+/**
+ * Free slots for a date in `timeZone`, as the provider's listSlots returns
+ * them for `eventType` (see eventTypes.js). `fresh: true` skips the cache
+ * (e.g. re-checking a slot right before booking it) and stores the answer.
+ */
+export const getSlots = async (date, timeZone, { fresh = false, eventType } = {}) => {
+  const calendar = getCalendarProvider();
+  const { ttlMs, staleMs, timeoutMs } = getCacheConfig();
+  const key = cacheKey(calendar.name, date, timeZone, eventType);
+
+  const entry = ttlMs > 0 && !fresh ? entries.get(key) : null;
+  if (entry) {
+    const age = Date.now() - entry.fetchedAt;
+    if (age < ttlMs) {
+      return entry.slots;
+    }
+    if (age < ttlMs + staleMs) {
+      revalidate(calendar, key, date, timeZone, eventType);
+      return entry.slots;
+    }
+  }
+
+  return withTimeout(
+    fetchSlots(calendar, key, date, timeZone, eventType),
+    timeoutMs,
+    `${calendar.name} slot lookup`
+  );
+};
+
+/**
+ * Cached slots for a date (fresh or stale), or null when the cache has
+ * nothing usable. Never calls the provider.
+ */
+export const peekSlots = (date, timeZone, { eventType } = {}) => {
+  const calendar = getCalendarProvider();
+  const { ttlMs, staleMs } = getCacheConfig();
+  const entry = entries.get(cacheKey(calendar.name, date, timeZone, eventType));
+  return entry && Date.now() - entry.fetchedAt < ttlMs + staleMs ? entry.slots : null;
+};
+
+/**
+ * Load slots for every date from `startDate` to `endDate` with one
+ * listSlotsRange call. Dates already fresh in the cache are not refetched.
+ * Resolves to false when the provider has no range lookup or it failed
+ * (never rejects); the dates are then fetched one by one as they are needed.
+ */
+export const prefetchSlots = async (startDate, endDate, timeZone, { eventType } = {}) => {
+  try {
+    const calendar = getCalendarProvider();
+    const { ttlMs, timeoutMs } = getCacheConfig();
+    if (ttlMs === 0 || typeof calendar.listSlotsRange !== "function") {
+      return false;
+    }
+
+    const dates = [];
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+      const entry = entries.get(cacheKey(calendar.name, date, timeZone, eventType));
+      if (!entry || Date.now() - entry.fetchedAt >= ttlMs) {
+        dates.push(date);
+      }
+    }
+    if (dates.length === 0) {
+      return true;
+    }
+
+    const fetchGeneration = generation;
+    const ranged = Promise.resolve().then(() =>
+      calendar.listSlotsRange({
+        startDate: dates[0],
+        endDate: dates[dates.length - 1],
+        timeZone,
+        eventType,
+      })
+    );
+
+    // Lookups of these dates while the range call runs wait for it
+    const perDate = dates.map((date) => {
+      const key = cacheKey(calendar.name, date, timeZone, eventType);
+      const fetching = ranged
+        .then((slotsByDate) => {
+          const slots = slotsByDate?.[date] || [];
+          store(key, date, slots, fetchGeneration);
+          return slots;
+        })
+        .finally(() => {
+          if (inFlight.get(key) === fetching) {
+            inFlight.delete(key);
+          }
+        });
+      if (!inFlight.has(key)) {
+        inFlight.set(key, fetching);
+      }
+      return fetching;
+    });
+
+    await withTimeout(Promise.all(perDate), timeoutMs, `${calendar.name} slot prefetch`);
+    return true;
+  } catch (error) {
+    // e.g. a provider that is not set up: the lookups that follow report it
+    log.warn("Slot prefetch failed", { start_date: startDate, end_date: endDate, error: error.message });
+    return false;
+  }
+};
+
+/**
+ * Drop cached slots that may include `instant` (any time zone), e.g. after a
+ * booking, reschedule or cancellation there. Without an instant the whole
+ * cache is cleared.
+ */
+export const invalidateSlots = (instant = null) => {
+  // In-flight lookups may predate the change, don't reuse them or let them
+  // refill the cache
+  generation++;
+  inFlight.clear();
+  if (!instant) {
+    entries.clear();
+    return;
+  }
+
+  // A UTC instant falls on the UTC date or a neighbouring date in any zone
+  const utcDate = todayInZone("UTC", new Date(instant).getTime());
+  const nearby = new Set([addDays(utcDate, -1), utcDate, addDays(utcDate, 1)]);
+  for (const [key, entry] of entries) {
+    if (nearby.has(entry.date)) {
+      entries.delete(key);
+    }
+  }
+};
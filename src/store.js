@@ -0,0 +1,287 @@
+/**
+ * Small key/value store with per-entry TTL, used for server-side state
+ * (flow sessions, idempotency records, ...).
+ *
+ * Every backend implements the same async interface:
+ *   get(key)                     -> value | null
+ *   set(key, value, ttlSeconds?) -> value
+ *   add(key, value, ttlSeconds?) -> true if stored, false if the key has a
+ *                                   live entry already (a claim)
+ *   merge(key, partial, ttlSeconds?) -> merged value (shallow merge)
+ *   delete(key)
+ *   entries()                    -> [[key, value], ...] of live entries
+ *
+ * Backends:
+ *   memory - process-local Map (default, lost on restart)
+ *   file   - one JSON file per namespace in DATA_DIR, read once at startup,
+ *            so a single process per file
+ *   sqlite - a single SQLite database in DATA_DIR (needs Node 22.5+ `node:sqlite`),
+ *            can be shared by several processes; `add` is atomic across them
+ *
+ * Config (.env):
+ *   STORE_BACKEND=memory|file|sqlite
+ *   DATA_DIR=./data
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createLogger } from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_DATA_DIR = path.join(__dirname, "..", "data");
+
+const log = createLogger("store");
+
+// ---------- HELPERS ----------
+
+function getDataDir() {
+  return process.env.DATA_DIR || DEFAULT_DATA_DIR;
+}
+
+function expiryFromTtl(ttlSeconds) {
+  return ttlSeconds ? Date.now() + ttlSeconds * 1000 : null;
+}
+
+function isExpired(entry) {
+  return Boolean(entry.expiresAt) && entry.expiresAt <= Date.now();
+}
+
+// ---------- BACKENDS ----------
+
+export class MemoryStore {
+  constructor({ ttlSeconds } = {}) {
+    this.ttlSeconds = ttlSeconds || null;
+    this.items = new Map();
+  }
+
+  async get(key) {
+    const entry = this.items.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (isExpired(entry)) {
+      this.items.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds = this.ttlSeconds) {
+    this.items.set(key, { value, expiresAt: expiryFromTtl(ttlSeconds) });
+    return value;
+  }
+
+  // Checked and set without an await in between, so it can't race within
+  // the process
+  async add(key, value, ttlSeconds = this.ttlSeconds) {
+    const entry = this.items.get(key);
+    if (entry && !isExpired(entry)) {
+      return false;
+    }
+    this.items.set(key, { value, expiresAt: expiryFromTtl(ttlSeconds) });
+    return true;
+  }
+
+  async merge(key, partial, ttlSeconds = this.ttlSeconds) {
+    const current = (await this.get(key)) || {};
+    return this.set(key, { ...current, ...partial }, ttlSeconds);
+  }
+
+  async delete(key) {
+    this.items.delete(key);
+  }
+
+  async entries() {
+    const live = [];
+    for (const [key, entry] of this.items) {
+      if (isExpired(entry)) {
+        this.items.delete(key);
+      } else {
+        live.push([key, entry.value]);
+      }
+    }
+    return live;
+  }
+}
+
+/**
+ * Keeps the namespace in memory and writes the whole JSON file on every
+ * change (write to a temp file, then rename so a crash never leaves a
+ * half-written file behind). Fine for the volumes a single flow endpoint sees.
+ */
+export class FileStore extends MemoryStore {
+  constructor({ ttlSeconds, file } = {}) {
+    super({ ttlSeconds });
+    this.file = file;
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      for (const [key, entry] of Object.entries(data)) {
+        if (!isExpired(entry)) {
+          this.items.set(key, entry);
+        }
+      }
+    } catch (e) {
+      log.error("Failed to read store file", { file: this.file, error: e.message });
+    }
+  }
+
+  save() {
+    for (const [key, entry] of this.items) {
+      if (isExpired(entry)) {
+        this.items.delete(key);
+      }
+    }
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(Object.fromEntries(this.items)));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  async set(key, value, ttlSeconds = this.ttlSeconds) {
+    await super.set(key, value, ttlSeconds);
+    this.save();
+    return value;
+  }
+
+  async add(key, value, ttlSeconds = this.ttlSeconds) {
+    const added = await super.add(key, value, ttlSeconds);
+    if (added) {
+      this.save();
+    }
+    return added;
+  }
+
+  async delete(key) {
+    await super.delete(key);
+    this.save();
+  }
+}
+
+// One connection per database file, shared by all namespaces.
+const sqliteDatabases = new Map();
+
+async function openSqliteDatabase(file) {
+  if (!sqliteDatabases.has(file)) {
+    const { DatabaseSync } = await import("node:sqlite");
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new DatabaseSync(file);
+    db.exec(`CREATE TABLE IF NOT EXISTS store (
+      namespace TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      expires_at INTEGER,
+      PRIMARY KEY (namespace, key)
+    )`);
+    sqliteDatabases.set(file, db);
+  }
+  return sqliteDatabases.get(file);
+}
+
+export class SqliteStore {
+  constructor({ ttlSeconds, file, namespace } = {}) {
+    this.ttlSeconds = ttlSeconds || null;
+    this.file = file;
+    this.namespace = namespace;
+  }
+
+  async get(key) {
+    const db = await openSqliteDatabase(this.file);
+    const row = db
+      .prepare("SELECT value, expires_at FROM store WHERE namespace = ? AND key = ?")
+      .get(this.namespace, key);
+    if (!row) {
+      return null;
+    }
+    if (isExpired({ expiresAt: row.expires_at })) {
+      await this.delete(key);
+      return null;
+    }
+    return JSON.parse(row.value);
+  }
+
+  async set(key, value, ttlSeconds = this.ttlSeconds) {
+    const db = await openSqliteDatabase(this.file);
+    db.prepare(
+      `INSERT INTO store (namespace, key, value, expires_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at`
+    ).run(this.namespace, key, JSON.stringify(value), expiryFromTtl(ttlSeconds));
+    return value;
+  }
+
+  // One statement, so two processes can't both claim the key: an expired row
+  // is taken over, a live one is left alone (no row changed)
+  async add(key, value, ttlSeconds = this.ttlSeconds) {
+    const db = await openSqliteDatabase(this.file);
+    const { changes } = db
+      .prepare(
+        `INSERT INTO store (namespace, key, value, expires_at) VALUES (?, ?, ?, ?)
+         ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at
+         WHERE store.expires_at IS NOT NULL AND store.expires_at <= ?`
+      )
+      .run(this.namespace, key, JSON.stringify(value), expiryFromTtl(ttlSeconds), Date.now());
+    return changes > 0;
+  }
+
+  async merge(key, partial, ttlSeconds = this.ttlSeconds) {
+    const current = (await this.get(key)) || {};
+    return this.set(key, { ...current, ...partial }, ttlSeconds);
+  }
+
+  async delete(key) {
+    const db = await openSqliteDatabase(this.file);
+    db.prepare("DELETE FROM store WHERE namespace = ? AND key = ?").run(
+      this.namespace,
+      key
+    );
+  }
+
+  async entries() {
+    const db = await openSqliteDatabase(this.file);
+    const rows = db
+      .prepare("SELECT key, value, expires_at FROM store WHERE namespace = ?")
+      .all(this.namespace);
+    return rows
+      .filter((row) => !isExpired({ expiresAt: row.expires_at }))
+      .map((row) => [row.key, JSON.parse(row.value)]);
+  }
+}
+
+// ---------- FACTORY ----------
+
+/**
+ * Create a store for a namespace (e.g. "sessions"). The backend defaults to
+ * STORE_BACKEND, callers may override it per namespace.
+ */
+export const createStore = (namespace, { backend, ttlSeconds } = {}) => {
+  const selected = backend || process.env.STORE_BACKEND || "memory";
+
+  switch (selected) {
+    case "memory":
+      return new MemoryStore({ ttlSeconds });
+    case "file":
+      return new FileStore({
+        ttlSeconds,
+        file: path.join(getDataDir(), `${namespace}.json`),
+      });
+    case "sqlite":
+      return new SqliteStore({
+        ttlSeconds,
+        namespace,
+        file: path.join(getDataDir(), "store.sqlite"),
+      });
+    default:
+      throw new Error(`Unknown store backend: ${selected}`);
+  }
+};
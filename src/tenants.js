@@ -0,0 +1,237 @@
+/**
+ * Tenants: one deployment serving several businesses, each with its own
+ * private keys, app secrets, calendar credentials, time zone, event type,
+ * flow definition and copy.
+ *
+ * Tenants are read from TENANTS_FILE and re-read when it changes; the file
+ * is checked at most once per TENANTS_CHECK_INTERVAL_MS:
+ *
+ *   {
+ *     "acme": {
+ *       "env": {
+ *         "PRIVATE_KEY_PATH": "./keys/acme.pem",
+ *         "APP_SECRET": "...",
+ *         "CAL_API_KEY": "...",
+ *         "CAL_EVENT_TYPE_ID": "42",
+ *         "BUSINESS_TIME_ZONE": "Europe/Berlin",
+ *         "FLOW_DEFINITION": "demo_request"
+ *       },
+ *       "copy": { "booked": "Your Acme demo is booked." }
+ *     }
+ *   }
+ *
+ * `env` overrides the .env settings of the same name for that tenant's
+ * requests (see getSetting); anything it leaves out comes from .env.
+ * Deployment-wide settings (stores, DATA_DIR, LOG_LEVEL, FLOW_TOKEN_SECRET,
+ * admin key) are not per tenant. `copy` replaces user-facing messages by
+ * key, for every locale or per locale (see i18n.js).
+ *
+ * A request's tenant comes from its route (POST /tenants/<id>), or on POST /
+ * from its app secret and the private key that decrypted it (or the
+ * `tenant` claim of its flow token among tenants sharing those), see
+ * server.js. Requests without a tenant, and deployments
+ * without TENANTS_FILE, run on .env.
+ *
+ * Config (.env):
+ *   TENANTS_FILE=./data/tenants.json (optional)
+ *   TENANTS_CHECK_INTERVAL_MS=1000
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import fs from "fs";
+import { createLogger } from "./logger.js";
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const DEFAULT_CHECK_INTERVAL_MS = 1000;
+
+const log = createLogger("tenants");
+
+const tenantContext = new AsyncLocalStorage();
+const changeListeners = new Set();
+
+let tenantsCache = { file: null, mtimeMs: 0, checkedAt: 0, tenants: new Map() };
+
+// ---------- LOADING ----------
+
+function parseTenants(data) {
+  const tenants = new Map();
+  for (const [id, config] of Object.entries(data || {})) {
+    if (!TENANT_ID_PATTERN.test(id)) {
+      log.warn("Skipping tenant with an invalid id", { tenant_id: id });
+      continue;
+    }
+    tenants.set(id, {
+      id,
+      env: Object.fromEntries(
+        Object.entries(config?.env || {}).map(([name, value]) => [name, String(value)])
+      ),
+      copy: { ...config?.copy },
+    });
+  }
+  return tenants;
+}
+
+function getCheckIntervalMs() {
+  const raw = process.env.TENANTS_CHECK_INTERVAL_MS;
+  const value = Number(raw);
+  // 0 checks on every lookup
+  return raw?.trim() && Number.isFinite(value) && value >= 0 ? value : DEFAULT_CHECK_INTERVAL_MS;
+}
+
+// Every setting lookup comes through here, so the file is only looked at
+// again once the check interval has passed. A file that stops parsing keeps
+// the tenants loaded before, so a half-saved edit doesn't take every tenant
+// down.
+function loadTenants() {
+  const file = process.env.TENANTS_FILE;
+  if (!file) {
+    return new Map();
+  }
+  const now = Date.now();
+  if (tenantsCache.file === file && now - tenantsCache.checkedAt < getCheckIntervalMs()) {
+    return tenantsCache.tenants;
+  }
+
+  if (!fs.existsSync(file)) {
+    tenantsCache = { file, mtimeMs: 0, checkedAt: now, tenants: new Map() };
+    return tenantsCache.tenants;
+  }
+
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    if (tenantsCache.file === file && tenantsCache.mtimeMs === mtimeMs) {
+      tenantsCache.checkedAt = now;
+      return tenantsCache.tenants;
+    }
+
+    const tenants = parseTenants(JSON.parse(fs.readFileSync(file, "utf8")));
+    const reloaded = tenantsCache.file === file;
+    tenantsCache = { file, mtimeMs, checkedAt: now, tenants };
+    log.info(reloaded ? "Reloaded tenants" : "Loaded tenants", { file, tenants: tenants.size });
+    for (const listener of changeListeners) {
+      listener();
+    }
+    return tenants;
+  } catch (e) {
+    log.error("Failed to read tenants file", { file, error: e.message });
+    if (tenantsCache.file !== file) {
+      return new Map();
+    }
+    tenantsCache.checkedAt = now;
+    return tenantsCache.tenants;
+  }
+}
+
+// ---------- PUBLIC API ----------
+
+export const isValidTenantId = (id) => typeof id === "string" && TENANT_ID_PATTERN.test(id);
+
+/**
+ * The tenant with `id` ({ id, env, copy }), or null.
+ */
+export const getTenant = (id) => (isValidTenantId(id) ? loadTenants().get(id) || null : null);
+
+export const listTenants = () => [...loadTenants().values()];
+
+/**
+ * Call `listener()` whenever the tenants file is (re)loaded, e.g. to drop
+ * clients built from the old settings.
+ */
+export const onTenantsChange = (listener) => {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+};
+
+/**
+ * Run `fn` with `tenant` (or null for the .env defaults) as the current
+ * tenant, for everything it calls, sync or async.
+ */
+export const runWithTenant = (tenant, fn) => tenantContext.run({ tenant: tenant || null }, fn);
+
+/**
+ * The tenant the caller runs for, or null when it runs on .env (which is
+ * also the case before a POST / request's tenant is settled).
+ */
+export const getCurrentTenant = () => tenantContext.getStore()?.tenant ?? null;
+
+/**
+ * Whether the caller runs inside runWithTenant, i.e. its tenant is settled
+ * (null then means .env only). False e.g. while a POST / request's
+ * signature is checked, before its tenant is picked.
+ */
+export const isTenantSettled = () => tenantContext.getStore() !== undefined;
+
+export const getTenantId = () => getCurrentTenant()?.id ?? null;
+
+/**
+ * A setting for the current tenant, falling back to .env.
+ */
+export const getSetting = (name) => {
+  const tenant = getCurrentTenant();
+  if (tenant) {
+    // the file may have changed since the request started
+    const current = loadTenants().get(tenant.id) || tenant;
+    if (current.env[name] !== undefined) {
+      return current.env[name];
+    }
+  }
+  return process.env[name];
+};
+
+/**
+ * The first of several alternative settings that is set, looking at all of
+ * the tenant's before .env, e.g. getFirstSetting("APP_SECRETS", "APP_SECRET")
+ * so a tenant's APP_SECRET wins over APP_SECRETS in .env.
+ */
+export const getFirstSetting = (...names) => {
+  const tenant = getCurrentTenant();
+  if (tenant) {
+    const current = loadTenants().get(tenant.id) || tenant;
+    const name = names.find((candidate) => current.env[candidate]);
+    if (name) {
+      return current.env[name];
+    }
+  }
+  const name = names.find((candidate) => process.env[candidate]);
+  return name ? process.env[name] : undefined;
+};
+
+/**
+ * The current tenant's text for message `key` in `locale`: from the
+ * locale's section of `copy` if it has one, else the entry for all locales.
+ * Undefined when the tenant keeps the default text.
+ */
+export const getCopy = (key, locale) => {
+  const tenant = getCurrentTenant();
+  if (!tenant) {
+    return undefined;
+  }
+  const { copy } = loadTenants().get(tenant.id) || tenant;
+  const localized = typeof copy[locale] === "object" ? copy[locale]?.[key] : undefined;
+  return localized ?? (typeof copy[key] === "string" ? copy[key] : undefined);
+};
+
+/**
+ * `fn()` run for the .env defaults and for every tenant, e.g. to list the
+ * keys of all of them.
+ */
+export const collectAcrossTenants = (fn) =>
+  [null, ...listTenants()].map((tenant) => runWithTenant(tenant, fn));
+
+/**
+ * Express middleware running the rest of the request for the tenant in the
+ * `:tenantId` route parameter; unknown tenants get 404. Requests on routes
+ * without the parameter pass through unchanged.
+ */
+export const withRouteTenant = () => (req, res, next) => {
+  const { tenantId } = req.params;
+  if (tenantId === undefined) {
+    return next();
+  }
+  const tenant = getTenant(tenantId);
+  if (!tenant) {
+    log.warn("Request for an unknown tenant", { tenant_id: tenantId });
+    return res.status(404).send();
+  }
+  runWithTenant(tenant, next);
+};
@@ -0,0 +1,56 @@
+/**
+ * Timeouts and the endpoint's request deadline.
+ *
+ * WhatsApp gives up on a data_exchange after about 10 seconds, so everything
+ * one request waits for (calendar calls, another process's in-flight
+ * booking) should be done by ENDPOINT_DEADLINE_MS after it arrived.
+ *
+ * Config (.env):
+ *   ENDPOINT_DEADLINE_MS=8000
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+
+const DEFAULT_DEADLINE_MS = 8000;
+
+const deadlineContext = new AsyncLocalStorage();
+
+/**
+ * Reject when `promise` has not settled after `ms` milliseconds. The
+ * original promise keeps running; only the caller stops waiting.
+ *
+ * The rejection is an Error with code "ETIMEDOUT" and no HTTP response, so
+ * toBookingError (calendar/errors.js) classifies it as provider_unavailable.
+ */
+export const withTimeout = (promise, ms, label = "Operation") => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${ms} ms`);
+      error.code = "ETIMEDOUT";
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Express middleware starting the request's deadline (ENDPOINT_DEADLINE_MS
+ * from now).
+ */
+export const withRequestDeadline = () => (req, res, next) => {
+  const deadlineMs = Number(process.env.ENDPOINT_DEADLINE_MS) || DEFAULT_DEADLINE_MS;
+  deadlineContext.run({ deadline: Date.now() + deadlineMs }, next);
+};
+
+/**
+ * Time left until the current request's deadline, at most `limitMs`
+ * (which is also what's returned outside a request, e.g. in a worker).
+ */
+export const getRemainingMs = (limitMs = Infinity) => {
+  const context = deadlineContext.getStore();
+  if (!context) {
+    return limitMs;
+  }
+  return Math.max(0, Math.min(limitMs, context.deadline - Date.now()));
+};
@@ -0,0 +1,213 @@
+/**
+ * Time zone helpers built on Intl, so offsets follow the IANA database
+ * (including DST) instead of hard-coded "+05:30" strings.
+ *
+ * Config (.env):
+ *   BUSINESS_TIME_ZONE=Asia/Kolkata (per tenant, see tenants.js)
+ */
+
+import { getSetting } from "./tenants.js";
+
+const DEFAULT_BUSINESS_TIME_ZONE = "Asia/Kolkata";
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Calling code -> most common time zone for that country. Countries spanning
+// several zones get their most populous one; the attendee can still pick.
+const CALLING_CODE_TIME_ZONES = {
+  1: "America/New_York",
+  7: "Europe/Moscow",
+  20: "Africa/Cairo",
+  27: "Africa/Johannesburg",
+  31: "Europe/Amsterdam",
+  33: "Europe/Paris",
+  34: "Europe/Madrid",
+  39: "Europe/Rome",
+  44: "Europe/London",
+  49: "Europe/Berlin",
+  52: "America/Mexico_City",
+  54: "America/Argentina/Buenos_Aires",
+  55: "America/Sao_Paulo",
+  57: "America/Bogota",
+  60: "Asia/Kuala_Lumpur",
+  61: "Australia/Sydney",
+  62: "Asia/Jakarta",
+  63: "Asia/Manila",
+  64: "Pacific/Auckland",
+  65: "Asia/Singapore",
+  66: "Asia/Bangkok",
+  81: "Asia/Tokyo",
+  82: "Asia/Seoul",
+  86: "Asia/Shanghai",
+  90: "Europe/Istanbul",
+  91: "Asia/Kolkata",
+  92: "Asia/Karachi",
+  94: "Asia/Colombo",
+  234: "Africa/Lagos",
+  254: "Africa/Nairobi",
+  880: "Asia/Dhaka",
+  966: "Asia/Riyadh",
+  971: "Asia/Dubai",
+  974: "Asia/Qatar",
+  977: "Asia/Kathmandu",
+};
+
+const partsFormatters = new Map();
+
+function getPartsFormatter(timeZone) {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return partsFormatters.get(timeZone);
+}
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+export const getBusinessTimeZone = () =>
+  getSetting("BUSINESS_TIME_ZONE") || DEFAULT_BUSINESS_TIME_ZONE;
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== "string") {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Guess a time zone from an international phone number ("919876543210").
+ * Returns null when the calling code is unknown.
+ */
+export const inferTimeZoneFromPhone = (phone) => {
+  const digits = String(phone || "").replace(/\D/g, "");
+  // Calling codes are 1-3 digits and prefix-free, so longest match wins
+  for (let length = 3; length >= 1; length--) {
+    const timeZone = CALLING_CODE_TIME_ZONES[digits.slice(0, length)];
+    if (timeZone && digits.length > length) {
+      return timeZone;
+    }
+  }
+  return null;
+};
+
+/**
+ * Wall clock parts of an instant in a time zone.
+ */
+export const getZonedParts = (instant, timeZone) => {
+  const parts = {};
+  for (const part of getPartsFormatter(timeZone).formatToParts(new Date(instant))) {
+    if (part.type !== "literal") {
+      parts[part.type] = Number(part.value);
+    }
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+};
+
+/**
+ * Offset of a time zone from UTC at the given instant, in minutes
+ * (e.g. 330 for Asia/Kolkata).
+ */
+export const getTimeZoneOffsetMinutes = (instant, timeZone) => {
+  const date = new Date(instant);
+  const p = getZonedParts(date, timeZone);
+  const wallClockAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  const instantSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((wallClockAsUtc - instantSeconds) / 60000);
+};
+
+export const formatOffset = (offsetMinutes) => {
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const abs = Math.abs(offsetMinutes);
+  return `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+};
+
+/**
+ * Convert a wall clock date ("YYYY-MM-DD") and time ("HH:MM") in a time zone
+ * to a Date. Times that fall in a DST gap resolve to the later offset.
+ */
+export const zonedTimeToDate = (date, time, timeZone) => {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hour, minute] = time.split(":").map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offset at the wall clock time can differ from the offset at the
+  // resulting instant around DST changes, so try both and keep the one that
+  // maps back to the requested wall clock.
+  const firstGuess = wallClockAsUtc - getTimeZoneOffsetMinutes(wallClockAsUtc, timeZone) * 60000;
+  const secondGuess = wallClockAsUtc - getTimeZoneOffsetMinutes(firstGuess, timeZone) * 60000;
+
+  for (const candidate of [firstGuess, secondGuess]) {
+    const p = getZonedParts(candidate, timeZone);
+    if (p.hour === hour && p.minute === minute) {
+      return new Date(candidate);
+    }
+  }
+
+  // Wall clock time doesn't exist (DST gap): use the later instant
+  return new Date(Math.max(firstGuess, secondGuess));
+};
+
+/**
+ * ISO 8601 string of an instant with the time zone's offset,
+ * e.g. "2025-11-17T10:30:00+05:30".
+ */
+export const toZonedISOString = (instant, timeZone) => {
+  const p = getZonedParts(instant, timeZone);
+  const offset = formatOffset(getTimeZoneOffsetMinutes(instant, timeZone));
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}${offset}`;
+};
+
+/**
+ * Weekday key ("mon", "tue", ...) of a calendar date ("YYYY-MM-DD").
+ */
+export const getWeekdayKey = (date) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+};
+
+/**
+ * Today's calendar date ("YYYY-MM-DD") in a time zone.
+ */
+export const todayInZone = (timeZone, now = Date.now()) =>
+  toZonedISOString(now, timeZone).slice(0, 10);
+
+/**
+ * Calendar date arithmetic on "YYYY-MM-DD" strings (no time zone involved).
+ */
+export const addDays = (date, days) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * Wall clock time ("HH:MM") of an instant in a time zone.
+ */
+export const formatTime = (instant, timeZone) => {
+  const p = getZonedParts(instant, timeZone);
+  return `${pad(p.hour)}:${pad(p.minute)}`;
+};
@@ -0,0 +1,131 @@
+/**
+ * Field validation for flow screens.
+ *
+ * Rules are declared once per field in the flow definition's `validation`
+ * section and every transition that lists the field under `validate` checks
+ * it the same way, e.g.
+ *
+ *   "validation": {
+ *     "email": { "required": true, "format": "email" },
+ *     "website": { "format": "url" },
+ *     "more_details": { "maxLength": 500, "message": "Keep it under 500 characters." }
+ *   }
+ *
+ * A failing field gets one message: the rule's `message` if set, otherwise
+ * the default message of the first check that failed. Messages are shown in
+ * the request's locale; a rule's `message` may be a message key (see i18n.js).
+ */
+
+import { getMessage, translate } from "./i18n.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+
+function isEmpty(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+// "example.com", "www.example.com/about" or a full http(s) URL
+function isWebsite(value) {
+  try {
+    const url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+    return (
+      (url.protocol === "http:" || url.protocol === "https:") &&
+      /^[^.\s]+(\.[^.\s]+)+$/.test(url.hostname)
+    );
+  } catch {
+    return false;
+  }
+}
+
+const FORMATS = {
+  email: {
+    test: (value) => EMAIL_PATTERN.test(value),
+    message: "invalid_email",
+  },
+  url: {
+    test: isWebsite,
+    message: "invalid_url",
+  },
+};
+
+// Checks run in this order, each only when the rule sets it. A failed check
+// returns its message key and values.
+const CHECKS = {
+  format: (value, format) => (FORMATS[format].test(value) ? null : [FORMATS[format].message]),
+  minLength: (value, min) => (value.length >= min ? null : ["min_length", { min }]),
+  maxLength: (value, max) => (value.length <= max ? null : ["max_length", { max }]),
+  pattern: (value, pattern) => (new RegExp(pattern).test(value) ? null : ["invalid_value"]),
+};
+
+// e.g. "more details", or the locale's `field_more_details`
+function fieldLabel(field, locale) {
+  return getMessage(locale, `field_${field}`) ?? field.replace(/_/g, " ");
+}
+
+export const VALIDATION_RULE_KEYS = ["required", "message", ...Object.keys(CHECKS)];
+
+/**
+ * Problems with a set of field rules, e.g. an unknown format. Used when a
+ * flow definition is loaded.
+ */
+export const checkFieldRules = (field, rules) => {
+  const problems = [];
+  for (const key of Object.keys(rules)) {
+    if (!VALIDATION_RULE_KEYS.includes(key)) {
+      problems.push(`unknown validation rule ${field}.${key}`);
+    }
+  }
+  if (rules.format && !FORMATS[rules.format]) {
+    problems.push(`unknown format ${rules.format} for ${field}`);
+  }
+  return problems;
+};
+
+/**
+ * Validate one value. Returns an error message in `locale`, or null when it
+ * is valid.
+ */
+export const validateField = (value, rules = {}, field = "this field", locale) => {
+  if (isEmpty(value)) {
+    if (!rules.required) {
+      return null;
+    }
+    return rules.message
+      ? translate(locale, rules.message)
+      : translate(locale, "required_field", { field: fieldLabel(field, locale) });
+  }
+
+  const text = String(value).trim();
+  for (const [key, check] of Object.entries(CHECKS)) {
+    if (rules[key] === undefined) {
+      continue;
+    }
+    const error = check(text, rules[key]);
+    if (error) {
+      return rules.message ? translate(locale, rules.message) : translate(locale, ...error);
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate `fields` of `values` against the shared `fieldRules`. Fields
+ * without rules only have to be present.
+ *
+ * Returns `{ valid, errors }` with one message per invalid field, in `locale`.
+ */
+export const validateFields = (values, fields, fieldRules = {}, locale) => {
+  const errors = {};
+  for (const field of fields) {
+    const error = validateField(
+      values?.[field],
+      fieldRules[field] || { required: true },
+      field,
+      locale
+    );
+    if (error) {
+      errors[field] = error;
+    }
+  }
+  return { valid: Object.keys(errors).length === 0, errors };
+};
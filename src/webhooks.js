@@ -0,0 +1,366 @@
+/**
+ * Outbound webhook events: lets a CRM or internal system follow the booking
+ * lifecycle. Every event is POSTed as JSON to each of WEBHOOK_URLS:
+ *
+ *   { "id": "evt_...", "type": "booking.created", "created_at": "...",
+ *     "tenant": "acme" | null, "data": { ... } }
+ *
+ * Event types and their data (the fields getNextScreen returns in the
+ * SUCCESS params, see flow.js):
+ *   flow.started         INIT: flow_token, phone, flow_id, time_zone, locale
+ *   lead.captured        form passed validation: flow_token, phone, form fields
+ *   booking.created      booked on submit or by a retry: lead + booking fields
+ *   booking.failed       not booked: lead + booking_error, booking_status
+ *                        ("pending" while a retry is queued, else "failed")
+ *   booking.rescheduled  moved on RESCHEDULE or in the calendar: booking
+ *                        fields + previous_booking_id
+ *   booking.cancelled    cancelled on CANCEL_CONFIRM or in the calendar:
+ *                        booking fields
+ *
+ * `source` of the last two is "flow", or "calendar" for changes the host
+ * made in the calendar (see calendarWebhooks.js).
+ *
+ * Deliveries are signed with WEBHOOK_SECRET:
+ *
+ *   x-webhook-timestamp: <unix seconds>
+ *   x-webhook-signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ *
+ * plus x-webhook-id (event id, the same for every attempt) and
+ * x-webhook-event (type). A delivery that fails (network error, timeout,
+ * 408, 429, 5xx) is retried in the background with exponential backoff like
+ * bookingRetries.js; one the receiver rejects (other 4xx) or that used up
+ * WEBHOOK_MAX_ATTEMPTS is marked "dead".
+ *
+ * Every delivery is kept as the delivery log: { id, event_id, event_type,
+ * url, tenant_id, status, attempts, max_attempts, next_attempt_at,
+ * last_error, log, event, created_at, updated_at } where status is
+ * "pending", "delivered" or "dead" and `log` has one { at, status_code,
+ * error, duration_ms } entry per attempt (GET /webhook-deliveries).
+ * Deliveries are dropped WEBHOOK_RETENTION_SECONDS after their last attempt.
+ *
+ * In-process listeners (onEvent) get every event, with or without URLs.
+ *
+ * The worker (startWebhookWorker) polls every WEBHOOK_INTERVAL_MS. Run it
+ * in one process only.
+ *
+ * Config (.env):
+ *   WEBHOOK_URLS=https://crm.example.com/hooks,...   (per tenant, optional)
+ *   WEBHOOK_SECRET=long-random-string                (per tenant)
+ *   WEBHOOK_EVENTS=booking.created,booking.cancelled (per tenant, default all)
+ *   WEBHOOK_STORE=memory|file|sqlite (defaults to STORE_BACKEND)
+ *   WEBHOOK_MAX_ATTEMPTS=8
+ *   WEBHOOK_BASE_DELAY_MS=30000
+ *   WEBHOOK_MAX_DELAY_MS=3600000
+ *   WEBHOOK_INTERVAL_MS=15000
+ *   WEBHOOK_TIMEOUT_MS=5000
+ *   WEBHOOK_RETENTION_SECONDS=2592000 (30 days)
+ */
+
+import axios from "axios";
+import crypto from "crypto";
+import { createLogger } from "./logger.js";
+import { webhookDeliveriesTotal } from "./metrics.js";
+import { createStore } from "./store.js";
+import { getSetting, getTenant, getTenantId, runWithTenant } from "./tenants.js";
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BASE_DELAY_MS = 30 * 1000;
+const DEFAULT_MAX_DELAY_MS = 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = 15 * 1000;
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// Answers worth trying again; other 4xx mean the receiver rejected the event
+const RETRIABLE_STATUS_CODES = new Set([408, 429]);
+
+const log = createLogger("webhooks");
+
+const listeners = new Set();
+const inFlight = new Set(); // delivery ids being attempted right now
+
+let deliveriesStore = null;
+let worker = null;
+let processing = null; // promise of the pass in progress
+let warnedMissingSecret = false;
+
+function getDeliveriesStore() {
+  if (!deliveriesStore) {
+    deliveriesStore = createStore("webhook_deliveries", {
+      backend: process.env.WEBHOOK_STORE,
+      ttlSeconds: Number(process.env.WEBHOOK_RETENTION_SECONDS) || DEFAULT_RETENTION_SECONDS,
+    });
+  }
+  return deliveriesStore;
+}
+
+// ---------- HELPERS ----------
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0
+    ? value
+    : fallback;
+}
+
+function getDeliveryConfig() {
+  return {
+    maxAttempts: readNumber("WEBHOOK_MAX_ATTEMPTS", DEFAULT_MAX_ATTEMPTS),
+    baseDelayMs: readNumber("WEBHOOK_BASE_DELAY_MS", DEFAULT_BASE_DELAY_MS),
+    maxDelayMs: readNumber("WEBHOOK_MAX_DELAY_MS", DEFAULT_MAX_DELAY_MS),
+    intervalMs: readNumber("WEBHOOK_INTERVAL_MS", DEFAULT_INTERVAL_MS),
+    timeoutMs: readNumber("WEBHOOK_TIMEOUT_MS", DEFAULT_TIMEOUT_MS),
+  };
+}
+
+function splitList(value) {
+  return (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+// The current tenant's URLs that want events of `type`
+function getSubscribedUrls(type) {
+  const events = splitList(getSetting("WEBHOOK_EVENTS"));
+  if (events.length > 0 && !events.includes(type)) {
+    return [];
+  }
+  return [...new Set(splitList(getSetting("WEBHOOK_URLS")))];
+}
+
+// Wait before the attempt after `attempts` failed ones: base, 2x base, 4x ...
+function backoffMs(attempts, { baseDelayMs, maxDelayMs }) {
+  return Math.min(baseDelayMs * 2 ** Math.max(attempts - 1, 0), maxDelayMs);
+}
+
+function isRetriable(statusCode) {
+  return !statusCode || statusCode >= 500 || RETRIABLE_STATUS_CODES.has(statusCode);
+}
+
+function notifyListeners(event) {
+  for (const listener of listeners) {
+    Promise.resolve()
+      .then(() => listener(event))
+      .catch((error) => log.error("Event listener failed", { event_id: event.id, error }));
+  }
+}
+
+function signedHeaders(delivery, body) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    "content-type": "application/json",
+    "x-webhook-id": delivery.event_id,
+    "x-webhook-event": delivery.event_type,
+    "x-webhook-timestamp": timestamp,
+  };
+
+  const secret = getSetting("WEBHOOK_SECRET");
+  if (secret) {
+    headers["x-webhook-signature"] = signWebhookPayload(body, timestamp, secret);
+  } else if (!warnedMissingSecret) {
+    warnedMissingSecret = true;
+    log.warn("WEBHOOK_SECRET is not set up. Webhook deliveries are not being signed.");
+  }
+  return headers;
+}
+
+async function saveDelivery(delivery, changes) {
+  return getDeliveriesStore().set(delivery.id, {
+    ...delivery,
+    ...changes,
+    updated_at: new Date().toISOString(),
+  });
+}
+
+// POST the event once and record the outcome. Runs with the settings of the
+// delivery's tenant (its secret may have changed since the event).
+async function attempt(delivery) {
+  const config = getDeliveryConfig();
+  const attempts = delivery.attempts + 1;
+  const body = JSON.stringify(delivery.event);
+  const startedAt = Date.now();
+
+  let statusCode = null;
+  let error = null;
+  try {
+    const response = await axios.post(delivery.url, body, {
+      headers: signedHeaders(delivery, body),
+      timeout: config.timeoutMs,
+    });
+    statusCode = response.status;
+  } catch (err) {
+    statusCode = err.response?.status ?? null;
+    error = statusCode ? `HTTP ${statusCode}` : err.message;
+  }
+
+  const entry = {
+    at: new Date(startedAt).toISOString(),
+    status_code: statusCode,
+    error,
+    duration_ms: Date.now() - startedAt,
+  };
+  const changes = { attempts, last_error: error, log: [...(delivery.log || []), entry] };
+  const fields = { delivery_id: delivery.id, event: delivery.event_type, url: delivery.url, attempts };
+
+  if (!error) {
+    log.info("Webhook delivered", { ...fields, status_code: statusCode });
+    webhookDeliveriesTotal.inc({ event: delivery.event_type, outcome: "delivered" });
+    return saveDelivery(delivery, { ...changes, status: "delivered", next_attempt_at: null });
+  }
+
+  if (!isRetriable(statusCode) || attempts >= (delivery.max_attempts || config.maxAttempts)) {
+    log.warn("Webhook delivery dead-lettered", { ...fields, error });
+    webhookDeliveriesTotal.inc({ event: delivery.event_type, outcome: "dead" });
+    return saveDelivery(delivery, { ...changes, status: "dead", next_attempt_at: null });
+  }
+
+  const delayMs = backoffMs(attempts, config);
+  log.info("Webhook delivery failed, trying again later", { ...fields, delay_ms: delayMs, error });
+  webhookDeliveriesTotal.inc({ event: delivery.event_type, outcome: "retried" });
+  return saveDelivery(delivery, {
+    ...changes,
+    next_attempt_at: new Date(Date.now() + delayMs).toISOString(),
+  });
+}
+
+// attempt() for a stored delivery, at most once at a time per delivery
+async function deliver(delivery) {
+  if (inFlight.has(delivery.id)) {
+    return delivery;
+  }
+  inFlight.add(delivery.id);
+  try {
+    const tenant = delivery.tenant_id ? getTenant(delivery.tenant_id) : null;
+    if (delivery.tenant_id && !tenant) {
+      log.warn("Webhook delivery for a removed tenant", {
+        delivery_id: delivery.id,
+        tenant_id: delivery.tenant_id,
+      });
+      return delivery;
+    }
+    return await runWithTenant(tenant, () => attempt(delivery));
+  } finally {
+    inFlight.delete(delivery.id);
+  }
+}
+
+// ---------- PUBLIC API ----------
+
+/**
+ * Signature of a webhook body, as sent in x-webhook-signature. Receivers
+ * compute the same from the x-webhook-timestamp header and the raw body.
+ */
+export const signWebhookPayload = (body, timestamp, secret) =>
+  `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+
+/**
+ * Emit an event of `type` with `data` for the current tenant: tell the
+ * onEvent listeners and deliver it to every subscribed URL (first attempt
+ * right away, retries in the background). Never throws, so callers don't
+ * need to wait for it; resolves to the deliveries after their first attempt.
+ */
+export const emitEvent = async (type, data = {}) => {
+  const event = {
+    id: `evt_${crypto.randomUUID()}`,
+    type,
+    created_at: new Date().toISOString(),
+    tenant: getTenantId(),
+    data,
+  };
+  notifyListeners(event);
+
+  try {
+    const now = event.created_at;
+    const deliveries = [];
+    for (const url of getSubscribedUrls(type)) {
+      const delivery = {
+        id: crypto.randomUUID(),
+        event_id: event.id,
+        event_type: type,
+        url,
+        tenant_id: event.tenant,
+        status: "pending",
+        attempts: 0,
+        max_attempts: getDeliveryConfig().maxAttempts,
+        next_attempt_at: now,
+        last_error: null,
+        log: [],
+        event,
+        created_at: now,
+        updated_at: now,
+      };
+      deliveries.push(await getDeliveriesStore().set(delivery.id, delivery));
+    }
+    return await Promise.all(deliveries.map(deliver));
+  } catch (error) {
+    log.error("Could not queue webhook event", { event_id: event.id, type, error });
+    return [];
+  }
+};
+
+/**
+ * Call `listener(event)` for every emitted event. Returns a function that
+ * removes the listener.
+ */
+export const onEvent = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const getWebhookDelivery = async (id) =>
+  id ? getDeliveriesStore().get(String(id)) : null;
+
+/**
+ * The delivery log, oldest first, optionally only deliveries with `status`
+ * and/or of events of `type`.
+ */
+export const listWebhookDeliveries = async ({ status, type } = {}) => {
+  const entries = await getDeliveriesStore().entries();
+  return entries
+    .map(([, delivery]) => delivery)
+    .filter((delivery) => !status || delivery.status === status)
+    .filter((delivery) => !type || delivery.event_type === type)
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+};
+
+/**
+ * Attempt every pending delivery that is due at `now`, one after the other.
+ * Resolves to the updated deliveries. A pass already running is joined.
+ */
+export const processDueDeliveries = (now = Date.now()) => {
+  if (!processing) {
+    processing = (async () => {
+      const due = (await listWebhookDeliveries({ status: "pending" })).filter(
+        (delivery) =>
+          !inFlight.has(delivery.id) && new Date(delivery.next_attempt_at).getTime() <= now
+      );
+      const updated = [];
+      for (const delivery of due) {
+        try {
+          updated.push(await deliver(delivery));
+        } catch (error) {
+          log.error("Webhook delivery crashed", { delivery_id: delivery.id, error });
+        }
+      }
+      return updated;
+    })().finally(() => {
+      processing = null;
+    });
+  }
+  return processing;
+};
+
+export const startWebhookWorker = () => {
+  if (!worker) {
+    worker = setInterval(() => {
+      processDueDeliveries().catch((error) => log.error("Webhook delivery pass failed", error));
+    }, getDeliveryConfig().intervalMs);
+    worker.unref();
+  }
+  return worker;
+};
+
+export const stopWebhookWorker = () => {
+  clearInterval(worker);
+  worker = null;
+};
@@ -0,0 +1,135 @@
+import assert from "node:assert/strict";
+import http from "http";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import "./helpers/quiet.js";
+
+process.env.STORE_BACKEND = "memory";
+
+const { BOOKING_ERROR_KINDS, BookingError } = await import("../src/calendar/errors.js");
+const { setCalendarProvider } = await import("../src/calendar/index.js");
+const { createMockProvider } = await import("../src/calendar/mock.js");
+const { getBooking } = await import("../src/bookings.js");
+const { getCallbackRequest } = await import("../src/callbacks.js");
+const { enqueueBookingRetry, getBookingRetry, onBookingConfirmed, processDueRetries } =
+  await import("../src/bookingRetries.js");
+
+const HOUR = 60 * 60 * 1000;
+const outage = () => new BookingError(BOOKING_ERROR_KINDS.PROVIDER_UNAVAILABLE, "Cal.com is down");
+
+let calendar;
+let jobCount = 0;
+
+// A failed booking for 2030-01-07 09:00 UTC, queued under a new key
+function enqueue() {
+  return enqueueBookingRetry({
+    key: `retry-test-${++jobCount}`,
+    request: {
+      start: "2030-01-07T09:00:00.000Z",
+      name: "Asha Rao",
+      email: "asha@example.com",
+      timeZone: "UTC",
+      notes: "Looking forward to it",
+    },
+    lead: { flow_token: `flow-${jobCount}`, phone: "919833333333", date: "2030-01-07" },
+    error: outage(),
+  });
+}
+
+beforeEach(() => {
+  Object.assign(process.env, {
+    BOOKING_RETRY_MAX_ATTEMPTS: "3",
+    BOOKING_RETRY_BASE_DELAY_MS: "1000",
+  });
+  calendar = createMockProvider({ workingHoursTimeZone: "UTC" });
+  setCalendarProvider(calendar);
+});
+
+afterEach(() => {
+  delete process.env.BOOKING_RETRY_MAX_ATTEMPTS;
+  delete process.env.BOOKING_RETRY_BASE_DELAY_MS;
+  setCalendarProvider(null);
+});
+
+describe("booking retries", () => {
+  it("backs off exponentially and books on a later attempt", async () => {
+    const confirmed = [];
+    const unsubscribe = onBookingConfirmed((job) => confirmed.push(job));
+    const job = await enqueue();
+    const firstDue = new Date(job.next_attempt_at).getTime();
+
+    calendar.failNext("createBooking", outage());
+    assert.deepEqual(await processDueRetries(firstDue - 1), []);
+    const [retried] = await processDueRetries(firstDue);
+    assert.equal(retried.status, "pending");
+    assert.equal(retried.attempts, 2);
+    const secondDelay = new Date(retried.next_attempt_at).getTime() - Date.now();
+    assert.ok(secondDelay > 1000 && secondDelay <= 2000, `delay ${secondDelay}`);
+
+    const [booked] = await processDueRetries(Date.now() + HOUR);
+    unsubscribe();
+
+    assert.equal(booked.status, "succeeded");
+    assert.equal(booked.attempts, 3);
+    assert.equal(booked.booking.start, "2030-01-07T09:00:00.000Z");
+    assert.equal(calendar.bookings.size, 1);
+    assert.equal((await getBooking(booked.booking.id)).phone, "919833333333");
+    assert.deepEqual(confirmed.map((item) => item.id), [job.id]);
+  });
+
+  it("dead-letters after the last attempt and queues a callback", async () => {
+    const job = await enqueue();
+    calendar.failNext("createBooking", outage());
+    calendar.failNext("createBooking", outage());
+
+    await processDueRetries(Date.now() + HOUR);
+    const [dead] = await processDueRetries(Date.now() + 2 * HOUR);
+
+    assert.equal(dead.status, "dead");
+    assert.equal(dead.attempts, 3);
+    assert.equal((await getBookingRetry(job.id)).status, "dead");
+    const callback = await getCallbackRequest(dead.callback_request_id);
+    assert.equal(callback.reason, "booking_failed");
+    assert.equal(callback.phone, "919833333333");
+    assert.deepEqual(await processDueRetries(Date.now() + 3 * HOUR), []);
+  });
+
+  it("gives up at once when the slot was taken meanwhile", async () => {
+    await enqueue();
+    calendar.failNext("createBooking", new BookingError(BOOKING_ERROR_KINDS.SLOT_TAKEN, "taken"));
+
+    const [dead] = await processDueRetries(Date.now() + HOUR);
+
+    assert.equal(dead.status, "dead");
+    assert.equal(dead.attempts, 2);
+    assert.equal(dead.last_error.kind, "slot_taken");
+  });
+
+  it("posts the confirmed booking to BOOKING_CONFIRMED_WEBHOOK_URL", async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push(JSON.parse(body));
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    process.env.BOOKING_CONFIRMED_WEBHOOK_URL = `http://127.0.0.1:${server.address().port}/hook`;
+
+    try {
+      const job = await enqueue();
+      const [booked] = await processDueRetries(Date.now() + HOUR);
+
+      assert.equal(booked.status, "succeeded");
+      assert.equal(received.length, 1);
+      assert.equal(received[0].event, "booking.confirmed");
+      assert.equal(received[0].job_id, job.id);
+      assert.equal(received[0].booking.id, booked.booking.id);
+      assert.equal(received[0].lead.phone, "919833333333");
+    } finally {
+      delete process.env.BOOKING_CONFIRMED_WEBHOOK_URL;
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { after, afterEach, describe, it } from "node:test";
+import "./helpers/quiet.js";
+import { startFakeCalCom } from "./helpers/fakeCalCom.js";
+import { createCalComProvider } from "../src/calendar/calcom.js";
+import { toBookingError } from "../src/calendar/errors.js";
+import { withRequestDeadline } from "../src/timeout.js";
+
+const cal = await startFakeCalCom();
+
+const attendee = { name: "Asha Rao", email: "asha@example.com", timeZone: "Asia/Kolkata" };
+
+const provider = (options = {}) =>
+  createCalComProvider({ apiKey: cal.apiKey, eventTypeId: "1", baseUrl: cal.url, ...options });
+
+// Run `fn` as if inside an endpoint request started just now
+const inRequest = (fn) =>
+  new Promise((resolve, reject) => {
+    withRequestDeadline()({}, {}, () => fn().then(resolve, reject));
+  });
+
+after(() => cal.close());
+
+afterEach(() => {
+  cal.delayMs = 0;
+  delete process.env.ENDPOINT_DEADLINE_MS;
+});
+
+describe("Cal.com provider", () => {
+  it("sends the attendee's notes with the booking", async () => {
+    await provider().createBooking({
+      start: "2030-01-07T09:00:00.000+05:30",
+      ...attendee,
+      notes: "Looking forward to it",
+    });
+
+    const request = cal.requests.findLast((item) => item.path === "/bookings");
+    assert.deepEqual(request.body.bookingFieldsResponses, { notes: "Looking forward to it" });
+  });
+
+  it("gives up on a slow answer at the request's deadline", async () => {
+    process.env.ENDPOINT_DEADLINE_MS = "100";
+    cal.delayMs = 2000;
+    const startedAt = Date.now();
+
+    const error = await inRequest(() =>
+      provider({ timeoutMs: 5000 }).createBooking({
+        start: "2030-01-07T09:30:00.000+05:30",
+        ...attendee,
+      })
+    ).catch((err) => err);
+
+    assert.ok(Date.now() - startedAt < 1500, "waited past the deadline");
+    assert.equal(toBookingError(error).kind, "provider_unavailable");
+  });
+});
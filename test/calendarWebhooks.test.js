@@ -0,0 +1,149 @@
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { after, before, describe, it } from "node:test";
+import "./helpers/quiet.js";
+import axios from "axios";
+
+const CAL_WEBHOOK_SECRET = "test-cal-webhook-secret";
+
+Object.assign(process.env, {
+  CAL_WEBHOOK_SECRET,
+  CALENDAR_PROVIDER: "mock",
+  STORE_BACKEND: "memory",
+});
+
+const { app } = await import("../src/server.js");
+const { findUpcomingBookings, getBooking, recordBooking } = await import("../src/bookings.js");
+const { onEvent } = await import("../src/webhooks.js");
+
+const START = "2030-01-07T09:00:00.000Z";
+const MOVED_START = "2030-01-08T11:30:00.000Z";
+
+let server;
+let url;
+let bookingCount = 100;
+
+before(async () => {
+  server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  url = `http://127.0.0.1:${server.address().port}/webhooks/calendar`;
+});
+
+after(() => server.close());
+
+function post(body, secret = CAL_WEBHOOK_SECRET) {
+  const rawBody = JSON.stringify(body);
+  return axios.post(url, rawBody, {
+    headers: {
+      "Content-Type": "application/json",
+      "x-cal-signature-256": crypto.createHmac("sha256", secret).update(rawBody).digest("hex"),
+    },
+    validateStatus: () => true,
+  });
+}
+
+// A booking made through the flow, as Cal.com returned it
+async function bookThroughFlow({ phone, locale = "en" }) {
+  const id = ++bookingCount;
+  return recordBooking({
+    booking: { id, uid: `uid-${id}`, start: START, meetingUrl: `https://cal.example.com/video/uid-${id}` },
+    provider: "calcom",
+    flowToken: `flow-${id}`,
+    phone,
+    name: "Asha Rao",
+    email: "asha@example.com",
+    timeZone: "UTC",
+    locale,
+  });
+}
+
+// Events emitted while `fn` runs
+async function collectEvents(fn) {
+  const events = [];
+  const unsubscribe = onEvent((event) => events.push(event));
+  try {
+    await fn();
+    await new Promise((resolve) => setImmediate(resolve));
+  } finally {
+    unsubscribe();
+  }
+  return events;
+}
+
+describe("POST /webhooks/calendar", () => {
+  it("refuses a webhook signed with another secret", async () => {
+    const booking = await bookThroughFlow({ phone: "919844444444" });
+
+    const response = await post(
+      { triggerEvent: "BOOKING_CANCELLED", payload: { bookingId: Number(booking.id) } },
+      "other-secret"
+    );
+
+    assert.equal(response.status, 401);
+    assert.notEqual((await getBooking(booking.id)).status, "cancelled");
+  });
+
+  it("cancels the booking the host cancelled and tells the listeners once", async () => {
+    const booking = await bookThroughFlow({ phone: "919855555555" });
+    const webhook = {
+      triggerEvent: "BOOKING_CANCELLED",
+      payload: { bookingId: Number(booking.id), uid: booking.uid, cancellationReason: "Host is ill" },
+    };
+
+    const events = await collectEvents(async () => {
+      assert.deepEqual((await post(webhook)).data, { status: "updated", booking_id: booking.id });
+      assert.equal((await post(webhook)).data.reason, "already_cancelled");
+    });
+
+    assert.equal((await getBooking(booking.id)).status, "cancelled");
+    assert.deepEqual(await findUpcomingBookings({ phone: "919855555555", now: 0 }), []);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, "booking.cancelled");
+    assert.equal(events[0].data.source, "calendar");
+    assert.equal(events[0].data.phone, "919855555555");
+    assert.equal(events[0].data.cancel_reason, "Host is ill");
+    assert.match(events[0].data.notification_message, /^Your meeting on 07 Jan 2030/);
+  });
+
+  it("follows a reschedule to the new Cal.com booking", async () => {
+    const booking = await bookThroughFlow({ phone: "919866666666", locale: "es" });
+    const newId = ++bookingCount;
+
+    const events = await collectEvents(async () => {
+      const response = await post({
+        triggerEvent: "BOOKING_RESCHEDULED",
+        payload: {
+          bookingId: newId,
+          uid: `uid-${newId}`,
+          rescheduleId: Number(booking.id),
+          rescheduleUid: booking.uid,
+          startTime: MOVED_START,
+          endTime: "2030-01-08T12:00:00.000Z",
+        },
+      });
+      assert.equal(response.data.booking_id, String(newId));
+    });
+
+    const previous = await getBooking(booking.id);
+    assert.equal(previous.status, "rescheduled");
+    assert.equal(previous.rescheduled_to, String(newId));
+
+    const [upcoming] = await findUpcomingBookings({ phone: "919866666666", now: 0 });
+    assert.equal(upcoming.id, String(newId));
+    assert.equal(upcoming.start, MOVED_START);
+    assert.equal(upcoming.flow_token, booking.flow_token);
+    assert.equal(upcoming.meetingUrl, booking.meetingUrl);
+
+    assert.equal(events[0].type, "booking.rescheduled");
+    assert.equal(events[0].data.previous_booking_id, booking.id);
+    assert.match(events[0].data.notification_message, /^Tu reunión se ha cambiado\./);
+  });
+
+  it("acknowledges bookings it doesn't know", async () => {
+    const response = await post({ triggerEvent: "BOOKING_CANCELLED", payload: { bookingId: 1 } });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.data, { status: "ignored", reason: "unknown_booking" });
+  });
+});
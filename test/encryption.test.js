@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { after, describe, it } from "node:test";
+import "./helpers/quiet.js";
+import { createTestKeyPair } from "./helpers/keys.js";
+
+const keys = createTestKeyPair();
+process.env.PRIVATE_KEY_PATHS = keys.privateKeyPath;
+
+const { decryptRequest, encryptResponse, FlowEndpointException } = await import(
+  "../src/encryption.js"
+);
+const { resetKeys } = await import("../src/keyManager.js");
+const { decryptFlowResponse, encryptFlowRequest } = await import("../src/simulator.js");
+
+after(() => {
+  resetKeys();
+  keys.cleanup();
+});
+
+function expectStatus(statusCode) {
+  return (err) => err instanceof FlowEndpointException && err.statusCode === statusCode;
+}
+
+describe("decryptRequest", () => {
+  it("decrypts a request and reports the key id", () => {
+    const { body, aesKeyBuffer, initialVectorBuffer } = encryptFlowRequest(
+      { action: "ping", version: "3.0" },
+      keys.publicKey
+    );
+
+    const decrypted = decryptRequest(body);
+
+    assert.deepEqual(decrypted.decryptedBody, { action: "ping", version: "3.0" });
+    assert.ok(decrypted.aesKeyBuffer.equals(aesKeyBuffer));
+    assert.ok(decrypted.initialVectorBuffer.equals(initialVectorBuffer));
+    assert.equal(decrypted.keyId, "test_key");
+  });
+
+  it("rejects a malformed body with 400", () => {
+    const { body } = encryptFlowRequest({ action: "ping" }, keys.publicKey);
+
+    for (const field of ["encrypted_aes_key", "encrypted_flow_data", "initial_vector"]) {
+      assert.throws(() => decryptRequest({ ...body, [field]: undefined }), expectStatus(400));
+    }
+  });
+
+  it("answers 421 when the AES key was encrypted for another key", () => {
+    const otherKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).publicKey;
+    const { body } = encryptFlowRequest({ action: "ping" }, otherKey);
+
+    assert.throws(() => decryptRequest(body), expectStatus(421));
+  });
+
+  it("fails with 500 when the GCM tag does not match", () => {
+    const { body } = encryptFlowRequest({ action: "ping" }, keys.publicKey);
+    const flowData = Buffer.from(body.encrypted_flow_data, "base64");
+    flowData[flowData.length - 1] ^= 0xff;
+
+    assert.throws(
+      () => decryptRequest({ ...body, encrypted_flow_data: flowData.toString("base64") }),
+      expectStatus(500)
+    );
+  });
+});
+
+describe("encryptResponse", () => {
+  it("encrypts with the flipped IV", () => {
+    const aesKeyBuffer = crypto.randomBytes(16);
+    const initialVectorBuffer = crypto.randomBytes(16);
+    const response = { screen: "SUCCESS", data: { ok: true } };
+
+    const encrypted = encryptResponse(response, aesKeyBuffer, initialVectorBuffer);
+
+    assert.deepEqual(decryptFlowResponse(encrypted, aesKeyBuffer, initialVectorBuffer), response);
+
+    // Not readable with the request IV itself
+    const buffer = Buffer.from(encrypted, "base64");
+    const decipher = crypto.createDecipheriv("aes-128-gcm", aesKeyBuffer, initialVectorBuffer);
+    decipher.setAuthTag(buffer.subarray(-16));
+    decipher.update(buffer.subarray(0, -16));
+    assert.throws(() => decipher.final());
+  });
+
+  it("round-trips a decrypted request", () => {
+    const { body, aesKeyBuffer, initialVectorBuffer } = encryptFlowRequest(
+      { action: "INIT" },
+      keys.publicKey
+    );
+    const decrypted = decryptRequest(body);
+
+    const encrypted = encryptResponse(
+      { screen: "APPOINTMENT", data: {} },
+      decrypted.aesKeyBuffer,
+      decrypted.initialVectorBuffer
+    );
+
+    assert.deepEqual(decryptFlowResponse(encrypted, aesKeyBuffer, initialVectorBuffer), {
+      screen: "APPOINTMENT",
+      data: {},
+    });
+  });
+});
@@ -0,0 +1,457 @@
+import assert from "node:assert/strict";
+import { after, beforeEach, describe, it } from "node:test";
+import "./helpers/quiet.js";
+import { startFakeCalCom } from "./helpers/fakeCalCom.js";
+
+const cal = await startFakeCalCom();
+
+Object.assign(process.env, {
+  CALENDAR_PROVIDER: "calcom",
+  CAL_API_BASE_URL: cal.url,
+  CAL_API_KEY: cal.apiKey,
+  CAL_EVENT_TYPE_ID: "42",
+  BUSINESS_TIME_ZONE: "Asia/Kolkata",
+  STORE_BACKEND: "memory",
+  MANAGE_FLOW_ID: "manage-flow",
+});
+
+const { getNextScreen } = await import("../src/flow.js");
+const { addDays, todayInZone } = await import("../src/timezone.js");
+const { invalidateSlots } = await import("../src/slotCache.js");
+const { listCallbackRequests } = await import("../src/callbacks.js");
+const { getBookingRetry, processDueRetries } = await import("../src/bookingRetries.js");
+const { getSession } = await import("../src/session.js");
+const { onEvent } = await import("../src/webhooks.js");
+
+after(() => cal.close());
+
+const tomorrow = addDays(todayInZone("Asia/Kolkata"), 1);
+const slotAt = (time) => new Date(`${tomorrow}T${time}:00.000+05:30`).toISOString();
+
+const contact = {
+  name: "Asha Rao",
+  email: "asha@example.com",
+  website: "example.com",
+  company: "Example Corp",
+};
+
+let tokenCount = 0;
+const newToken = () => `flow-test-${++tokenCount}`;
+
+const exchange = (flow_token, screen, data, context) =>
+  getNextScreen({ action: "data_exchange", screen, data, flow_token, version: "3.0" }, context);
+
+// APPOINTMENT -> DETAILS for one token, ready to submit SUMMARY
+async function fillIn(flow_token, time = "09:00", context) {
+  await exchange(flow_token, "APPOINTMENT", { date: tomorrow }, context);
+  return exchange(flow_token, "DETAILS", {
+    ...contact,
+    date: tomorrow,
+    time: slotAt(time),
+    more_details: "Looking forward to it",
+  }, context);
+}
+
+function successParams(response) {
+  assert.equal(response.screen, "SUCCESS");
+  return response.data.extension_message_response.params;
+}
+
+beforeEach(() => {
+  cal.failNext = null;
+  cal.requests.length = 0;
+  invalidateSlots();
+});
+
+describe("getNextScreen", () => {
+  it("answers ping", async () => {
+    assert.deepEqual(await getNextScreen({ action: "ping" }), { data: { status: "active" } });
+  });
+
+  it("acknowledges client errors", async () => {
+    const response = await exchange(newToken(), "APPOINTMENT", { error: "oops" });
+
+    assert.deepEqual(response, { data: { acknowledged: true } });
+  });
+
+  it("opens APPOINTMENT on INIT", async () => {
+    const response = await getNextScreen({ action: "INIT", flow_token: newToken() });
+
+    assert.equal(response.screen, "APPOINTMENT");
+    assert.ok(response.data.date.some((option) => option.id === tomorrow));
+    assert.equal(response.data.is_time_enabled, false);
+    assert.equal(response.data.time_zone, "Asia/Kolkata");
+  });
+
+  it("prefetches the date range on INIT with one slots call", async () => {
+    const flow_token = newToken();
+    const slotRequests = () => cal.requests.filter((request) => request.path === "/slots");
+    await getNextScreen({ action: "INIT", flow_token });
+    // let the background prefetch land
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const prefetch = slotRequests().at(-1);
+    const requestsBefore = slotRequests().length;
+
+    const response = await exchange(flow_token, "APPOINTMENT", { date: tomorrow });
+
+    assert.ok(prefetch.query.get("start") < prefetch.query.get("end"));
+    assert.equal(slotRequests().length, requestsBefore);
+    assert.equal(response.data.time.length, 3);
+  });
+
+  it("opens MANAGE_BOOKING on INIT for the manage flow", async () => {
+    const response = await getNextScreen(
+      { action: "INIT", flow_token: newToken() },
+      { flowToken: { phone: "919811111111", flow_id: "manage-flow" } }
+    );
+
+    assert.equal(response.screen, "MANAGE_BOOKING");
+    assert.equal(response.data.has_bookings, false);
+  });
+
+  it("lists Cal.com times after a date pick on APPOINTMENT", async () => {
+    const response = await exchange(newToken(), "APPOINTMENT", { date: tomorrow });
+
+    assert.equal(response.screen, "APPOINTMENT");
+    assert.equal(response.data.is_time_enabled, true);
+    assert.deepEqual(response.data.time, [
+      { id: slotAt("09:00"), title: "09:00" },
+      { id: slotAt("09:30"), title: "09:30" },
+      { id: slotAt("10:00"), title: "10:00" },
+    ]);
+    assert.ok(cal.requests.some((request) => request.path === "/slots"));
+  });
+
+  it("shows SUMMARY after DETAILS", async () => {
+    const response = await fillIn(newToken());
+
+    assert.equal(response.screen, "SUMMARY");
+    assert.match(response.data.appointment, /^Meeting with Asha Rao from Example Corp \(example\.com\)/);
+    assert.match(response.data.appointment, /at 09:00 \(Asia\/Kolkata\)$/);
+    assert.match(response.data.details, /Email: asha@example\.com/);
+  });
+
+  it("keeps DETAILS with field errors for invalid input", async () => {
+    const flow_token = newToken();
+    await exchange(flow_token, "APPOINTMENT", { date: tomorrow });
+
+    const response = await exchange(flow_token, "DETAILS", {
+      ...contact,
+      email: "not-an-email",
+      time: slotAt("09:00"),
+    });
+
+    assert.equal(response.screen, "DETAILS");
+    assert.equal(response.data.email_error, "Please enter a valid email address.");
+    assert.equal(response.data.name_error, "");
+    assert.match(response.data.error_message, /valid email/);
+  });
+
+  it("answers in the locale sent by the flow", async () => {
+    const flow_token = newToken();
+    const dates = await exchange(flow_token, "APPOINTMENT", { date: tomorrow, locale: "es-MX" });
+    const dateTitle = dates.data.date.find((option) => option.id === tomorrow).title;
+    assert.match(dateTitle, /^(lun|mar|mié|jue|vie|sáb|dom) \d+ \S+ \d{4}$/);
+
+    const invalid = await exchange(flow_token, "DETAILS", {
+      ...contact,
+      email: "not-an-email",
+      time: slotAt("09:00"),
+    });
+    assert.equal(invalid.data.email_error, "Introduce un correo electrónico válido.");
+
+    const summary = await fillIn(flow_token);
+    assert.match(summary.data.appointment, /^Reunión con Asha Rao de Example Corp \(example\.com\)/);
+    assert.ok(summary.data.appointment.endsWith(`${dateTitle} a las 09:00 (Asia/Kolkata)`));
+    assert.match(summary.data.details, /^Nombre: Asha Rao/);
+  });
+
+  it("books on SUMMARY and replays a repeated submit", async () => {
+    const flow_token = newToken();
+    const events = [];
+    const unsubscribe = onEvent((event) => event.data.flow_token === flow_token && events.push(event));
+    let params;
+    let replayed;
+    try {
+      await getNextScreen({ action: "INIT", flow_token });
+      await fillIn(flow_token, "09:00");
+
+      params = successParams(await exchange(flow_token, "SUMMARY", {}));
+      replayed = successParams(await exchange(flow_token, "SUMMARY", {}));
+    } finally {
+      unsubscribe();
+    }
+
+    assert.equal(params.booking_status, "confirmed");
+    assert.equal(params.meeting_time_utc, slotAt("09:00"));
+    assert.match(params.meeting_url, /^https:\/\/cal\.example\.com\//);
+    assert.equal(replayed.booking_id, params.booking_id);
+
+    const bookingRequests = cal.requests.filter((request) => request.path === "/bookings");
+    assert.equal(bookingRequests.length, 1);
+    assert.equal(bookingRequests[0].body.attendee.email, "asha@example.com");
+    assert.equal(bookingRequests[0].body.eventTypeId, 42);
+
+    // The replayed submit emits nothing new
+    assert.deepEqual(
+      events.map((event) => event.type),
+      ["flow.started", "lead.captured", "booking.created"]
+    );
+    assert.equal(events[1].data.email, "asha@example.com");
+    assert.equal(events[2].data.booking_id, params.booking_id);
+  });
+
+  it("lists slots for and books the event type picked on APPOINTMENT", async () => {
+    process.env.EVENT_TYPES = JSON.stringify([
+      { id: "intro", title: "15-min intro", minutes: 15, calEventTypeId: 7 },
+      { id: "demo", title: "45-min demo", minutes: 45, calEventTypeId: 8 },
+    ]);
+    const slotTimes = cal.slotTimes;
+    cal.slotTimes = ["12:00"];
+    const flow_token = newToken();
+
+    try {
+      const opened = await getNextScreen({ action: "INIT", flow_token });
+      assert.equal(opened.data.event_type, "intro");
+      assert.deepEqual(opened.data.event_type_options, [
+        { id: "intro", title: "15-min intro" },
+        { id: "demo", title: "45-min demo" },
+      ]);
+
+      await exchange(flow_token, "APPOINTMENT", { event_type: "intro", date: tomorrow, time: slotAt("12:00") });
+      const picked = await exchange(flow_token, "APPOINTMENT", {
+        event_type: "demo",
+        date: tomorrow,
+        time: slotAt("12:00"),
+      });
+      assert.equal(picked.data.event_type, "demo");
+      assert.equal((await getSession(flow_token)).time, undefined);
+      assert.ok(
+        cal.requests.some((request) => request.path === "/slots" && request.query.get("eventTypeId") === "8")
+      );
+
+      const summary = await exchange(flow_token, "DETAILS", {
+        ...contact,
+        date: tomorrow,
+        time: slotAt("12:00"),
+      });
+      assert.match(summary.data.appointment, /^45-min demo with Asha Rao/);
+
+      const params = successParams(await exchange(flow_token, "SUMMARY", {}));
+      assert.equal(params.event_type, "demo");
+      assert.equal(params.event_type_title, "45-min demo");
+      const booking = cal.requests.find((request) => request.path === "/bookings");
+      assert.equal(booking.body.eventTypeId, 8);
+    } finally {
+      cal.slotTimes = slotTimes;
+      delete process.env.EVENT_TYPES;
+    }
+  });
+
+  it("sends the user back to APPOINTMENT when the slot was taken", async () => {
+    const first = newToken();
+    const second = newToken();
+    await fillIn(first, "09:30");
+    await fillIn(second, "09:30");
+    successParams(await exchange(first, "SUMMARY", {}));
+
+    const response = await exchange(second, "SUMMARY", {});
+
+    assert.equal(response.screen, "APPOINTMENT");
+    assert.match(response.data.error_message, /just taken/);
+    assert.ok(!response.data.time.some((option) => option.id === slotAt("09:30")));
+  });
+
+  it("queues a retry and reports a pending booking when Cal.com is down", async () => {
+    const flow_token = newToken();
+    await fillIn(flow_token, "10:00");
+    cal.failNext = { status: 503 };
+
+    const params = successParams(await exchange(flow_token, "SUMMARY", {}));
+
+    assert.equal(params.booking_status, "pending");
+    assert.equal(params.booking_error, "provider_unavailable");
+    assert.equal(params.booking_id, null);
+    assert.equal((await getBookingRetry(params.booking_retry_id)).status, "pending");
+
+    const [retried] = await processDueRetries(Date.now() + 60 * 60 * 1000);
+    assert.equal(retried.status, "succeeded");
+
+    const replayed = successParams(await exchange(flow_token, "SUMMARY", {}));
+    assert.equal(replayed.booking_status, "confirmed");
+    assert.equal(replayed.booking_id, retried.booking.id);
+    assert.equal(replayed.meeting_time_utc, slotAt("10:00"));
+    assert.equal(cal.requests.filter((request) => request.path === "/bookings").length, 2);
+  });
+
+  it("hands an unreadable Cal.com answer to the team instead of retrying it", async () => {
+    const slotTimes = cal.slotTimes;
+    cal.slotTimes = ["13:00"];
+    const flow_token = newToken();
+
+    try {
+      await fillIn(flow_token, "13:00");
+      cal.failNext = { status: 200, body: { status: "pending" } };
+
+      const params = successParams(await exchange(flow_token, "SUMMARY", {}));
+      const replayed = successParams(await exchange(flow_token, "SUMMARY", {}));
+
+      assert.equal(params.booking_status, "pending");
+      assert.equal(params.booking_error, "unknown");
+      assert.equal(params.booking_retry_id, null);
+      assert.ok(params.callback_request_id);
+      assert.equal(replayed.callback_request_id, params.callback_request_id);
+      // The slot may be booked already, so it is never asked for again
+      assert.equal(cal.requests.filter((request) => request.path === "/bookings").length, 1);
+      const pending = await listCallbackRequests({ status: "pending" });
+      assert.equal(pending.find((request) => request.flow_token === flow_token).reason, "booking_failed");
+    } finally {
+      cal.slotTimes = slotTimes;
+    }
+  });
+
+  it("offers a callback instead of times for a fully booked date", async () => {
+    const slotTimes = cal.slotTimes;
+    cal.slotTimes = [];
+    const flow_token = newToken();
+
+    try {
+      const picked = await exchange(flow_token, "APPOINTMENT", { date: tomorrow });
+      assert.deepEqual(picked.data.time, [
+        { id: "callback:no_slots", title: "No free times: request a callback" },
+      ]);
+      assert.match(picked.data.error_message, /no free times on/);
+
+      const again = await exchange(flow_token, "APPOINTMENT", { date: tomorrow });
+      const dateOption = again.data.date.find((option) => option.id === tomorrow);
+      assert.match(dateOption.title, /\(fully booked\)$/);
+
+      const summary = await exchange(flow_token, "DETAILS", {
+        ...contact,
+        date: tomorrow,
+        time: "callback:no_slots",
+      });
+      assert.match(summary.data.appointment, /agree on when we call you back$/);
+
+      const params = successParams(await exchange(flow_token, "SUMMARY", {}));
+      const replayed = successParams(await exchange(flow_token, "SUMMARY", {}));
+
+      assert.equal(params.booking_status, "pending");
+      assert.equal(replayed.callback_request_id, params.callback_request_id);
+      assert.ok(!cal.requests.some((request) => request.path === "/bookings"));
+      const pending = await listCallbackRequests({ status: "pending" });
+      const queued = pending.filter((request) => request.flow_token === flow_token);
+      assert.equal(queued.length, 1);
+      assert.equal(queued[0].reason, "no_slots");
+      assert.equal(queued[0].date, tomorrow);
+    } finally {
+      cal.slotTimes = slotTimes;
+    }
+  });
+
+  it("reschedules and cancels from the manage screens", async () => {
+    const phone = "919822222222";
+    const context = { flowToken: { phone, flow_id: "booking-flow" } };
+    const manageContext = { flowToken: { phone, flow_id: "manage-flow" } };
+    cal.slotTimes = ["11:00", "11:30"];
+
+    const booker = newToken();
+    await exchange(booker, "APPOINTMENT", { date: tomorrow }, context);
+    await exchange(booker, "DETAILS", { ...contact, date: tomorrow, time: slotAt("11:00") }, context);
+    const booked = successParams(await exchange(booker, "SUMMARY", {}, context));
+
+    const manager = newToken();
+    const manage = await getNextScreen({ action: "INIT", flow_token: manager }, manageContext);
+    assert.equal(manage.screen, "MANAGE_BOOKING");
+    assert.deepEqual(manage.data.bookings.map((option) => option.id), [String(booked.booking_id)]);
+
+    const reschedule = await exchange(
+      manager,
+      "MANAGE_BOOKING",
+      { booking_id: String(booked.booking_id), manage_action: "reschedule" },
+      manageContext
+    );
+    assert.equal(reschedule.screen, "RESCHEDULE");
+    assert.equal(reschedule.data.is_time_enabled, false);
+
+    const times = await exchange(manager, "RESCHEDULE", { date: tomorrow }, manageContext);
+    assert.deepEqual(times.data.time.map((option) => option.title), ["11:30"]);
+
+    const moved = successParams(
+      await exchange(manager, "RESCHEDULE", { date: tomorrow, time: slotAt("11:30") }, manageContext)
+    );
+    assert.equal(moved.booking_status, "rescheduled");
+    assert.equal(moved.meeting_time_utc, slotAt("11:30"));
+
+    // A retried submit gets the same move back instead of a bounce to
+    // MANAGE_BOOKING for the booking it replaced
+    const rescheduleRequests = () =>
+      cal.requests.filter((request) => request.path.endsWith("/reschedule")).length;
+    const movesBefore = rescheduleRequests();
+    const retried = successParams(
+      await exchange(manager, "RESCHEDULE", { date: tomorrow, time: slotAt("11:30") }, manageContext)
+    );
+    assert.equal(retried.booking_status, "rescheduled");
+    assert.equal(retried.booking_id, moved.booking_id);
+    assert.equal(rescheduleRequests(), movesBefore);
+
+    // The booking the reschedule replaced can't be picked any more
+    const replaced = await exchange(
+      manager,
+      "CANCEL_CONFIRM",
+      { booking_id: String(booked.booking_id) },
+      manageContext
+    );
+    assert.notEqual(String(moved.booking_id), String(booked.booking_id));
+    assert.equal(replaced.screen, "MANAGE_BOOKING");
+    assert.equal(replaced.data.error_message, "That booking can no longer be changed.");
+
+    const confirm = await exchange(
+      manager,
+      "MANAGE_BOOKING",
+      { booking_id: String(moved.booking_id), manage_action: "cancel" },
+      manageContext
+    );
+    assert.equal(confirm.screen, "CANCEL_CONFIRM");
+
+    const cancelled = successParams(await exchange(manager, "CANCEL_CONFIRM", {}, manageContext));
+    assert.equal(cancelled.booking_status, "cancelled");
+    assert.ok(cal.requests.some((request) => request.path.endsWith("/cancel")));
+  });
+
+  it("refuses to change someone else's booking", async () => {
+    const response = await exchange(
+      newToken(),
+      "CANCEL_CONFIRM",
+      { booking_id: "1" },
+      { flowToken: { phone: "919833333333" } }
+    );
+
+    assert.equal(response.screen, "MANAGE_BOOKING");
+    assert.equal(response.data.error_message, "That booking can no longer be changed.");
+  });
+
+  it("re-renders a screen on BACK", async () => {
+    const flow_token = newToken();
+    await exchange(flow_token, "APPOINTMENT", { ...contact, date: tomorrow });
+
+    const response = await getNextScreen({ action: "BACK", screen: "APPOINTMENT", flow_token });
+
+    assert.equal(response.screen, "APPOINTMENT");
+    assert.equal(response.data.name, "Asha Rao");
+    assert.equal(response.data.is_time_enabled, true);
+  });
+
+  it("acknowledges an unknown screen", async () => {
+    const response = await exchange(newToken(), "NO_SUCH_SCREEN", {});
+
+    assert.deepEqual(response, { data: { acknowledged: true } });
+  });
+
+  it("throws on an unknown action", async () => {
+    await assert.rejects(
+      getNextScreen({ action: "SOMETHING_ELSE", flow_token: newToken() }),
+      /Unhandled endpoint request/
+    );
+  });
+});
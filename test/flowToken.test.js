@@ -0,0 +1,126 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import "./helpers/quiet.js";
+
+const SECRET = "test-flow-token-secret";
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "flow-token-test-"));
+const revocationFile = path.join(dataDir, "revoked_tokens.json");
+
+Object.assign(process.env, {
+  FLOW_TOKEN_SECRET: SECRET,
+  FLOW_TOKEN_REVOCATION_FILE: revocationFile,
+});
+
+const { createFlowToken, revokeFlowToken, verifyFlowToken } = await import("../src/flowToken.js");
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// A token as createFlowToken would mint it, with any payload and secret
+function signToken(payload, secret = SECRET) {
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const signature = crypto.createHmac("sha256", secret).update(encodedPayload).digest("base64url");
+  return `${encodedPayload}.${signature}`;
+}
+
+const payloadOf = (token) => JSON.parse(Buffer.from(token.split(".")[0], "base64url").toString());
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("verifyFlowToken", () => {
+  it("accepts a token it minted", () => {
+    const token = createFlowToken({ phone: "+91 98000 00000", flowId: "booking", locale: "es" });
+
+    const { valid, payload } = verifyFlowToken(token);
+
+    assert.equal(valid, true);
+    assert.equal(payload.phone, "919800000000");
+    assert.equal(payload.flow_id, "booking");
+    assert.equal(payload.locale, "es");
+  });
+
+  it("rejects a missing token", () => {
+    assert.deepEqual(verifyFlowToken(undefined), { valid: false, reason: "missing" });
+    assert.deepEqual(verifyFlowToken(""), { valid: false, reason: "missing" });
+  });
+
+  it("rejects a token that does not decode", () => {
+    for (const token of ["not-a-signed-token", "a.b.c", ".sig", "bm90IGpzb24.sig", 42]) {
+      assert.deepEqual(verifyFlowToken(token), { valid: false, reason: "malformed" }, String(token));
+    }
+  });
+
+  it("rejects a token signed with another secret or changed after signing", () => {
+    const token = createFlowToken({ flowId: "booking" });
+    const otherSecret = signToken(payloadOf(token), "another-secret");
+    const [, signature] = token.split(".");
+    const changed = `${Buffer.from(
+      JSON.stringify({ ...payloadOf(token), phone: "14155550100" })
+    ).toString("base64url")}.${signature}`;
+
+    assert.deepEqual(verifyFlowToken(otherSecret), { valid: false, reason: "bad_signature" });
+    assert.deepEqual(verifyFlowToken(changed), { valid: false, reason: "bad_signature" });
+    assert.deepEqual(verifyFlowToken(`${token}x`), { valid: false, reason: "bad_signature" });
+  });
+
+  it("rejects an expired token", () => {
+    const iat = nowSeconds() - 120;
+    const expired = signToken({ v: 1, jti: "old", flow_id: "booking", iat, exp: iat + 60 });
+    const noExpiry = signToken({ v: 1, jti: "forever", flow_id: "booking", iat });
+
+    assert.deepEqual(verifyFlowToken(expired), { valid: false, reason: "expired" });
+    assert.deepEqual(verifyFlowToken(noExpiry), { valid: false, reason: "expired" });
+  });
+});
+
+describe("revokeFlowToken", () => {
+  it("rejects a revoked token and keeps it revoked after a restart", async () => {
+    const token = createFlowToken({ flowId: "booking" });
+    const other = createFlowToken({ flowId: "booking" });
+
+    assert.equal(revokeFlowToken(token), true);
+
+    assert.deepEqual(verifyFlowToken(token), { valid: false, reason: "revoked" });
+    assert.equal(verifyFlowToken(other).valid, true);
+    const saved = JSON.parse(fs.readFileSync(revocationFile, "utf8"));
+    assert.equal(saved[payloadOf(token).jti], payloadOf(token).exp);
+
+    // A fresh copy of the module reads the revocation list from the file
+    const restarted = await import(`../src/flowToken.js?restart=${Date.now()}`);
+    assert.deepEqual(restarted.verifyFlowToken(token), { valid: false, reason: "revoked" });
+    assert.equal(restarted.verifyFlowToken(other).valid, true);
+  });
+
+  it("revokes by jti until the longest a token can live", () => {
+    const token = createFlowToken({ flowId: "booking" });
+    const { jti } = payloadOf(token);
+
+    assert.equal(revokeFlowToken(jti), true);
+
+    assert.deepEqual(verifyFlowToken(token), { valid: false, reason: "revoked" });
+    const saved = JSON.parse(fs.readFileSync(revocationFile, "utf8"));
+    assert.ok(Math.abs(saved[jti] - (nowSeconds() + 30 * 24 * 60 * 60)) <= 1);
+  });
+
+  it("forgets revocations of tokens that have expired anyway", () => {
+    const iat = nowSeconds() - 120;
+    const expired = signToken({ v: 1, jti: "expired-jti", iat, exp: iat + 60 });
+    revokeFlowToken(expired);
+
+    revokeFlowToken(createFlowToken({ flowId: "booking" }));
+
+    const saved = JSON.parse(fs.readFileSync(revocationFile, "utf8"));
+    assert.equal("expired-jti" in saved, false);
+  });
+
+  it("refuses anything without a jti", () => {
+    assert.equal(revokeFlowToken(undefined), false);
+    assert.equal(revokeFlowToken(""), false);
+    assert.equal(revokeFlowToken(signToken({ v: 1, exp: nowSeconds() + 60 })), false);
+  });
+});
@@ -0,0 +1,126 @@
+import http from "http";
+
+/**
+ * Local stand-in for the Cal.com v2 API (the endpoints calendar/calcom.js
+ * calls), so flow tests never touch the network.
+ *
+ *   const cal = await startFakeCalCom();
+ *   process.env.CAL_API_BASE_URL = cal.url;
+ *   cal.slotTimes = ["09:00", "09:30"];    // free times per date, +05:30
+ *   cal.delayMs = 100;                     // slow down every answer
+ *   cal.failNext = { status: 500, body }; // next booking request fails
+ *   cal.requests;                          // [{ method, path, query, body }]
+ */
+export const startFakeCalCom = async () => {
+  const fake = {
+    url: null,
+    apiKey: "test-cal-key",
+    offset: "+05:30",
+    slotTimes: ["09:00", "09:30", "10:00"],
+    bookings: new Map(), // uid -> booking
+    requests: [],
+    failNext: null,
+    delayMs: 0,
+  };
+  let nextId = 1;
+
+  function nextDate(date) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + 86400000).toISOString().slice(0, 10);
+  }
+
+  function isBooked(start) {
+    const startMs = new Date(start).getTime();
+    return [...fake.bookings.values()].some(
+      (booking) => booking.status !== "cancelled" && new Date(booking.start).getTime() === startMs
+    );
+  }
+
+  function newBooking(start) {
+    const id = nextId++;
+    const booking = {
+      id,
+      uid: `uid-${id}`,
+      start: new Date(start).toISOString(),
+      end: new Date(new Date(start).getTime() + 30 * 60000).toISOString(),
+      meetingUrl: `https://cal.example.com/video/uid-${id}`,
+      status: "accepted",
+    };
+    fake.bookings.set(booking.uid, booking);
+    return booking;
+  }
+
+  function route(method, pathname, query, body) {
+    if (fake.failNext && method === "POST") {
+      const failure = fake.failNext;
+      fake.failNext = null;
+      return [failure.status, failure.body || { status: "error" }];
+    }
+
+    if (method === "GET" && pathname === "/slots") {
+      // Dates without free slots are left out, like Cal.com does
+      const data = {};
+      for (let date = query.get("start"); date <= query.get("end"); date = nextDate(date)) {
+        const slots = fake.slotTimes
+          .map((time) => ({ start: `${date}T${time}:00.000${fake.offset}` }))
+          .filter((slot) => !isBooked(slot.start));
+        if (slots.length) {
+          data[date] = slots;
+        }
+      }
+      return [200, { status: "success", data }];
+    }
+
+    if (method === "POST" && pathname === "/bookings") {
+      if (query.get("apiKey") !== fake.apiKey) {
+        return [401, { status: "error", error: { message: "Invalid API key" } }];
+      }
+      if (isBooked(body.start)) {
+        return [
+          400,
+          {
+            status: "error",
+            error: { message: "User either already has booking at this time or is not available" },
+          },
+        ];
+      }
+      return [200, { status: "success", data: { ...newBooking(body.start), attendees: [body.attendee] } }];
+    }
+
+    const match = pathname.match(/^\/bookings\/([^/]+)\/(cancel|reschedule)$/);
+    if (method === "POST" && match) {
+      const booking = fake.bookings.get(match[1]);
+      if (!booking) {
+        return [404, { status: "error", error: { message: "Booking not found" } }];
+      }
+      booking.status = "cancelled";
+      if (match[2] === "cancel") {
+        return [200, { status: "success", data: booking }];
+      }
+      // Cal.com replaces a rescheduled booking with a new one
+      return [200, { status: "success", data: newBooking(body.start) }];
+    }
+
+    return [404, { status: "error", error: { message: "Not found" } }];
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      const body = raw ? JSON.parse(raw) : null;
+      fake.requests.push({ method: req.method, path: url.pathname, query: url.searchParams, body });
+
+      const [status, response] = route(req.method, url.pathname, url.searchParams, body);
+      setTimeout(() => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(response));
+      }, fake.delayMs);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  fake.url = `http://127.0.0.1:${server.address().port}`;
+  fake.close = () => new Promise((resolve) => server.close(resolve));
+  return fake;
+};
@@ -0,0 +1,26 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Throwaway RSA key pair on disk, for tests that go through encryption.js.
+ */
+export const createTestKeyPair = (name = "test_key") => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "flow-endpoint-test-"));
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: "spki", format: "pem" },
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+  });
+
+  const privateKeyPath = path.join(dir, `${name}.pem`);
+  fs.writeFileSync(privateKeyPath, privateKey);
+
+  return {
+    dir,
+    privateKeyPath,
+    publicKey,
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+  };
+};
@@ -0,0 +1,5 @@
+// The endpoint logs every request; keep test output readable (and small
+// enough for the test runner) unless TEST_VERBOSE=1
+if (!process.env.TEST_VERBOSE) {
+  process.env.LOG_LEVEL = "silent";
+}
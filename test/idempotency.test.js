@@ -0,0 +1,149 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import "./helpers/quiet.js";
+import { FileStore, MemoryStore, SqliteStore } from "../src/store.js";
+import { withRequestDeadline } from "../src/timeout.js";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "idempotency-test-"));
+process.env.DATA_DIR = dataDir;
+process.env.IDEMPOTENCY_LOCK_SECONDS = "1";
+
+// node:sqlite ships with Node 22.5+
+const hasSqlite = await import("node:sqlite").then(
+  () => true,
+  () => false
+);
+process.env.IDEMPOTENCY_STORE = hasSqlite ? "sqlite" : "memory";
+
+const { runIdempotent } = await import("../src/idempotency.js");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// What another process sees: its own connection to the idempotency namespace
+const otherProcessStore = () =>
+  new SqliteStore({ namespace: "idempotency", file: path.join(dataDir, "store.sqlite") });
+
+// Run `fn` as if inside an endpoint request started just now
+const inRequest = (fn) =>
+  new Promise((resolve, reject) => {
+    withRequestDeadline()({}, {}, () => fn().then(resolve, reject));
+  });
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("store.add", () => {
+  const stores = {
+    memory: () => new MemoryStore(),
+    file: () => new FileStore({ file: path.join(dataDir, "claims.json") }),
+  };
+
+  for (const [backend, create] of Object.entries(stores)) {
+    it(`claims a key once (${backend})`, async () => {
+      const store = create();
+      const claims = await Promise.all([1, 2, 3].map((n) => store.add("k", { n })));
+
+      assert.deepEqual(claims, [true, false, false]);
+      assert.deepEqual(await store.get("k"), { n: 1 });
+    });
+
+    it(`takes over an expired claim (${backend})`, async () => {
+      const store = create();
+      assert.equal(await store.add("stale", { n: 1 }, 0.05), true);
+      assert.equal(await store.add("stale", { n: 2 }), false);
+      await sleep(80);
+
+      assert.equal(await store.add("stale", { n: 3 }), true);
+      assert.deepEqual(await store.get("stale"), { n: 3 });
+    });
+  }
+
+  it("claims a key once across connections (sqlite)", { skip: !hasSqlite }, async () => {
+    const file = path.join(dataDir, "claims.sqlite");
+    const first = new SqliteStore({ namespace: "claims", file });
+    const second = new SqliteStore({ namespace: "claims", file });
+
+    assert.equal(await first.add("k", { by: "first" }), true);
+    assert.equal(await second.add("k", { by: "second" }), false);
+    assert.equal(await second.add("other", { by: "second" }), true);
+    assert.deepEqual(await second.get("k"), { by: "first" });
+  });
+});
+
+describe("runIdempotent", () => {
+  it("runs concurrent calls once and replays the result", async () => {
+    let runs = 0;
+    const fn = async () => {
+      runs++;
+      await sleep(20);
+      return { id: runs };
+    };
+
+    const results = await Promise.all([1, 2, 3].map(() => runIdempotent("booking:a", fn)));
+
+    assert.equal(runs, 1);
+    assert.deepEqual(results.map(({ result }) => result), [{ id: 1 }, { id: 1 }, { id: 1 }]);
+    assert.deepEqual(results.map(({ replayed }) => replayed), [false, true, true]);
+    assert.deepEqual(await runIdempotent("booking:a", fn), { result: { id: 1 }, replayed: true });
+  });
+
+  it("runs again after a failure", async () => {
+    await assert.rejects(
+      runIdempotent("booking:b", async () => {
+        throw new Error("outage");
+      }),
+      /outage/
+    );
+
+    assert.deepEqual(await runIdempotent("booking:b", async () => "booked"), {
+      result: "booked",
+      replayed: false,
+    });
+  });
+
+  it("waits for another process's claim and gets its result", { skip: !hasSqlite }, async () => {
+    const other = otherProcessStore();
+    await other.add("booking:c", { status: "in_flight", started_at: Date.now() }, 1);
+    setTimeout(() => {
+      other.set("booking:c", { status: "completed", completed_at: Date.now(), result: "theirs" });
+    }, 100);
+
+    let ran = false;
+    const outcome = await runIdempotent("booking:c", async () => {
+      ran = true;
+      return "ours";
+    });
+
+    assert.equal(ran, false);
+    assert.deepEqual(outcome, { result: "theirs", replayed: true });
+  });
+
+  it("stops waiting at the request deadline", { skip: !hasSqlite }, async () => {
+    process.env.ENDPOINT_DEADLINE_MS = "300";
+    try {
+      await otherProcessStore().add("booking:d", { status: "in_flight", started_at: Date.now() }, 1);
+      const startedAt = Date.now();
+
+      await assert.rejects(
+        inRequest(() => runIdempotent("booking:d", async () => "ours")),
+        (err) => err.code === "ETIMEDOUT"
+      );
+      assert.ok(Date.now() - startedAt < 600);
+    } finally {
+      delete process.env.ENDPOINT_DEADLINE_MS;
+    }
+  });
+
+  it("takes over the claim of a process that died", { skip: !hasSqlite }, async () => {
+    await otherProcessStore().add("booking:e", { status: "in_flight", started_at: Date.now() }, 0.2);
+
+    assert.deepEqual(await runIdempotent("booking:e", async () => "ours"), {
+      result: "ours",
+      replayed: false,
+    });
+  });
+});
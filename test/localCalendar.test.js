@@ -0,0 +1,30 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import "./helpers/quiet.js";
+import { createLocalProvider } from "../src/calendar/local.js";
+import { createStore } from "../src/store.js";
+
+const timeZone = "UTC";
+const date = "2030-01-07";
+
+const attendee = (name) => ({ name, email: `${name.toLowerCase()}@example.com`, timeZone });
+
+describe("local calendar", () => {
+  it("books a slot once when submits for it arrive together", async () => {
+    const calendar = createLocalProvider({
+      scheduleFile: "no-schedule.json",
+      bookingsStore: createStore("local_bookings_race", { backend: "memory" }),
+    });
+    const [slot] = await calendar.listSlots({ date, timeZone });
+
+    const results = await Promise.allSettled(
+      ["Asha", "Ravi", "Meera"].map((name) =>
+        calendar.createBooking({ start: slot.start, ...attendee(name) })
+      )
+    );
+
+    assert.deepEqual(results.map((result) => result.status), ["fulfilled", "rejected", "rejected"]);
+    assert.ok(results.slice(1).every((result) => result.reason.kind === "slot_taken"));
+    assert.notEqual((await calendar.listSlots({ date, timeZone }))[0].start, slot.start);
+  });
+});
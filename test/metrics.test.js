@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createCounter, createHistogram, renderMetrics } from "../src/metrics.js";
+
+describe("metrics", () => {
+  it("renders counters in the Prometheus text format", () => {
+    const counter = createCounter({
+      name: "test_events_total",
+      help: "Test events.",
+      labelNames: ["kind"],
+    });
+    counter.inc({ kind: "a" });
+    counter.inc({ kind: "a" }, 2);
+    counter.inc({ kind: 'say "hi"' });
+
+    const text = renderMetrics();
+
+    assert.match(text, /^# TYPE test_events_total counter$/m);
+    assert.match(text, /^test_events_total\{kind="a"\} 3$/m);
+    assert.match(text, /^test_events_total\{kind="say \\"hi\\""\} 1$/m);
+  });
+
+  it("renders cumulative histogram buckets", () => {
+    const histogram = createHistogram({
+      name: "test_duration_seconds",
+      help: "Test durations.",
+      labelNames: ["operation"],
+      buckets: [0.1, 1],
+    });
+    histogram.observe({ operation: "x" }, 0.05);
+    histogram.observe({ operation: "x" }, 0.5);
+    histogram.observe({ operation: "x" }, 5);
+
+    const text = renderMetrics();
+
+    assert.match(text, /^test_duration_seconds_bucket\{operation="x",le="0.1"\} 1$/m);
+    assert.match(text, /^test_duration_seconds_bucket\{operation="x",le="1"\} 2$/m);
+    assert.match(text, /^test_duration_seconds_bucket\{operation="x",le="\+Inf"\} 3$/m);
+    assert.match(text, /^test_duration_seconds_sum\{operation="x"\} 5.55$/m);
+    assert.match(text, /^test_duration_seconds_count\{operation="x"\} 3$/m);
+  });
+
+  it("refuses to register a name twice", () => {
+    assert.throws(
+      () => createCounter({ name: "test_events_total", help: "again" }),
+      /already registered/
+    );
+  });
+});
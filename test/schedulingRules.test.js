@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, afterEach, describe, it } from "node:test";
+import "./helpers/quiet.js";
+import { getDateOptions, getDatePageStart } from "../src/schedulingRules.js";
+import { addDays, todayInZone } from "../src/timezone.js";
+
+const timeZone = "UTC";
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "scheduling-rules-"));
+const blackoutFile = path.join(tmpDir, "blackout_dates.json");
+
+const SETTINGS = [
+  "BOOKING_HORIZON_DAYS",
+  "DATE_PAGE_SIZE",
+  "BLACKOUT_DATES_FILE",
+  "SKIP_UNAVAILABLE_DAYS",
+  "AVAILABILITY_CHECK_TIMEOUT_MS",
+];
+
+// Day `n` of the booking window (0 is today)
+const day = (n) => addDays(todayInZone(timeZone), n);
+
+const dateIds = (options) =>
+  options.filter((option) => !getDatePageStart(option.id)).map((option) => option.id);
+// ["earlier" | "later", first date of that page]
+const pageLinks = (options) =>
+  options
+    .filter((option) => getDatePageStart(option.id))
+    .map((option) => [
+      /earlier/i.test(option.title) ? "earlier" : "later",
+      getDatePageStart(option.id),
+    ]);
+
+afterEach(() => {
+  for (const name of SETTINGS) {
+    delete process.env[name];
+  }
+});
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+describe("getDateOptions", () => {
+  it("pages through the window with earlier and later options", async () => {
+    Object.assign(process.env, { BOOKING_HORIZON_DAYS: "7", DATE_PAGE_SIZE: "3" });
+
+    const first = await getDateOptions({ timeZone, locale: "en" });
+    const second = await getDateOptions({ timeZone, pageStart: day(3), locale: "en" });
+    const third = await getDateOptions({ timeZone, pageStart: day(6), locale: "en" });
+
+    assert.deepEqual(dateIds(first), [day(0), day(1), day(2)]);
+    assert.deepEqual(pageLinks(first), [["later", day(3)]]);
+    assert.deepEqual(dateIds(second), [day(3), day(4), day(5)]);
+    assert.deepEqual(pageLinks(second), [
+      ["earlier", day(0)],
+      ["later", day(6)],
+    ]);
+    // the last page goes back one page, not to the first
+    assert.deepEqual(dateIds(third), [day(6)]);
+    assert.deepEqual(pageLinks(third), [["earlier", day(3)]]);
+  });
+
+  it("leaves out blackout dates and ranges", async () => {
+    fs.writeFileSync(blackoutFile, JSON.stringify([day(1), { from: day(3), to: day(4) }]));
+    Object.assign(process.env, {
+      BOOKING_HORIZON_DAYS: "8",
+      DATE_PAGE_SIZE: "2",
+      BLACKOUT_DATES_FILE: blackoutFile,
+    });
+
+    const first = await getDateOptions({ timeZone, locale: "en" });
+    const second = await getDateOptions({ timeZone, pageStart: day(2), locale: "en" });
+    const third = await getDateOptions({ timeZone, pageStart: day(6), locale: "en" });
+
+    assert.deepEqual(dateIds(first), [day(0), day(2)]);
+    assert.deepEqual(pageLinks(first), [["later", day(5)]]);
+    assert.deepEqual(dateIds(second), [day(2), day(5)]);
+    assert.deepEqual(dateIds(third), [day(6), day(7)]);
+    assert.deepEqual(pageLinks(third), [["earlier", day(2)]]);
+  });
+
+  it("checks availability concurrently and keeps days that don't answer in time", async () => {
+    Object.assign(process.env, {
+      BOOKING_HORIZON_DAYS: "6",
+      DATE_PAGE_SIZE: "3",
+      SKIP_UNAVAILABLE_DAYS: "true",
+      AVAILABILITY_CHECK_TIMEOUT_MS: "300",
+    });
+    let running = 0;
+    let mostRunning = 0;
+    const hasAvailability = async (date) => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      // day 1 is full, day 2 never answers
+      await new Promise((resolve) => setTimeout(resolve, date === day(2) ? 2500 : 5));
+      running--;
+      return date !== day(1);
+    };
+
+    const startedAt = Date.now();
+    const options = await getDateOptions({ timeZone, hasAvailability, locale: "en" });
+
+    assert.ok(Date.now() - startedAt < 2000);
+    assert.equal(mostRunning, 3);
+    assert.deepEqual(dateIds(options), [day(0), day(2), day(3)]);
+    assert.deepEqual(pageLinks(options), [["later", day(4)]]);
+  });
+});
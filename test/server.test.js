@@ -0,0 +1,222 @@
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { after, before, describe, it } from "node:test";
+import "./helpers/quiet.js";
+import axios from "axios";
+import { createTestKeyPair } from "./helpers/keys.js";
+
+const APP_SECRET = "test-app-secret";
+const keys = createTestKeyPair();
+
+Object.assign(process.env, {
+  PRIVATE_KEY_PATHS: keys.privateKeyPath,
+  APP_SECRET,
+  FLOW_TOKEN_SECRET: "test-flow-token-secret",
+  CALENDAR_PROVIDER: "mock",
+  STORE_BACKEND: "memory",
+  FLOW_TOKEN_ADMIN_KEY: "test-admin-key",
+  FLOW_TOKEN_REVOCATION_FILE: `${keys.dir}/revoked_tokens.json`,
+});
+
+const { app, isRequestSignatureValid } = await import("../src/server.js");
+const { createFlowToken } = await import("../src/flowToken.js");
+const { resetKeys } = await import("../src/keyManager.js");
+const { createFlowSimulator, encryptFlowRequest, signRequestBody } = await import(
+  "../src/simulator.js"
+);
+
+let server;
+let url;
+
+before(async () => {
+  server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  url = `http://127.0.0.1:${server.address().port}/`;
+});
+
+after(() => {
+  server.close();
+  resetKeys();
+  keys.cleanup();
+});
+
+function post(rawBody, headers = {}) {
+  return axios.post(url, rawBody, {
+    headers: { "Content-Type": "application/json", ...headers },
+    // send the body byte for byte, axios would quote a string that is not JSON
+    transformRequest: [(data) => data],
+    validateStatus: () => true,
+  });
+}
+
+describe("isRequestSignatureValid", () => {
+  const rawBody = JSON.stringify({ hello: "world" });
+  const request = (signature) => ({
+    rawBody,
+    get: (name) => (name === "x-hub-signature-256" ? signature : undefined),
+  });
+
+  it("accepts a matching signature", () => {
+    assert.equal(isRequestSignatureValid(request(signRequestBody(rawBody, APP_SECRET))), true);
+  });
+
+  it("rejects a signature made with another secret", () => {
+    assert.equal(isRequestSignatureValid(request(signRequestBody(rawBody, "other"))), false);
+  });
+
+  it("rejects a missing signature header", () => {
+    assert.equal(isRequestSignatureValid(request(undefined)), false);
+  });
+
+  it("rejects a signature of the wrong length", () => {
+    assert.equal(isRequestSignatureValid(request("sha256=abcd")), false);
+  });
+});
+
+describe("POST /", () => {
+  it("answers a signed ping", async () => {
+    const simulator = createFlowSimulator({ url, publicKey: keys.publicKey, appSecret: APP_SECRET });
+
+    const { status, response } = await simulator.send({ action: "ping", version: "3.0" });
+
+    assert.equal(status, 200);
+    assert.deepEqual(response, { data: { status: "active" } });
+  });
+
+  it("returns 432 for a bad or missing signature", async () => {
+    const { body } = encryptFlowRequest({ action: "ping" }, keys.publicKey);
+    const rawBody = JSON.stringify(body);
+
+    const bad = await post(rawBody, { "x-hub-signature-256": signRequestBody(rawBody, "other") });
+    const missing = await post(rawBody);
+
+    assert.equal(bad.status, 432);
+    assert.equal(missing.status, 432);
+  });
+
+  it("returns 400 for a malformed body", async () => {
+    const rawBody = JSON.stringify({ encrypted_aes_key: "abc" });
+
+    const response = await post(rawBody, {
+      "x-hub-signature-256": signRequestBody(rawBody, APP_SECRET),
+    });
+
+    assert.equal(response.status, 400);
+  });
+
+  it("checks the signature before rejecting a body that is not JSON", async () => {
+    const rawBody = "{not json";
+
+    const unsigned = await post(rawBody);
+    const signed = await post(rawBody, { "x-hub-signature-256": signRequestBody(rawBody, APP_SECRET) });
+
+    assert.equal(unsigned.status, 432);
+    assert.equal(signed.status, 400);
+  });
+
+  it("returns 421 when the request was encrypted for another key", async () => {
+    const otherKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).publicKey;
+    const simulator = createFlowSimulator({ url, publicKey: otherKey, appSecret: APP_SECRET });
+
+    const { status } = await simulator.send({ action: "ping" });
+
+    assert.equal(status, 421);
+  });
+
+  it("returns 427 with an error message for an invalid flow token", async () => {
+    const simulator = createFlowSimulator({ url, publicKey: keys.publicKey, appSecret: APP_SECRET });
+
+    const { status, response } = await simulator.send({
+      action: "INIT",
+      flow_token: "not-a-signed-token",
+    });
+
+    assert.equal(status, 427);
+    assert.equal(response.error_msg, "The message is no longer available");
+  });
+
+  it("returns 427 for a missing, expired or tampered flow token", async () => {
+    const simulator = createFlowSimulator({ url, publicKey: keys.publicKey, appSecret: APP_SECRET });
+    const valid = createFlowToken({ phone: "+91 98000 00000", flowId: "booking" });
+    const [encodedPayload, signature] = valid.split(".");
+    const payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString());
+    const reencode = (changes) =>
+      Buffer.from(JSON.stringify({ ...payload, ...changes })).toString("base64url");
+    const expiredPayload = reencode({ exp: payload.iat - 1 });
+    const expired = `${expiredPayload}.${crypto
+      .createHmac("sha256", process.env.FLOW_TOKEN_SECRET)
+      .update(expiredPayload)
+      .digest("base64url")}`;
+    const tampered = `${reencode({ phone: "14155550100" })}.${signature}`;
+
+    for (const flow_token of [undefined, expired, tampered]) {
+      const { status, response } = await simulator.send({ action: "INIT", flow_token });
+
+      assert.equal(status, 427);
+      assert.equal(response.error_msg, "The message is no longer available");
+    }
+  });
+
+  it("returns 427 once a flow token is revoked", async () => {
+    const simulator = createFlowSimulator({ url, publicKey: keys.publicKey, appSecret: APP_SECRET });
+    const flow_token = createFlowToken({ phone: "+91 98000 00000", flowId: "booking" });
+    assert.equal((await simulator.send({ action: "INIT", flow_token })).status, 200);
+
+    const revoke = await axios.post(
+      `${url}flow-tokens/revoke`,
+      { flow_token },
+      { headers: { Authorization: "Bearer test-admin-key" }, validateStatus: () => true }
+    );
+    const { status } = await simulator.send({ action: "INIT", flow_token });
+
+    assert.equal(revoke.status, 200);
+    assert.equal(status, 427);
+  });
+
+  it("serves INIT for a valid flow token", async () => {
+    const simulator = createFlowSimulator({ url, publicKey: keys.publicKey, appSecret: APP_SECRET });
+    const flow_token = createFlowToken({ phone: "+91 98000 00000", flowId: "booking" });
+
+    const { status, response } = await simulator.send({ action: "INIT", flow_token });
+
+    assert.equal(status, 200);
+    assert.equal(response.screen, "APPOINTMENT");
+  });
+
+  it("returns 500 when the flow cannot handle the request", async () => {
+    const simulator = createFlowSimulator({ url, publicKey: keys.publicKey, appSecret: APP_SECRET });
+    const flow_token = createFlowToken({ phone: "+91 98000 00000", flowId: "booking" });
+
+    const { status } = await simulator.send({ action: "NOT_AN_ACTION", flow_token });
+
+    assert.equal(status, 500);
+  });
+});
+
+describe("health and metrics", () => {
+  it("reports live and ready with a loaded key and a reachable calendar", async () => {
+    const live = await axios.get(`${url}healthz`);
+    const ready = await axios.get(`${url}readyz`);
+
+    assert.equal(live.status, 200);
+    assert.deepEqual(live.data.checks.private_keys.keys, [{ id: "test_key", loaded: true, error: null }]);
+    assert.equal(ready.status, 200);
+    assert.equal(ready.data.checks.calendar.provider, "mock");
+  });
+
+  it("counts requests and decrypt failures on /metrics", async () => {
+    const simulator = createFlowSimulator({ url, publicKey: keys.publicKey, appSecret: APP_SECRET });
+    const otherKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).publicKey;
+    await simulator.send({ action: "ping" });
+    await createFlowSimulator({ url, publicKey: otherKey, appSecret: APP_SECRET }).send({ action: "ping" });
+
+    const { headers, data } = await axios.get(`${url}metrics`);
+
+    assert.match(headers["content-type"], /^text\/plain;.*version=0\.0\.4/);
+    assert.match(data, /^flow_requests_total\{action="ping",screen="",status="200"\} \d+$/m);
+    assert.match(data, /^flow_decrypt_failures_total\{status="421"\} \d+$/m);
+    assert.match(data, /^flow_decrypted_requests_total\{key_id="test_key"\} \d+$/m);
+    assert.match(data, /^flow_request_duration_seconds_count\{action="ping",screen=""\} \d+$/m);
+  });
+});
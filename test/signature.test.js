@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import "./helpers/quiet.js";
+import {
+  assertSignatureConfig,
+  getAppSecrets,
+  signRequestBody,
+  verifySignature,
+} from "../src/signature.js";
+
+const rawBody = JSON.stringify({ hello: "world" });
+const ENV_KEYS = ["APP_SECRET", "APP_SECRETS", "APP_SECRET_REQUIRED"];
+
+afterEach(() => {
+  for (const key of ENV_KEYS) {
+    delete process.env[key];
+  }
+});
+
+describe("verifySignature", () => {
+  it("rejects missing and malformed headers", () => {
+    const secrets = ["secret"];
+
+    assert.deepEqual(verifySignature(rawBody, undefined, secrets), { valid: false, reason: "missing" });
+    for (const header of ["abc", "sha256=abc", "sha1=" + "0".repeat(64), "sha256=" + "z".repeat(64)]) {
+      assert.deepEqual(verifySignature(rawBody, header, secrets), { valid: false, reason: "malformed" });
+    }
+  });
+
+  it("rejects a mismatch without throwing", () => {
+    const result = verifySignature(rawBody, signRequestBody(rawBody, "other"), ["secret"]);
+
+    assert.deepEqual(result, { valid: false, reason: "mismatch" });
+  });
+
+  it("accepts any configured secret and reports which one", () => {
+    process.env.APP_SECRETS = "new-secret, old-secret";
+
+    assert.deepEqual(getAppSecrets(), ["new-secret", "old-secret"]);
+    assert.deepEqual(verifySignature(rawBody, signRequestBody(rawBody, "new-secret")), {
+      valid: true,
+      secretIndex: 0,
+    });
+    assert.deepEqual(verifySignature(rawBody, signRequestBody(rawBody, "old-secret")), {
+      valid: true,
+      secretIndex: 1,
+    });
+  });
+
+  it("skips the check without a secret unless strict mode is on", () => {
+    assert.equal(verifySignature(rawBody, undefined).valid, true);
+    assert.doesNotThrow(assertSignatureConfig);
+
+    process.env.APP_SECRET_REQUIRED = "true";
+
+    assert.deepEqual(verifySignature(rawBody, undefined), { valid: false, reason: "no_secret" });
+    assert.throws(assertSignatureConfig, /APP_SECRET_REQUIRED/);
+  });
+});
@@ -0,0 +1,131 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import "./helpers/quiet.js";
+import { setCalendarProvider } from "../src/calendar/index.js";
+import { createMockProvider } from "../src/calendar/mock.js";
+import { getSlots, invalidateSlots, prefetchSlots } from "../src/slotCache.js";
+
+const timeZone = "UTC";
+const date = "2030-01-07";
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let calendar;
+let calls;
+
+// Mock provider counting calls, optionally answering after `delayMs`
+function useProvider({ delayMs = 0 } = {}) {
+  const mock = createMockProvider({ workingHoursTimeZone: timeZone });
+  calls = { listSlots: 0, listSlotsRange: 0 };
+  calendar = {
+    ...mock,
+    async listSlots(args) {
+      calls.listSlots++;
+      await sleep(delayMs);
+      return mock.listSlots(args);
+    },
+    async listSlotsRange(args) {
+      calls.listSlotsRange++;
+      await sleep(delayMs);
+      return mock.listSlotsRange(args);
+    },
+  };
+  setCalendarProvider(calendar);
+}
+
+beforeEach(() => {
+  invalidateSlots();
+  useProvider();
+});
+
+afterEach(() => {
+  for (const name of [
+    "SLOT_CACHE_TTL_MS",
+    "SLOT_CACHE_STALE_MS",
+    "SLOT_FETCH_TIMEOUT_MS",
+    "CALENDAR_PROVIDER",
+  ]) {
+    delete process.env[name];
+  }
+  setCalendarProvider(null);
+});
+
+describe("slot cache", () => {
+  it("serves repeated and concurrent lookups from one provider call", async () => {
+    const [first, second] = await Promise.all([getSlots(date, timeZone), getSlots(date, timeZone)]);
+    const third = await getSlots(date, timeZone);
+
+    assert.equal(calls.listSlots, 1);
+    assert.equal(first.length, 16);
+    assert.deepEqual(second, first);
+    assert.deepEqual(third, first);
+  });
+
+  it("serves stale slots while refreshing them in the background", async () => {
+    process.env.SLOT_CACHE_TTL_MS = "10";
+    await getSlots(date, timeZone);
+    await calendar.createBooking({ start: `${date}T09:00:00.000Z`, name: "A", email: "a@example.com", timeZone });
+    await sleep(20);
+
+    const stale = await getSlots(date, timeZone);
+    await sleep(5);
+    const refreshed = await getSlots(date, timeZone);
+
+    assert.equal(stale.length, 16);
+    assert.equal(refreshed.length, 15);
+    assert.equal(calls.listSlots, 2);
+  });
+
+  it("bypasses the cache for fresh lookups", async () => {
+    await getSlots(date, timeZone);
+    await getSlots(date, timeZone, { fresh: true });
+
+    assert.equal(calls.listSlots, 2);
+  });
+
+  it("stores nothing with SLOT_CACHE_TTL_MS=0", async () => {
+    process.env.SLOT_CACHE_TTL_MS = "0";
+    await getSlots(date, timeZone);
+    delete process.env.SLOT_CACHE_TTL_MS;
+    await getSlots(date, timeZone);
+
+    assert.equal(calls.listSlots, 2);
+  });
+
+  it("prefetches a date range with one call", async () => {
+    assert.equal(await prefetchSlots(date, "2030-01-11", timeZone), true);
+
+    const slots = await getSlots("2030-01-09", timeZone);
+
+    assert.equal(calls.listSlotsRange, 1);
+    assert.equal(calls.listSlots, 0);
+    assert.equal(slots.length, 16);
+  });
+
+  it("resolves to false when the provider is not set up", async () => {
+    process.env.CALENDAR_PROVIDER = "no-such-calendar";
+    setCalendarProvider(null);
+
+    assert.equal(await prefetchSlots(date, "2030-01-11", timeZone), false);
+  });
+
+  it("drops dates around a changed slot", async () => {
+    await prefetchSlots(date, "2030-01-11", timeZone);
+
+    invalidateSlots(`${date}T09:00:00.000Z`);
+    await getSlots("2030-01-08", timeZone);
+    await getSlots("2030-01-10", timeZone);
+
+    assert.equal(calls.listSlots, 1); // only 2030-01-08 was dropped
+  });
+
+  it("times out slow lookups and keeps their late answer", async () => {
+    process.env.SLOT_FETCH_TIMEOUT_MS = "20";
+    useProvider({ delayMs: 60 });
+
+    await assert.rejects(getSlots(date, timeZone), { code: "ETIMEDOUT" });
+    await sleep(60);
+
+    assert.equal((await getSlots(date, timeZone)).length, 16);
+    assert.equal(calls.listSlots, 1);
+  });
+});
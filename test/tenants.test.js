@@ -0,0 +1,193 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { after, before, describe, it } from "node:test";
+import "./helpers/quiet.js";
+import { createTestKeyPair } from "./helpers/keys.js";
+
+const defaultKeys = createTestKeyPair("default_key");
+const acmeKeys = createTestKeyPair("acme_key");
+const tenantsFile = path.join(acmeKeys.dir, "tenants.json");
+
+const writeTenants = (tenants) => {
+  fs.writeFileSync(tenantsFile, JSON.stringify(tenants));
+  // the file is re-read when its mtime changes
+  const later = new Date(Date.now() + Math.floor(Math.random() * 1e6));
+  fs.utimesSync(tenantsFile, later, later);
+};
+
+const acme = {
+  env: {
+    PRIVATE_KEY_PATH: acmeKeys.privateKeyPath,
+    APP_SECRET: "acme-secret",
+    BUSINESS_TIME_ZONE: "Europe/Berlin",
+  },
+  copy: { no_bookings: "Acme has no bookings for you." },
+};
+// hooli shares .env's key and secret
+const hooli = { env: { BUSINESS_TIME_ZONE: "America/New_York" } };
+const allTenants = { acme, globex: { env: { APP_SECRET: "globex-secret" } }, hooli };
+writeTenants(allTenants);
+
+Object.assign(process.env, {
+  PRIVATE_KEY_PATHS: defaultKeys.privateKeyPath,
+  APP_SECRET: "default-secret",
+  FLOW_TOKEN_SECRET: "test-flow-token-secret",
+  CALENDAR_PROVIDER: "mock",
+  STORE_BACKEND: "memory",
+  TENANTS_FILE: tenantsFile,
+  TENANTS_CHECK_INTERVAL_MS: "0",
+  BUSINESS_TIME_ZONE: "Asia/Kolkata",
+  MANAGE_FLOW_ID: "manage-flow",
+});
+
+const { app } = await import("../src/server.js");
+const { createFlowToken } = await import("../src/flowToken.js");
+const { resetKeys } = await import("../src/keyManager.js");
+const { createFlowSimulator } = await import("../src/simulator.js");
+const { getCopy, getSetting, getTenant, runWithTenant } = await import("../src/tenants.js");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  resetKeys();
+  defaultKeys.cleanup();
+  acmeKeys.cleanup();
+});
+
+const simulator = (route, keys, appSecret) =>
+  createFlowSimulator({ url: `${baseUrl}${route}`, publicKey: keys.publicKey, appSecret });
+
+describe("tenants", () => {
+  it("overrides settings and copy per tenant and picks up file changes", () => {
+    runWithTenant(getTenant("acme"), () => {
+      assert.equal(getSetting("BUSINESS_TIME_ZONE"), "Europe/Berlin");
+      assert.equal(getSetting("CALENDAR_PROVIDER"), "mock");
+      assert.equal(getCopy("no_bookings"), "Acme has no bookings for you.");
+
+      writeTenants({ acme: { ...acme, env: { ...acme.env, BUSINESS_TIME_ZONE: "Europe/Paris" } } });
+      assert.equal(getSetting("BUSINESS_TIME_ZONE"), "Europe/Paris");
+    });
+    assert.equal(getSetting("BUSINESS_TIME_ZONE"), "Asia/Kolkata");
+    assert.equal(getTenant("globex"), null);
+
+    writeTenants(allTenants);
+  });
+
+  it("looks at the tenants file at most once per check interval", async () => {
+    const timeZone = () => runWithTenant(getTenant("acme"), () => getSetting("BUSINESS_TIME_ZONE"));
+    assert.equal(timeZone(), "Europe/Berlin");
+    process.env.TENANTS_CHECK_INTERVAL_MS = "200";
+
+    try {
+      writeTenants({ ...allTenants, acme: { ...acme, env: { ...acme.env, BUSINESS_TIME_ZONE: "UTC" } } });
+      assert.equal(timeZone(), "Europe/Berlin");
+
+      await new Promise((resolve) => setTimeout(resolve, 250));
+      assert.equal(timeZone(), "UTC");
+    } finally {
+      process.env.TENANTS_CHECK_INTERVAL_MS = "0";
+      writeTenants(allTenants);
+    }
+  });
+
+  it("serves a tenant route with the tenant's key and secret only", async () => {
+    const ping = await simulator("/tenants/acme", acmeKeys, "acme-secret").send({ action: "ping" });
+    const defaultKey = await simulator("/tenants/acme", defaultKeys, "acme-secret").send({ action: "ping" });
+    const defaultSecret = await simulator("/tenants/acme", acmeKeys, "default-secret").send({ action: "ping" });
+    const unknown = await simulator("/tenants/initech", acmeKeys, "acme-secret").send({ action: "ping" });
+
+    assert.equal(ping.status, 200);
+    assert.equal(defaultKey.status, 421);
+    assert.equal(defaultSecret.status, 432);
+    assert.equal(unknown.status, 404);
+  });
+
+  it("runs POST / for the tenant named in the flow token", async () => {
+    const flow_token = createFlowToken({ flowId: "booking", tenantId: "acme" });
+
+    const { status, response } = await simulator("/", acmeKeys, "acme-secret").send({
+      action: "INIT",
+      flow_token,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(response.screen, "APPOINTMENT");
+    assert.equal(response.data.time_zone, "Europe/Berlin");
+  });
+
+  it("runs POST / for the tenant whose secret and key match a token without a tenant", async () => {
+    const flow_token = createFlowToken({ flowId: "booking" });
+    const send = (keys, appSecret) =>
+      simulator("/", keys, appSecret).send({ action: "INIT", flow_token });
+
+    const acmeSecret = await send(acmeKeys, "acme-secret");
+    const defaultSecret = await send(acmeKeys, "default-secret");
+    const envKeyAcmeSecret = await send(defaultKeys, "acme-secret");
+    const globexSecret = await send(acmeKeys, "globex-secret");
+    const unknownSecret = await send(acmeKeys, "someone-elses-secret");
+
+    assert.equal(acmeSecret.status, 200);
+    assert.equal(acmeSecret.response.data.time_zone, "Europe/Berlin");
+    // Only the keys of the tenants whose secret signed it are tried
+    assert.equal(defaultSecret.status, 421);
+    assert.equal(envKeyAcmeSecret.status, 421);
+    assert.equal(globexSecret.status, 421);
+    assert.equal(unknownSecret.status, 432);
+  });
+
+  it("runs POST / for a token's tenant that shares .env's key and secret", async () => {
+    const flow_token = createFlowToken({ flowId: "booking", tenantId: "hooli" });
+
+    const { status, response } = await simulator("/", defaultKeys, "default-secret").send({
+      action: "INIT",
+      flow_token,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(response.data.time_zone, "America/New_York");
+  });
+
+  it("uses the tenant's copy", async () => {
+    const flow_token = createFlowToken({ flowId: "manage-flow", tenantId: "acme" });
+
+    const { response } = await simulator("/", acmeKeys, "acme-secret").send({
+      action: "INIT",
+      flow_token,
+    });
+
+    assert.equal(response.screen, "MANAGE_BOOKING");
+    assert.equal(response.data.error_message, "Acme has no bookings for you.");
+  });
+
+  it("rejects a request that doesn't match its flow token's tenant", async () => {
+    const acmeToken = createFlowToken({ flowId: "booking", tenantId: "acme" });
+    const globexToken = createFlowToken({ flowId: "booking", tenantId: "globex" });
+
+    const otherKey = await simulator("/", defaultKeys, "acme-secret").send({
+      action: "INIT",
+      flow_token: acmeToken,
+    });
+    const otherSecret = await simulator("/", acmeKeys, "default-secret").send({
+      action: "INIT",
+      flow_token: acmeToken,
+    });
+    const otherRoute = await simulator("/tenants/acme", acmeKeys, "acme-secret").send({
+      action: "INIT",
+      flow_token: globexToken,
+    });
+
+    assert.equal(otherKey.status, 421);
+    assert.equal(otherSecret.status, 421);
+    assert.equal(otherRoute.status, 427);
+  });
+});
@@ -0,0 +1,119 @@
+import assert from "node:assert/strict";
+import http from "http";
+import { after, afterEach, beforeEach, describe, it } from "node:test";
+import "./helpers/quiet.js";
+
+process.env.STORE_BACKEND = "memory";
+
+const { emitEvent, getWebhookDelivery, onEvent, processDueDeliveries, signWebhookPayload } =
+  await import("../src/webhooks.js");
+
+const SECRET = "test-webhook-secret";
+
+// Records every POST; `statuses` are answered in order, then 200
+const receiver = { received: [], statuses: [] };
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    receiver.received.push({ path: req.url, headers: req.headers, body });
+    res.writeHead(receiver.statuses.shift() || 200).end();
+  });
+});
+await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+after(() => server.close());
+
+beforeEach(() => {
+  receiver.received.length = 0;
+  receiver.statuses.length = 0;
+  Object.assign(process.env, {
+    WEBHOOK_URLS: `${baseUrl}/crm,${baseUrl}/internal`,
+    WEBHOOK_SECRET: SECRET,
+    WEBHOOK_MAX_ATTEMPTS: "3",
+    WEBHOOK_BASE_DELAY_MS: "1000",
+  });
+});
+
+afterEach(() => {
+  for (const name of [
+    "WEBHOOK_URLS",
+    "WEBHOOK_SECRET",
+    "WEBHOOK_EVENTS",
+    "WEBHOOK_MAX_ATTEMPTS",
+    "WEBHOOK_BASE_DELAY_MS",
+  ]) {
+    delete process.env[name];
+  }
+});
+
+describe("webhooks", () => {
+  it("signs and delivers an event to every subscribed URL", async () => {
+    const deliveries = await emitEvent("booking.created", { booking_id: 7 });
+
+    assert.deepEqual(deliveries.map((delivery) => delivery.status), ["delivered", "delivered"]);
+    assert.deepEqual(receiver.received.map((request) => request.path).sort(), ["/crm", "/internal"]);
+
+    const { headers, body } = receiver.received[0];
+    const event = JSON.parse(body);
+    assert.equal(event.type, "booking.created");
+    assert.deepEqual(event.data, { booking_id: 7 });
+    assert.equal(headers["x-webhook-id"], event.id);
+    assert.equal(headers["x-webhook-event"], "booking.created");
+    assert.equal(
+      headers["x-webhook-signature"],
+      signWebhookPayload(body, headers["x-webhook-timestamp"], SECRET)
+    );
+
+    const logged = await getWebhookDelivery(deliveries[0].id);
+    assert.equal(logged.attempts, 1);
+    assert.equal(logged.log[0].status_code, 200);
+  });
+
+  it("only delivers the events in WEBHOOK_EVENTS but tells listeners about all", async () => {
+    process.env.WEBHOOK_EVENTS = "booking.created,booking.cancelled";
+    const seen = [];
+    const unsubscribe = onEvent((event) => seen.push(event.type));
+    try {
+      assert.deepEqual(await emitEvent("flow.started", { flow_token: "flow-1" }), []);
+      assert.deepEqual(seen, ["flow.started"]);
+      assert.equal(receiver.received.length, 0);
+    } finally {
+      unsubscribe();
+    }
+  });
+
+  it("retries a failing delivery with backoff and dead-letters it", async () => {
+    process.env.WEBHOOK_URLS = `${baseUrl}/crm`;
+    receiver.statuses.push(503, 503, 503);
+
+    const [delivery] = await emitEvent("booking.failed", { booking_error: "provider_unavailable" });
+    assert.equal(delivery.status, "pending");
+    assert.equal(delivery.last_error, "HTTP 503");
+    const firstDue = new Date(delivery.next_attempt_at).getTime();
+
+    assert.deepEqual(await processDueDeliveries(firstDue - 1), []);
+
+    const [second] = await processDueDeliveries(firstDue);
+    assert.equal(second.attempts, 2);
+    const secondDelay = new Date(second.next_attempt_at).getTime() - Date.now();
+    assert.ok(secondDelay > 1000 && secondDelay <= 2000, `waits twice as long, got ${secondDelay}`);
+
+    const [third] = await processDueDeliveries(Date.now() + 2000);
+    assert.equal(third.status, "dead");
+    assert.equal(third.log.length, 3);
+    assert.equal(receiver.received.length, 3);
+    assert.ok(receiver.received.every((request) => request.headers["x-webhook-id"] === delivery.event_id));
+  });
+
+  it("gives up at once when the receiver rejects the event", async () => {
+    process.env.WEBHOOK_URLS = `${baseUrl}/crm`;
+    receiver.statuses.push(400);
+
+    const [delivery] = await emitEvent("lead.captured", { flow_token: "flow-2" });
+
+    assert.equal(delivery.status, "dead");
+    assert.equal(delivery.attempts, 1);
+  });
+});